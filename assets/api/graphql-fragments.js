@@ -0,0 +1,195 @@
+/**
+ * GraphQL Fragment Registry
+ * Composes Storefront API product selections from named fragments so every
+ * query shares one definition of each field group. Metafield selections are
+ * generated from METAFIELD_KEYS.
+ */
+
+import { CONFIG, METAFIELD_KEYS } from '../core/constants.js';
+
+/**
+ * Response aliases for metafields whose key clashes with a Product field or
+ * whose alias predates the computed key. Every other metafield is aliased by its key.
+ */
+const METAFIELD_ALIASES = {
+  [METAFIELD_KEYS.TITLE]: 'title_metafield',
+  [METAFIELD_KEYS.COMPUTED_STYLE_GENRE]: 'style_genre',
+};
+
+/**
+ * Get the response alias used for a metafield key
+ */
+export function getMetafieldAlias(key) {
+  return METAFIELD_ALIASES[key] || key;
+}
+
+/**
+ * Build a single aliased metafield selection
+ * e.g. `artist: metafield(namespace: "custom", key: "artist") { value }`
+ */
+export function buildMetafieldSelection(key, namespace = CONFIG.METAFIELD_NAMESPACE) {
+  return `${getMetafieldAlias(key)}: metafield(namespace: "${namespace}", key: "${key}") {
+  value
+}`;
+}
+
+const fragments = new Map();
+
+/**
+ * Register (or replace) a named product fragment
+ * @param {string} name - Fragment name used in presets / buildProductSelection()
+ * @param {string|string[]} selection - GraphQL selection, or a list of METAFIELD_KEYS
+ *   values when `options.metafields` is true
+ */
+export function registerFragment(name, selection, options = {}) {
+  const body = options.metafields
+    ? selection.map((key) => buildMetafieldSelection(key)).join('\n')
+    : selection.trim();
+  fragments.set(name, body);
+}
+
+registerFragment(
+  'productCore',
+  `
+id
+handle
+title
+productType
+vendor
+tags
+createdAt
+updatedAt
+availableForSale
+`,
+);
+
+registerFragment(
+  'productPrice',
+  `
+priceRange {
+  minVariantPrice {
+    amount
+    currencyCode
+  }
+  maxVariantPrice {
+    amount
+    currencyCode
+  }
+}
+compareAtPriceRange {
+  minVariantPrice {
+    amount
+    currencyCode
+  }
+}
+`,
+);
+
+registerFragment(
+  'productImage',
+  `
+featuredImage {
+  url
+  altText
+  width
+  height
+}
+`,
+);
+
+registerFragment(
+  'productVariants',
+  `
+variants(first: 10) {
+  edges {
+    node {
+      id
+      title
+      availableForSale
+      priceV2 {
+        amount
+        currencyCode
+      }
+      compareAtPriceV2 {
+        amount
+        currencyCode
+      }
+      selectedOptions {
+        name
+        value
+      }
+    }
+  }
+}
+`,
+);
+
+// Fields needed to group a product (artist|album|format) and show its card
+registerFragment('cardMetafields', [METAFIELD_KEYS.ARTIST, METAFIELD_KEYS.TITLE], {
+  metafields: true,
+});
+
+// Fields used by grouping, filtering and relevance scoring
+registerFragment(
+  'groupingMetafields',
+  [
+    METAFIELD_KEYS.MEDIA_CONDITION,
+    METAFIELD_KEYS.SLEEVE_CONDITION,
+    METAFIELD_KEYS.COMPUTED_STYLE_GENRE,
+    METAFIELD_KEYS.ARTIST,
+    METAFIELD_KEYS.TITLE,
+    METAFIELD_KEYS.COMPUTED_RELEASE_YEAR,
+    METAFIELD_KEYS.RELEASED,
+    METAFIELD_KEYS.COMPUTED_MASTER_LABEL,
+    METAFIELD_KEYS.CATNO,
+    METAFIELD_KEYS.CATALOGUE_NUMBER,
+  ],
+  { metafields: true },
+);
+
+/**
+ * Named fragment sets
+ * - card: lightweight selection for rendering and grouping cards (More From, suggestions)
+ * - grouping: full selection used by the collection grouping engine
+ */
+export const PRODUCT_SELECTIONS = {
+  card: ['productCore', 'productPrice', 'productImage', 'cardMetafields'],
+  grouping: [
+    'productCore',
+    'productPrice',
+    'productImage',
+    'productVariants',
+    'groupingMetafields',
+  ],
+};
+
+/**
+ * Compose a product selection
+ * @param {string|string[]} selection - Preset name from PRODUCT_SELECTIONS or fragment names
+ * @param {Object} options - { metafields } extra METAFIELD_KEYS values to select
+ * @returns {string} - GraphQL selection for a Product node
+ */
+export function buildProductSelection(selection = 'grouping', options = {}) {
+  const names = Array.isArray(selection) ? selection : PRODUCT_SELECTIONS[selection];
+  if (!names) {
+    throw new Error(`Unknown product selection: ${selection}`);
+  }
+
+  const parts = names.map((name) => {
+    const fragment = fragments.get(name);
+    if (!fragment) {
+      throw new Error(`Unknown GraphQL fragment: ${name}`);
+    }
+    return fragment;
+  });
+
+  // Skip metafields already selected (a repeated alias would be a GraphQL conflict)
+  const selected = parts.join('\n');
+  new Set(options.metafields || []).forEach((key) => {
+    if (!selected.includes(`${getMetafieldAlias(key)}: metafield(`)) {
+      parts.push(buildMetafieldSelection(key));
+    }
+  });
+
+  return parts.join('\n');
+}
@@ -5,13 +5,26 @@
  */
 
 // Import API clients
+import {
+  buildProductSelection,
+  PRODUCT_SELECTIONS,
+  registerFragment,
+} from './graphql-fragments.js';
+import productCache from './product-cache.js';
 import StorefrontAPIClient from './storefront-api-client.js';
 
 // Re-export for bundling
-export { StorefrontAPIClient };
+export {
+  StorefrontAPIClient,
+  productCache,
+  buildProductSelection,
+  registerFragment,
+  PRODUCT_SELECTIONS,
+};
 
 // Expose on window (already done in storefront-api-client.js, but ensure it's available)
 if (typeof window !== 'undefined') {
   window.StorefrontAPIClient = StorefrontAPIClient;
+  window.productCache = productCache;
 }
 
@@ -0,0 +1,219 @@
+/**
+ * Product Cache
+ * Persists fetched collection products in IndexedDB so repeat visits can
+ * render grouped cards immediately and revalidate in the background
+ */
+
+import { CONFIG } from '../core/constants.js';
+import themeLogger from '../core/logger.js';
+
+const STORE_NAME = 'collections';
+const STORED_AT_INDEX = 'storedAt';
+// v2 adds the storedAt index used by prune()
+const DB_VERSION = 2;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class ProductCache {
+  constructor() {
+    this.dbPromise = null;
+    this.isSupported = typeof window !== 'undefined' && 'indexedDB' in window;
+  }
+
+  /**
+   * Open (or create) the cache database
+   * Resolves to null when IndexedDB is unavailable (private mode, old browsers)
+   */
+  open() {
+    if (!this.isSupported) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        let request;
+        try {
+          request = window.indexedDB.open(CONFIG.PRODUCT_CACHE_DB, DB_VERSION);
+        } catch (error) {
+          themeLogger.warn('Product cache unavailable:', error);
+          resolve(null);
+          return;
+        }
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.objectStoreNames.contains(STORE_NAME)
+            ? request.transaction.objectStore(STORE_NAME)
+            : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          if (!store.indexNames.contains(STORED_AT_INDEX)) {
+            store.createIndex(STORED_AT_INDEX, 'storedAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          themeLogger.warn('Product cache unavailable:', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Build a cache key for a collection + filters + sort combination
+   * The API version is part of the key so a version bump never reads stale shapes
+   * @param {string[]} metafields - Extra metafields in the product selection, if any
+   */
+  buildKey({ handle, filters = [], sortBy = '', metafields = [] }) {
+    return [
+      CONFIG.STOREFRONT_API_VERSION,
+      handle,
+      JSON.stringify(filters),
+      sortBy || '',
+      metafields.join(','),
+    ].join('|');
+  }
+
+  /**
+   * Read a cache entry
+   * @returns {Promise<Object|null>} - { key, products, storedAt } or null when missing/expired
+   */
+  async get(key) {
+    try {
+      const db = await this.open();
+      if (!db) {
+        return null;
+      }
+
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const entry = await requestToPromise(store.get(key));
+      if (!entry) {
+        return null;
+      }
+
+      const expired = Date.now() - entry.storedAt > CONFIG.PRODUCT_CACHE_TTL;
+      if (entry.version !== CONFIG.PRODUCT_CACHE_VERSION || expired) {
+        await this.delete(key);
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      themeLogger.warn('Product cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a cache entry and prune old entries
+   */
+  async set(key, products) {
+    try {
+      const db = await this.open();
+      if (!db) {
+        return;
+      }
+
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      await requestToPromise(
+        store.put({
+          key,
+          products,
+          version: CONFIG.PRODUCT_CACHE_VERSION,
+          storedAt: Date.now(),
+        }),
+      );
+
+      await this.prune();
+    } catch (error) {
+      // Quota errors are expected on very large collections - the cache is best effort
+      themeLogger.warn('Product cache write failed:', error);
+    }
+  }
+
+  /**
+   * Remove a single cache entry
+   */
+  async delete(key) {
+    try {
+      const db = await this.open();
+      if (!db) {
+        return;
+      }
+
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      await requestToPromise(store.delete(key));
+    } catch (error) {
+      themeLogger.warn('Product cache delete failed:', error);
+    }
+  }
+
+  /**
+   * Keep at most PRODUCT_CACHE_MAX_ENTRIES entries, dropping the oldest first
+   * Walks the storedAt index with a key cursor so no product payloads are loaded
+   */
+  async prune() {
+    const db = await this.open();
+    if (!db) {
+      return;
+    }
+
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    let excess = (await requestToPromise(store.count())) - CONFIG.PRODUCT_CACHE_MAX_ENTRIES;
+    if (excess <= 0) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const request = store.index(STORED_AT_INDEX).openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        store.delete(cursor.primaryKey);
+        excess -= 1;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Remove every cache entry
+   */
+  async clear() {
+    try {
+      const db = await this.open();
+      if (!db) {
+        return;
+      }
+
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      await requestToPromise(store.clear());
+    } catch (error) {
+      themeLogger.warn('Product cache clear failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const productCache = new ProductCache();
+
+// Expose on window for global access
+if (typeof window !== 'undefined') {
+  window.productCache = productCache;
+}
+
+export default productCache;
@@ -3,9 +3,253 @@
  * Handles all GraphQL queries for filtering products in large collections
  */
 
-import { CONFIG, ERROR_MESSAGES } from '../core/constants.js';
+import { CONFIG, ERROR_MESSAGES, METAFIELD_KEYS } from '../core/constants.js';
 import themeLogger from '../core/logger.js';
 import perfMonitor from '../core/performance-monitor.js';
+import { matchesCatalogueNumber } from '../grouping/catalogue-numbers.js';
+import { getGradeValuesAtLeast, isAtLeastGrade } from '../grouping/grading.js';
+import { getReleaseYearFilter, listFilterYears } from '../grouping/release-years.js';
+
+import { buildProductSelection } from './graphql-fragments.js';
+
+/**
+ * Maps Shopify `sort_by` values onto Storefront API sort arguments.
+ * Collection connections use ProductCollectionSortKeys, the root products
+ * connection (search) uses ProductSortKeys.
+ */
+const SORT_BY_MAP = {
+  manual: { collection: 'MANUAL', search: null, reverse: false },
+  'best-selling': { collection: 'BEST_SELLING', search: 'BEST_SELLING', reverse: false },
+  'title-ascending': { collection: 'TITLE', search: 'TITLE', reverse: false },
+  'title-descending': { collection: 'TITLE', search: 'TITLE', reverse: true },
+  'price-ascending': { collection: 'PRICE', search: 'PRICE', reverse: false },
+  'price-descending': { collection: 'PRICE', search: 'PRICE', reverse: true },
+  'created-ascending': { collection: 'CREATED', search: 'CREATED_AT', reverse: false },
+  'created-descending': { collection: 'CREATED', search: 'CREATED_AT', reverse: true },
+  relevance: { collection: 'RELEVANCE', search: 'RELEVANCE', reverse: false },
+};
+
+/**
+ * Filter params each fetch mode can apply server-side (see splitFilterParams).
+ * Collection connections take any ProductFilter. The root products connection used for
+ * search only understands its query syntax (product_type, vendor, tag, available_for_sale,
+ * variants.price), so metafield (including label) and variant option filters are applied
+ * client-side there.
+ */
+const SERVER_FILTER_PARAMS = {
+  collection: [
+    'productType',
+    'vendor',
+    'tag',
+    'available',
+    'priceMin',
+    'priceMax',
+    'styleGenre',
+    'label',
+    'mediaCondition',
+    'sleeveCondition',
+    'mediaConditionMin',
+    'sleeveConditionMin',
+    'variantOptions',
+    'releaseYearMin',
+    'releaseYearMax',
+    'releaseDecade',
+  ],
+  search: ['productType', 'vendor', 'tag', 'available', 'priceMin', 'priceMax'],
+};
+
+const RELEASE_YEAR_PARAMS = ['releaseYearMin', 'releaseYearMax', 'releaseDecade'];
+
+// Year filters become one exact-match computed_release_year filter per year; wider or
+// open-ended ranges are filtered client-side rather than sent as a huge filter list
+const MAX_RELEASE_YEAR_FILTERS = 40;
+
+// filter.v.option.* names parseURLFilters() reads as metafield filters instead
+const METAFIELD_OPTION_NAMES = ['media_condition', 'sleeve_condition', 'style_genre'];
+
+/**
+ * Variant option names by filter.v.option.* handle ("record-size" -> "Record Size"), from
+ * the option facets snippets/facet-filters.liquid lists
+ */
+function getVariantOptionNames() {
+  try {
+    return JSON.parse(document.getElementById('variant-option-names')?.textContent || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Whether a parsed filter param is active (false is a value: "out of stock only")
+ */
+function hasFilterValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Quote a value for Storefront search syntax: product_type:"7\" Singles"
+ */
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Condition metafield values to filter on: the ticked values, narrowed by a minimum grade
+ * On its own a minimum ("VG+ or better") expands to every stored spelling of M, NM and VG+,
+ * since metafield filters are exact-match. A minimum above every ticked value wins.
+ */
+function getConditionFilterValues(selected, minimum) {
+  const values = [].concat(selected || []);
+  if (!minimum) {
+    return values;
+  }
+
+  const qualifying = values.filter((value) => isAtLeastGrade(value, minimum));
+  return qualifying.length > 0 ? qualifying : getGradeValuesAtLeast(minimum);
+}
+
+/**
+ * Request handling shared by every StorefrontAPIClient instance, so collection
+ * grouping, More From and any other caller draw from one concurrency budget
+ * and share identical in-flight requests
+ */
+const inFlightRequests = new Map();
+const requestQueue = [];
+let activeRequests = 0;
+
+function createAbortError() {
+  return new DOMException(ERROR_MESSAGES.REQUEST_ABORTED, 'AbortError');
+}
+
+/**
+ * Operation name of a GraphQL document, e.g. 'GetCollection', for timings and shipped logs
+ */
+function getOperationName(graphqlQuery) {
+  return /\b(?:query|mutation)\s+(\w+)/.exec(graphqlQuery)?.[1] || 'unknown';
+}
+
+/**
+ * Create an Error carrying retry metadata
+ * @param {Object} details - { retryable, status, retryAfter, errors }
+ */
+function createRequestError(message, details = {}) {
+  const error = new Error(message);
+  error.retryable = !!details.retryable;
+  error.status = details.status || null;
+  error.retryAfter = details.retryAfter ?? null;
+  error.errors = details.errors || null;
+  return error;
+}
+
+/**
+ * Wait for a free request slot (max CONFIG.API_MAX_CONCURRENT_REQUESTS in flight)
+ */
+function acquireRequestSlot(signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (activeRequests < CONFIG.API_MAX_CONCURRENT_REQUESTS) {
+    activeRequests++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = requestQueue.indexOf(waiter);
+      if (index !== -1) {
+        requestQueue.splice(index, 1);
+      }
+      reject(createAbortError());
+    };
+    const waiter = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    requestQueue.push(waiter);
+  });
+}
+
+/**
+ * Release a request slot, handing it straight to the next queued request
+ */
+function releaseRequestSlot() {
+  const next = requestQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the API sends it
+ */
+function getRetryDelay(attempt, retryAfter = null) {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter * 1000, CONFIG.API_RETRY_MAX_DELAY);
+  }
+  const ceiling = Math.min(CONFIG.API_RETRY_BASE_DELAY * 2 ** attempt, CONFIG.API_RETRY_MAX_DELAY);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Attach a caller to a (possibly shared) in-flight request
+ * Aborting the caller's signal only rejects that caller; the underlying fetch is
+ * aborted once every caller holding a signal has gone and no signal-less caller remains
+ */
+function subscribeToRequest(entry, signal) {
+  entry.subscribers++;
+
+  if (!signal) {
+    return entry.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.subscribers--;
+      if (entry.subscribers === 0) {
+        entry.controller.abort();
+      }
+      reject(createAbortError());
+    };
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
 
 class StorefrontAPIClient {
   constructor() {
@@ -31,16 +275,81 @@ class StorefrontAPIClient {
 
   /**
    * Execute GraphQL query
+   * Identical concurrent queries share one request; failed requests are retried
+   * with backoff (HTTP 429/5xx, THROTTLED, network errors and timeouts)
+   * @param {Object} options - { signal } AbortSignal to cancel this caller's request
    */
-  async query(graphqlQuery, variables = {}) {
+  async query(graphqlQuery, variables = {}, options = {}) {
     if (!this.token) {
       throw new Error(ERROR_MESSAGES.STOREFRONT_TOKEN_MISSING);
     }
 
-    return perfMonitor.measureAsync(
-      'Storefront API Query',
-      async () => {
-        const response = await fetch(this.endpoint, {
+    const requestKey = JSON.stringify([this.endpoint, graphqlQuery, variables]);
+    let entry = inFlightRequests.get(requestKey);
+
+    if (!entry || entry.controller.signal.aborted) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0, promise: null };
+      entry.promise = perfMonitor
+        .measureAsync(
+          'Storefront API Query',
+          () => this.executeWithRetry(graphqlQuery, variables, controller.signal),
+          { queryName: getOperationName(graphqlQuery) },
+        )
+        .finally(() => {
+          if (inFlightRequests.get(requestKey) === entry) {
+            inFlightRequests.delete(requestKey);
+          }
+        });
+      // Callers handle rejections through subscribeToRequest()
+      entry.promise.catch(() => {});
+      inFlightRequests.set(requestKey, entry);
+    }
+
+    return subscribeToRequest(entry, options.signal);
+  }
+
+  /**
+   * Run a query through the concurrency limiter, retrying retryable failures
+   */
+  async executeWithRetry(graphqlQuery, variables, signal) {
+    for (let attempt = 0; ; attempt++) {
+      await acquireRequestSlot(signal);
+
+      let delay;
+      try {
+        return await this.fetchQuery(graphqlQuery, variables, signal);
+      } catch (error) {
+        if (signal.aborted || !error.retryable || attempt >= CONFIG.API_MAX_RETRIES) {
+          throw error;
+        }
+        delay = getRetryDelay(attempt, error.retryAfter);
+        themeLogger.warn(
+          `Storefront API request failed (${error.message}), retry ${attempt + 1}/${CONFIG.API_MAX_RETRIES} in ${delay}ms`,
+          { queryName: getOperationName(graphqlQuery) },
+        );
+      } finally {
+        releaseRequestSlot();
+      }
+
+      await wait(delay, signal);
+    }
+  }
+
+  /**
+   * Single request attempt with an AbortController-based timeout
+   */
+  async fetchQuery(graphqlQuery, variables, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.API_REQUEST_TIMEOUT);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      let response;
+      let result;
+      try {
+        response = await fetch(this.endpoint, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -50,100 +359,84 @@ class StorefrontAPIClient {
             query: graphqlQuery,
             variables,
           }),
+          signal: controller.signal,
         });
 
-        const result = await response.json();
+        if (response.status === 429 || response.status >= 500) {
+          const retryAfter = parseFloat(response.headers.get('Retry-After'));
+          throw createRequestError(`HTTP ${response.status}`, {
+            retryable: true,
+            status: response.status,
+            retryAfter: Number.isNaN(retryAfter) ? null : retryAfter,
+          });
+        }
 
-        if (result.errors) {
-          themeLogger.error('GraphQL Errors:', result.errors);
-          throw new Error(result.errors[0].message);
+        if (!response.ok) {
+          throw createRequestError(`HTTP ${response.status}`, { status: response.status });
         }
 
-        return result.data;
-      },
-      { queryName: variables.operationName || 'unknown' },
-    );
+        result = await response.json();
+      } catch (error) {
+        if (signal.aborted) {
+          throw createAbortError();
+        }
+        if (error.name === 'AbortError') {
+          throw createRequestError(ERROR_MESSAGES.REQUEST_TIMEOUT, { retryable: true });
+        }
+        if (error instanceof TypeError) {
+          // fetch() rejects with TypeError on network failures
+          throw createRequestError(error.message, { retryable: true });
+        }
+        throw error;
+      }
+
+      if (result.errors) {
+        themeLogger.error('GraphQL Errors:', result.errors, {
+          queryName: getOperationName(graphqlQuery),
+        });
+        const throttled = result.errors.some((err) => err.extensions?.code === 'THROTTLED');
+        throw createRequestError(result.errors[0].message, {
+          retryable: throttled,
+          errors: result.errors,
+        });
+      }
+
+      return result.data;
+    } finally {
+      clearTimeout(timeoutId);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Product fields to request
+   * @param {Object} options - { fields, metafields }
+   *   fields: 'grouping' (default), 'card', or a list of fragment names (graphql-fragments.js)
+   *   metafields: extra METAFIELD_KEYS values, e.g. [METAFIELD_KEYS.CATNO]
+   */
+  getProductSelection(options = {}) {
+    return buildProductSelection(options.fields || 'grouping', {
+      metafields: options.metafields,
+    });
   }
 
   /**
    * Get collection with products and filters
+   * @param {Object|null} sort - { sortKey, reverse } from buildSortParams()
+   * @param {Object} options - { signal, fields, metafields } - see getProductSelection()
    */
-  async getCollection(handle, filters = [], cursor = null, limit = 24) {
+  async getCollection(handle, filters = [], cursor = null, limit = 24, sort = null, options = {}) {
     const query = `
-      query GetCollection($handle: String!, $filters: [ProductFilter!], $first: Int!, $after: String) {
+      query GetCollection($handle: String!, $filters: [ProductFilter!], $first: Int!, $after: String, $sortKey: ProductCollectionSortKeys, $reverse: Boolean) {
         collection(handle: $handle) {
           id
           handle
           title
-          products(first: $first, after: $after, filters: $filters) {
+          products(first: $first, after: $after, filters: $filters, sortKey: $sortKey, reverse: $reverse) {
             edges {
               cursor
               node {
-                id
-                handle
-                title
-                productType
-                vendor
-                tags
-                priceRange {
-                  minVariantPrice {
-                    amount
-                    currencyCode
-                  }
-                  maxVariantPrice {
-                    amount
-                    currencyCode
-                  }
-                }
-                featuredImage {
-                  url
-                  altText
-                  width
-                  height
-                }
-                availableForSale
-                compareAtPriceRange {
-                  minVariantPrice {
-                    amount
-                    currencyCode
-                  }
-                }
-                variants(first: 10) {
-                  edges {
-                    node {
-                      id
-                      title
-                      availableForSale
-                      priceV2 {
-                        amount
-                        currencyCode
-                      }
-                      compareAtPriceV2 {
-                        amount
-                        currencyCode
-                      }
-                      selectedOptions {
-                        name
-                        value
-                      }
-                    }
-                  }
-                }
-                media_condition: metafield(namespace: "custom", key: "media_condition") {
-                  value
-                }
-                sleeve_condition: metafield(namespace: "custom", key: "sleeve_condition") {
-                  value
-                }
-                style_genre: metafield(namespace: "custom", key: "computed_style_genre") {
-                  value
-                }
-                artist: metafield(namespace: "custom", key: "artist") {
-                  value
-                }
-                title_metafield: metafield(namespace: "custom", key: "title") {
-                  value
-                }
+                ${this.getProductSelection(options)}
               }
             }
             pageInfo {
@@ -162,88 +455,28 @@ class StorefrontAPIClient {
       filters,
       first: limit,
       after: cursor || undefined,
+      sortKey: sort?.sortKey || undefined,
+      reverse: sort?.reverse || undefined,
     };
 
-    return await this.query(query, variables);
+    return await this.query(query, variables, options);
   }
 
   /**
    * Search products using Storefront API
    * Uses GraphQL products query with query parameter for search
    * Note: The root products field doesn't support filters, only query
+   * @param {Object|null} sort - { sortKey, reverse } from buildSortParams(sortBy, 'search')
+   * @param {Object} options - { signal, fields, metafields } - see getProductSelection()
    */
-  async searchProducts(query, cursor = null, limit = 24) {
+  async searchProducts(query, cursor = null, limit = 24, sort = null, options = {}) {
     const graphqlQuery = `
-      query SearchProducts($query: String!, $first: Int!, $after: String) {
-        products(first: $first, after: $after, query: $query) {
+      query SearchProducts($query: String!, $first: Int!, $after: String, $sortKey: ProductSortKeys, $reverse: Boolean) {
+        products(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
           edges {
             cursor
             node {
-              id
-              handle
-              title
-              productType
-              vendor
-              tags
-              priceRange {
-                minVariantPrice {
-                  amount
-                  currencyCode
-                }
-                maxVariantPrice {
-                  amount
-                  currencyCode
-                }
-              }
-              featuredImage {
-                url
-                altText
-                width
-                height
-              }
-              availableForSale
-              compareAtPriceRange {
-                minVariantPrice {
-                  amount
-                  currencyCode
-                }
-              }
-              variants(first: 10) {
-                edges {
-                  node {
-                    id
-                    title
-                    availableForSale
-                    priceV2 {
-                      amount
-                      currencyCode
-                    }
-                    compareAtPriceV2 {
-                      amount
-                      currencyCode
-                    }
-                    selectedOptions {
-                      name
-                      value
-                    }
-                  }
-                }
-              }
-              media_condition: metafield(namespace: "custom", key: "media_condition") {
-                value
-              }
-              sleeve_condition: metafield(namespace: "custom", key: "sleeve_condition") {
-                value
-              }
-              style_genre: metafield(namespace: "custom", key: "computed_style_genre") {
-                value
-              }
-              artist: metafield(namespace: "custom", key: "artist") {
-                value
-              }
-              title_metafield: metafield(namespace: "custom", key: "title") {
-                value
-              }
+              ${this.getProductSelection(options)}
             }
           }
           pageInfo {
@@ -260,14 +493,153 @@ class StorefrontAPIClient {
       query,
       first: limit,
       after: cursor || undefined,
+      sortKey: sort?.sortKey || undefined,
+      reverse: sort?.reverse || undefined,
     };
 
-    const data = await this.query(graphqlQuery, variables);
+    const data = await this.query(graphqlQuery, variables, options);
     return {
       products: data.products,
     };
   }
 
+  /**
+   * Get lightweight product stamps (id + updatedAt) for a collection page
+   * Used to revalidate cached collections without refetching every product
+   * @param {Object|null} sort - { sortKey, reverse } from buildSortParams()
+   * @param {Object} options - { signal } passed to query()
+   */
+  async getCollectionProductStamps(
+    handle,
+    filters = [],
+    cursor = null,
+    limit = 250,
+    sort = null,
+    options = {},
+  ) {
+    const query = `
+      query GetCollectionStamps($handle: String!, $filters: [ProductFilter!], $first: Int!, $after: String, $sortKey: ProductCollectionSortKeys, $reverse: Boolean) {
+        collection(handle: $handle) {
+          products(first: $first, after: $after, filters: $filters, sortKey: $sortKey, reverse: $reverse) {
+            edges {
+              node {
+                id
+                updatedAt
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      handle,
+      filters,
+      first: limit,
+      after: cursor || undefined,
+      sortKey: sort?.sortKey || undefined,
+      reverse: sort?.reverse || undefined,
+    };
+
+    return await this.query(query, variables, options);
+  }
+
+  /**
+   * Fetch full product data for a list of product IDs (max 250 per call)
+   * @param {string[]} ids - Product GIDs
+   * @param {Object} options - { signal, fields, metafields } - see getProductSelection()
+   * @returns {Promise<Array>} - Product nodes (deleted/unpublished IDs are dropped)
+   */
+  async getProductsByIds(ids, options = {}) {
+    if (!ids || ids.length === 0) {
+      return [];
+    }
+
+    const query = `
+      query GetProductsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            ${this.getProductSelection(options)}
+          }
+        }
+      }
+    `;
+
+    const data = await this.query(query, { ids }, options);
+    return (data.nodes || []).filter((node) => node && node.id);
+  }
+
+  /**
+   * Products whose catno or catalogue_number metafield is exactly a catalogue number
+   * Storefront search doesn't index metafields, so this filters a catalogue collection
+   * (theme setting "More from" catalogue collection) on each spelling of the number. Both
+   * metafields must be enabled as filters in Search & Discovery.
+   * @param {string} handle - Catalogue collection handle
+   * @param {Object} catalogue - From parseCatalogueNumber()
+   * @param {Object} options - { signal, fields, metafields, limit } - see getProductSelection()
+   * @returns {Promise<Array>} - Matching products, catno matches first, no duplicates
+   */
+  async getCatalogueNumberMatches(handle, catalogue, options = {}) {
+    if (!handle || !catalogue) {
+      return [];
+    }
+
+    const metafields = [
+      ...(options.metafields || []),
+      METAFIELD_KEYS.CATNO,
+      METAFIELD_KEYS.CATALOGUE_NUMBER,
+    ];
+    const products = new Map();
+
+    // Values of one metafield are ORed; the two metafields need a request each
+    for (const key of [METAFIELD_KEYS.CATNO, METAFIELD_KEYS.CATALOGUE_NUMBER]) {
+      const filters = catalogue.variants.map((value) => ({
+        productMetafield: { namespace: 'custom', key, value },
+      }));
+      const data = await this.getCollection(handle, filters, null, options.limit || 10, null, {
+        ...options,
+        metafields,
+      });
+      (data.collection?.products.edges || []).forEach(({ node }) => {
+        if (!products.has(node.id) && matchesCatalogueNumber(node, catalogue.normalized)) {
+          products.set(node.id, node);
+        }
+      });
+    }
+
+    return Array.from(products.values());
+  }
+
+  /**
+   * Build Storefront API sort arguments from a Shopify `sort_by` value
+   * @param {string} sortBy - e.g. 'price-ascending', 'created-descending'
+   * @param {string} mode - 'collection' or 'search'
+   * @returns {Object|null} - { sortKey, reverse } or null for the default order
+   */
+  buildSortParams(sortBy, mode = 'collection') {
+    const mapping = SORT_BY_MAP[sortBy];
+    if (!mapping || !mapping[mode]) {
+      return null;
+    }
+
+    return {
+      sortKey: mapping[mode],
+      reverse: mapping.reverse,
+    };
+  }
+
+  /**
+   * Get the active `sort_by` value from the URL (set by products-toolbar / facet-filters)
+   */
+  parseURLSort() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('sort_by') || '';
+  }
+
   /**
    * Build filter input from URL parameters or user selection
    * Now handles arrays of values
@@ -310,12 +682,20 @@ class StorefrontAPIClient {
       });
     }
 
-    // Metafield filters - can be array
-    if (params.mediaCondition) {
-      const conditions = Array.isArray(params.mediaCondition)
-        ? params.mediaCondition
-        : [params.mediaCondition];
-      conditions.forEach((condition) => {
+    // Record label facet (computed_master_label) - exact values, ORed by the API
+    [].concat(params.label || []).forEach((label) => {
+      filters.push({
+        productMetafield: {
+          namespace: 'custom',
+          key: 'computed_master_label',
+          value: label,
+        },
+      });
+    });
+
+    // Metafield filters - can be array, optionally with a minimum grade
+    getConditionFilterValues(params.mediaCondition, params.mediaConditionMin).forEach(
+      (condition) => {
         filters.push({
           productMetafield: {
             namespace: 'custom',
@@ -323,14 +703,11 @@ class StorefrontAPIClient {
             value: condition,
           },
         });
-      });
-    }
+      },
+    );
 
-    if (params.sleeveCondition) {
-      const conditions = Array.isArray(params.sleeveCondition)
-        ? params.sleeveCondition
-        : [params.sleeveCondition];
-      conditions.forEach((condition) => {
+    getConditionFilterValues(params.sleeveCondition, params.sleeveConditionMin).forEach(
+      (condition) => {
         filters.push({
           productMetafield: {
             namespace: 'custom',
@@ -338,12 +715,146 @@ class StorefrontAPIClient {
             value: condition,
           },
         });
-      });
+      },
+    );
+
+    [].concat(params.vendor || []).forEach((vendor) => {
+      filters.push({ productVendor: vendor });
+    });
+
+    [].concat(params.tag || []).forEach((tag) => {
+      filters.push({ tag });
+    });
+
+    if (typeof params.available === 'boolean') {
+      filters.push({ available: params.available });
     }
 
+    // Release year range / decades - one value per year (computed_release_year is text)
+    const releaseYearFilter = getReleaseYearFilter(params);
+    (releaseYearFilter ? listFilterYears(releaseYearFilter) || [] : []).forEach((year) => {
+      filters.push({
+        productMetafield: {
+          namespace: 'custom',
+          key: 'computed_release_year',
+          value: String(year),
+        },
+      });
+    });
+
+    // Variant options by name (splitFilterParams maps the URL handles), e.g.
+    // filter.v.option.record-size=12" -> { name: 'Record Size', value: '12"' }
+    Object.entries(params.variantOptions || {}).forEach(([name, values]) => {
+      [].concat(values).forEach((value) => {
+        filters.push({ variantOption: { name, value } });
+      });
+    });
+
     return filters;
   }
 
+  /**
+   * Split parsed filter params into those the API applies for a fetch mode and those
+   * left for client-side filtering (workers/product-data.js applyClientSideFilters)
+   * Server-side filters narrow the fetch itself, so only unsupported filters cost a
+   * full fetch.
+   * @param {Object} params - From parseURLFilters()
+   * @param {string} mode - 'collection' (buildFilters) or 'search' (buildSearchQuery)
+   * @returns {Object} - { serverParams, clientParams }; clientParams is null when the
+   *   API covers every active filter
+   */
+  splitFilterParams(params, mode = 'collection') {
+    const supported = SERVER_FILTER_PARAMS[mode] || [];
+    const serverParams = {};
+    const clientParams = {};
+
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (!hasFilterValue(value)) {
+        return;
+      }
+      if (supported.includes(key)) {
+        serverParams[key] = value;
+      } else {
+        clientParams[key] = value;
+      }
+    });
+
+    // variantOption filters take the option name; options whose name isn't known from the
+    // facets stay client-side, where products are matched by handle
+    if (serverParams.variantOptions) {
+      const names = getVariantOptionNames();
+      const named = {};
+      const unnamed = {};
+      Object.entries(serverParams.variantOptions).forEach(([handle, values]) => {
+        if (names[handle]) {
+          named[names[handle]] = values;
+        } else {
+          unnamed[handle] = values;
+        }
+      });
+      delete serverParams.variantOptions;
+      if (Object.keys(named).length > 0) {
+        serverParams.variantOptions = named;
+      }
+      if (Object.keys(unnamed).length > 0) {
+        clientParams.variantOptions = unnamed;
+      }
+    }
+
+    // A year filter only goes server-side when its years can be listed compactly
+    const releaseYearFilter = getReleaseYearFilter(serverParams);
+    const releaseYears = releaseYearFilter && listFilterYears(releaseYearFilter);
+    if (releaseYearFilter && (!releaseYears || releaseYears.length > MAX_RELEASE_YEAR_FILTERS)) {
+      RELEASE_YEAR_PARAMS.filter((key) => key in serverParams).forEach((key) => {
+        clientParams[key] = serverParams[key];
+        delete serverParams[key];
+      });
+    }
+
+    return {
+      serverParams,
+      clientParams: Object.keys(clientParams).length > 0 ? clientParams : null,
+    };
+  }
+
+  /**
+   * Build a search query with filters in Storefront search syntax
+   * e.g. (abbey road) AND (product_type:"LP" OR product_type:"CD") AND available_for_sale:true
+   * @param {string} terms - Shopper's search terms
+   * @param {Object} params - Server-side params from splitFilterParams(params, 'search')
+   */
+  buildSearchQuery(terms, params = {}) {
+    const anyOf = (field, values) => {
+      const clauses = [].concat(values).map((value) => `${field}:${quoteSearchValue(value)}`);
+      return clauses.length > 1 ? `(${clauses.join(' OR ')})` : clauses[0];
+    };
+
+    const clauses = [];
+    if (params.productType) {
+      clauses.push(anyOf('product_type', params.productType));
+    }
+    if (params.vendor) {
+      clauses.push(anyOf('vendor', params.vendor));
+    }
+    if (params.tag) {
+      clauses.push(anyOf('tag', params.tag));
+    }
+    if (typeof params.available === 'boolean') {
+      clauses.push(`available_for_sale:${params.available}`);
+    }
+    if (params.priceMin) {
+      clauses.push(`variants.price:>=${parseFloat(params.priceMin)}`);
+    }
+    if (params.priceMax) {
+      clauses.push(`variants.price:<=${parseFloat(params.priceMax)}`);
+    }
+
+    if (clauses.length === 0) {
+      return terms;
+    }
+    return [terms ? `(${terms})` : null, ...clauses].filter(Boolean).join(' AND ');
+  }
+
   /**
    * Parse URL parameters into filter object (handles comma-separated values AND multiple params with same name)
    */
@@ -436,6 +947,12 @@ class StorefrontAPIClient {
         }
         return getAllParam('filter.v.option.style_genre');
       })(),
+      // Record label facet - Search & Discovery's param name for computed_master_label.
+      // Repeated params, never comma-split: "Sony Music Entertainment, Inc." is one label
+      label: (() => {
+        const labels = params.getAll('filter.p.m.custom.computed_master_label');
+        return labels.length > 0 ? labels : null;
+      })(),
       // Product metafields use filter.p.m.custom.* format, not filter.v.option.*
       mediaCondition: getParamWithFallback(
         'filter.p.m.custom.media_condition',
@@ -445,6 +962,31 @@ class StorefrontAPIClient {
         'filter.p.m.custom.sleeve_condition',
         'filter.v.option.sleeve_condition',
       ),
+      // Minimum condition facet (snippets/condition-range.liquid) - a grade such as "VG+"
+      mediaConditionMin: params.get('filter.p.m.custom.media_condition.gte'),
+      sleeveConditionMin: params.get('filter.p.m.custom.sleeve_condition.gte'),
+      // Release year facets - a year range and decade start years ("1960,1970")
+      releaseYearMin: params.get('filter.p.m.custom.computed_release_year.gte'),
+      releaseYearMax: params.get('filter.p.m.custom.computed_release_year.lte'),
+      releaseDecade: getAllParam('filter.p.m.custom.computed_release_year.decade'),
+      vendor: getAllParam('filter.p.vendor'),
+      tag: getAllParam('filter.p.tag'),
+      // Shopify's availability facet: 1 = in stock, 0 = out of stock; both ticked is no filter
+      available: (() => {
+        const values = new Set(params.getAll('filter.v.availability'));
+        return values.size === 1 ? values.has('1') : null;
+      })(),
+      // Remaining variant options by handle, e.g. { 'record-size': ['7"', '12"'] }
+      variantOptions: (() => {
+        const options = {};
+        new Set(params.keys()).forEach((key) => {
+          const name = key.startsWith('filter.v.option.') && key.slice('filter.v.option.'.length);
+          if (name && !METAFIELD_OPTION_NAMES.includes(name)) {
+            options[name] = [].concat(getAllParam(key));
+          }
+        });
+        return Object.keys(options).length > 0 ? options : null;
+      })(),
     };
 
     return result;
@@ -484,6 +1026,10 @@ class StorefrontAPIClient {
       // Note: This should match what Shopify actually uses - may need adjustment
       url.searchParams.set('filter.p.m.custom.computed_style_genre', value);
     }
+    // One param per label, as Shopify writes them - label names can contain commas
+    [].concat(filterParams.label || []).forEach((label) => {
+      url.searchParams.append('filter.p.m.custom.computed_master_label', label);
+    });
     if (filterParams.mediaCondition) {
       const value = Array.isArray(filterParams.mediaCondition)
         ? filterParams.mediaCondition.join(',')
@@ -498,6 +1044,45 @@ class StorefrontAPIClient {
       // Product metafields use filter.p.m.custom.* format
       url.searchParams.set('filter.p.m.custom.sleeve_condition', value);
     }
+    if (filterParams.mediaConditionMin) {
+      url.searchParams.set('filter.p.m.custom.media_condition.gte', filterParams.mediaConditionMin);
+    }
+    if (filterParams.sleeveConditionMin) {
+      url.searchParams.set(
+        'filter.p.m.custom.sleeve_condition.gte',
+        filterParams.sleeveConditionMin,
+      );
+    }
+    if (filterParams.releaseYearMin) {
+      url.searchParams.set(
+        'filter.p.m.custom.computed_release_year.gte',
+        filterParams.releaseYearMin,
+      );
+    }
+    if (filterParams.releaseYearMax) {
+      url.searchParams.set(
+        'filter.p.m.custom.computed_release_year.lte',
+        filterParams.releaseYearMax,
+      );
+    }
+    if (filterParams.releaseDecade) {
+      url.searchParams.set(
+        'filter.p.m.custom.computed_release_year.decade',
+        [].concat(filterParams.releaseDecade).join(','),
+      );
+    }
+    if (filterParams.vendor) {
+      url.searchParams.set('filter.p.vendor', [].concat(filterParams.vendor).join(','));
+    }
+    if (filterParams.tag) {
+      url.searchParams.set('filter.p.tag', [].concat(filterParams.tag).join(','));
+    }
+    if (typeof filterParams.available === 'boolean') {
+      url.searchParams.set('filter.v.availability', filterParams.available ? '1' : '0');
+    }
+    Object.entries(filterParams.variantOptions || {}).forEach(([name, values]) => {
+      url.searchParams.set(`filter.v.option.${name}`, [].concat(values).join(','));
+    });
 
     window.history.pushState({}, '', url);
   }
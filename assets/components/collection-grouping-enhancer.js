@@ -24,10 +24,36 @@
  *
  * DEPENDENCIES:
  * - StorefrontAPIClient (assets/storefront-api-client.js)
+ * - Product data worker (assets/workers/) - grouping, client-side filters and
+ *   relevance scoring run off the main thread, with a main-thread fallback
  * - Section: sections/product-group-card-renderer.liquid
  * - Snippet: snippets/product-group-card.liquid
  * ============================================================================
  */
+import { EVENTS, METAFIELD_KEYS } from '../core/constants.js';
+import {
+  buildSearchVocabulary,
+  compileSearchQuery,
+  countRecordLabels,
+  countReleaseYears,
+  DEFAULT_GROUPING_STRATEGY,
+  formatConditionSummary,
+  formatCopiesAvailable,
+  formatGrade,
+  getFormat,
+  getPurchasableCopies,
+  getStrategyMetafields,
+  hasPurchasableCopy,
+  matchesCatalogueNumber,
+  parseCatalogueNumber,
+  parseGrade,
+  parseGroupingAliases,
+  parseSearchQuery,
+  suggestSearchCorrection,
+  summarizeGroupConditions,
+} from '../grouping/index.js';
+import ProductWorkerClient from '../workers/product-worker-client.js';
+
 if (!customElements.get('collection-grouping-enhancer')) {
   class CollectionGroupingEnhancer extends HTMLElement {
     constructor() {
@@ -43,9 +69,28 @@ if (!customElements.get('collection-grouping-enhancer')) {
       this.cardContain = this.dataset.cardContain === 'true';
       this.showDividers = this.dataset.showDividers === 'true';
       this.useJsGrouping = this.dataset.useJsGrouping === 'true';
+      // Section setting "Group products by" (grouping/strategies.js)
+      this.groupingStrategy = this.dataset.groupingStrategy || DEFAULT_GROUPING_STRATEGY;
+      this.groupingMetafields = getStrategyMetafields(this.groupingStrategy);
+      // Artist/album aliases from layout/theme.liquid (shop metafield or theme setting)
+      this.groupingAliases = parseGroupingAliases(
+        document.getElementById('grouping-aliases')?.textContent,
+      );
+      // Section setting "Hide sold-out groups" - drops groups/singles with no purchasable copy
+      this.hideSoldOutGroups = this.dataset.hideSoldOutGroups === 'true';
+      this.sortBy = ''; // Shopify sort_by value, read from the URL on each enhance()
+      this.searchQuery = null; // Search terms plus server-side filters, built on each enhance()
+      // Search box syntax (artist:, year:, -word...) compiled on each enhance() -
+      // { query, text, filters, hints } from compileSearchQuery()
+      this.compiledSearch = null;
+      this.catalogueNumber = null; // From parseCatalogueNumber(), search mode only
+      this.hasFilterParams = false; // URL filters or search field terms, set on each enhance()
       this.apiClient = null;
+      // Worker bundle URL comes from Liquid (asset_url); without it work stays on the main thread
+      this.productWorker = new ProductWorkerClient(this.dataset.workerUrl);
       this.isEnhancing = false; // Flag to prevent concurrent enhance() calls
       this.filterUpdateTimeout = null; // For debouncing rapid filter changes
+      this.abortController = null; // Cancels in-flight Storefront API requests on filter change
 
       // Listen for filter updates to re-run grouping
       this.handleFilterUpdate = this.handleFilterUpdate.bind(this);
@@ -53,9 +98,6 @@ if (!customElements.get('collection-grouping-enhancer')) {
         this.handleFilterUpdate(event);
       });
 
-      // Create debug panel for on-screen logging
-      this.createDebugPanel();
-
       this.init();
     }
 
@@ -81,6 +123,10 @@ if (!customElements.get('collection-grouping-enhancer')) {
         );
       }
       this.isEnhancing = false;
+      // Stop any background cache revalidation from re-rendering the old result set
+      this.activeCacheKey = null;
+      // Cancel requests for the old result set - their responses would be discarded
+      this.abortController?.abort();
 
       // IMMEDIATELY hide the grid to prevent Liquid cards from flashing
       // Do this before waiting for DOM to settle
@@ -194,11 +240,10 @@ if (!customElements.get('collection-grouping-enhancer')) {
       // Reset state
       this.isEnhancing = false;
       this.allFetchedProducts = [];
-      this.renderedProductIds = new Set();
-      this.groupMap = new Map();
-      this.productMap = new Map();
+      this.productWorker.resetGrouping(this.groupingStrategy, this.groupingAliases);
       this.allProductsMap = new Map();
       this.originalProductOrder = new Map();
+      this.renderedCards = [];
       this.renderedCount = 0;
 
       this.debugLog('🟢 CollectionGroupingEnhancer: Calling enhance()...');
@@ -208,117 +253,13 @@ if (!customElements.get('collection-grouping-enhancer')) {
     }
 
     /**
-     * Create a debug panel for on-screen logging
-     */
-    /**
-     * Create a debug panel for on-screen logging
-     */
-    createDebugPanel() {
-      // Remove any existing debug panels
-      const existingPanel = document.getElementById('grouping-debug-panel');
-      if (existingPanel) {
-        existingPanel.remove();
-      }
-
-      const panel = document.createElement('div');
-      panel.id = 'grouping-debug-panel';
-      panel.style.cssText = `
-        position: fixed;
-        top: 10px;
-        right: 10px;
-        width: 400px;
-        max-height: 300px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        font-family: monospace;
-        font-size: 11px;
-        padding: 10px;
-        border-radius: 5px;
-        z-index: 10000;
-        overflow-y: auto;
-        border: 1px solid #333;
-      `;
-
-      const header = document.createElement('div');
-      header.style.cssText =
-        'color: #fff; font-weight: bold; margin-bottom: 5px; border-bottom: 1px solid #333; padding-bottom: 5px;';
-      header.textContent = 'Collection Grouping Debug';
-
-      const closeBtn = document.createElement('button');
-      closeBtn.textContent = '×';
-      closeBtn.style.cssText =
-        'float: right; background: none; border: none; color: #fff; font-size: 16px; cursor: pointer;';
-      closeBtn.onclick = () => panel.remove();
-      header.appendChild(closeBtn);
-
-      const logContainer = document.createElement('div');
-      logContainer.id = 'debug-log-container';
-      logContainer.style.cssText = 'max-height: 250px; overflow-y: auto;';
-
-      panel.appendChild(header);
-      panel.appendChild(logContainer);
-      document.body.appendChild(panel);
-
-      this.debugPanel = panel;
-      this.logContainer = logContainer;
-    }
-
-    /**
-     * Debug logging (logger + on-screen panel)
+     * Debug logging to the 'grouping' channel of themeLogger (?debug overlay)
+     * Always 'debug': these are diagnostics (DOM dumps included), never shipped to the log
+     * endpoint. Failures worth reporting go to themeLogger.warn/error directly.
      */
     debugLog(message, data = null) {
-      // Use theme logger if available, fallback to console
-      if (window.themeLogger) {
-        if (data !== null) {
-          window.themeLogger.debug(message, data);
-        } else {
-          window.themeLogger.debug(message);
-        }
-      } else {
-        // Fallback to console if logger not loaded yet
-        if (data !== null) {
-          window.themeLogger?.log(message, data);
-        } else {
-          window.themeLogger?.log(message);
-        }
-      }
-
-      // Log to on-screen panel
-      if (this.logContainer) {
-        const logEntry = document.createElement('div');
-        logEntry.style.cssText = 'margin-bottom: 2px; word-wrap: break-word;';
-
-        // Color code different log levels
-        if (message.includes('🔴')) {
-          logEntry.style.color = '#ff6b6b';
-        } else if (message.includes('🟡')) {
-          logEntry.style.color = '#ffd93d';
-        } else if (message.includes('🟢')) {
-          logEntry.style.color = '#6bcf7f';
-        } else if (message.includes('🟣')) {
-          logEntry.style.color = '#da77f2';
-        } else {
-          logEntry.style.color = '#00ff00';
-        }
-
-        const timestamp = new Date().toLocaleTimeString();
-        let logText = `[${timestamp}] ${message}`;
-
-        if (data !== null) {
-          logText += ` ${JSON.stringify(data, null, 2)}`;
-        }
-
-        logEntry.textContent = logText;
-        this.logContainer.appendChild(logEntry);
-
-        // Auto-scroll to bottom
-        this.logContainer.scrollTop = this.logContainer.scrollHeight;
-
-        // Limit log entries to prevent memory issues
-        if (this.logContainer.children.length > 100) {
-          this.logContainer.removeChild(this.logContainer.firstChild);
-        }
-      }
+      const args = data !== null ? [data] : [];
+      window.themeLogger?.channel('grouping').debug(message, ...args);
     }
 
     async init() {
@@ -475,22 +416,72 @@ if (!customElements.get('collection-grouping-enhancer')) {
           );
         }
 
-        // Extract filters from URL and build Storefront API filters
+        // Extract filters from URL and push what the API supports server-side:
+        // ProductFilter input for collections, search syntax for the search query.
+        // Only the rest is filtered client-side, so narrow filters mean a narrow fetch.
         const filterParams = this.apiClient.parseURLFilters();
-        const apiFilters = this.apiClient.buildFilters(filterParams);
+        const { serverParams, clientParams } = this.apiClient.splitFilterParams(
+          filterParams,
+          this.isSearchMode ? 'search' : 'collection',
+        );
+        // Attached to warnings and errors shipped by themeLogger's transport
+        window.themeLogger?.setContext?.({
+          collectionHandle: this.isSearchMode ? null : this.collectionHandle,
+          searchTerms: this.isSearchMode ? this.searchTerms : null,
+          filters: filterParams,
+        });
+        const apiFilters = this.isSearchMode ? [] : this.apiClient.buildFilters(serverParams);
+        // Field terms ("format:LP year:1959..1965") become post-filters and relevance hints;
+        // only plain words, phrases, the artist name and exclusions reach the Storefront query
+        this.compiledSearch = this.isSearchMode
+          ? compileSearchQuery(parseSearchQuery(this.searchTerms))
+          : null;
+        this.searchQuery = this.isSearchMode
+          ? this.apiClient.buildSearchQuery(this.compiledSearch.query, serverParams)
+          : null;
+        // A catalogue number search ("SHVL804") - exact catno matches are pinned on top
+        this.catalogueNumber = this.isSearchMode
+          ? parseCatalogueNumber(this.compiledSearch.text)
+          : null;
+        this.hasFilterParams =
+          Object.keys(serverParams).length > 0 ||
+          !!clientParams ||
+          this.compiledSearch?.filters.length > 0;
         this.debugLog('🟢 CollectionGroupingEnhancer: Using filters:', JSON.stringify(apiFilters));
         this.debugLog(
           '🟢 CollectionGroupingEnhancer: Filter params from URL:',
           JSON.stringify(filterParams),
         );
+        if (this.searchQuery !== null) {
+          this.debugLog('🟢 CollectionGroupingEnhancer: Using search query:', this.searchQuery);
+        }
+        if (this.compiledSearch?.filters.length > 0) {
+          this.debugLog(
+            '🟡 CollectionGroupingEnhancer: Search terms filtered client-side:',
+            this.compiledSearch.filters.map((term) => term.raw).join(' '),
+          );
+        }
+        if (clientParams) {
+          this.debugLog(
+            '🟡 CollectionGroupingEnhancer: Filtering client-side:',
+            Object.keys(clientParams).join(', '),
+          );
+        }
+
+        // Sort order chosen in products-toolbar (sort_by) - passed to the API and used
+        // to order groups by an aggregate of their members
+        this.sortBy = this.apiClient.parseURLSort();
+        this.debugLog('🟢 CollectionGroupingEnhancer: Using sort:', this.sortBy || 'default');
 
         // Initialize state for progressive loading
         this.allFetchedProducts = [];
-        this.renderedProductIds = new Set();
-        this.groupMap = new Map(); // Track groups as they're built
-        this.productMap = new Map(); // Track all products for grouping
+        // Groups are tracked in the worker as they're built
+        this.productWorker.resetGrouping(this.groupingStrategy, this.groupingAliases);
         this.originalProductOrder = new Map();
+        this.renderedCards = []; // { item, element } in render order, for re-sorting groups
         this.currentIndex = 0;
+        this.abortController?.abort();
+        this.abortController = new AbortController();
 
         // Initialize grid - try multiple selectors to work with both collection and search pages
         // Also check #filter-results for when filters have been applied, and Dawn's #product-grid
@@ -564,14 +555,7 @@ if (!customElements.get('collection-grouping-enhancer')) {
         this.allProductsMap = new Map();
 
         // Start progressive loading
-        // For search mode, don't pass filters to API (Search API doesn't support them)
-        // But we'll apply client-side filtering after fetching
-        const filtersToUse = this.isSearchMode ? [] : apiFilters;
-        await this.loadProductsProgressively(
-          filtersToUse,
-          existingGrid,
-          this.isSearchMode ? filterParams : null,
-        );
+        await this.loadProductsProgressively(apiFilters, existingGrid, clientParams);
 
         // CRITICAL: Ensure grid is visible after products are loaded
         if (existingGrid) {
@@ -598,6 +582,8 @@ if (!customElements.get('collection-grouping-enhancer')) {
             // Force grid to be visible anyway
             existingGrid.classList.remove('js-grouping-hidden');
             existingGrid.style.display = '';
+            // Searches with field terms render the no-results message hidden (main-search.liquid)
+            document.querySelector('[data-search-empty][hidden]')?.removeAttribute('hidden');
             return;
           }
         }
@@ -620,11 +606,12 @@ if (!customElements.get('collection-grouping-enhancer')) {
 
         this.debugLog('🟢 CollectionGroupingEnhancer: Progressive enhancement complete');
       } catch (error) {
-        this.debugLog(
-          '🔴 CollectionGroupingEnhancer: CRITICAL ERROR - Grouping failed:',
-          error.message,
-        );
-        this.debugLog('🔴 CollectionGroupingEnhancer: Stack trace:', error.stack);
+        window.themeLogger
+          ?.channel('grouping')
+          .warn(
+            'CollectionGroupingEnhancer: Grouping failed, showing Liquid-rendered products',
+            error,
+          );
 
         // Graceful fallback: Show Liquid-rendered products
         this.debugLog('🟡 CollectionGroupingEnhancer: Falling back to Liquid-rendered products');
@@ -668,6 +655,8 @@ if (!customElements.get('collection-grouping-enhancer')) {
     /**
      * Progressive loading: Fetch, group, and render products in batches
      * Shows products as they're ready instead of waiting for everything
+     * Collection mode renders from the IndexedDB product cache when possible and
+     * revalidates it in the background (see revalidateCache)
      */
     async loadProductsProgressively(filters, grid, clientSideFilterParams = null) {
       const BATCH_SIZE = 250; // Products per API request
@@ -676,6 +665,55 @@ if (!customElements.get('collection-grouping-enhancer')) {
       let hasNextPage = true;
       let pageCount = 0;
       let totalFetched = 0;
+      let fetchFailed = false;
+      const sortParams = this.apiClient.buildSortParams(
+        this.sortBy,
+        this.isSearchMode ? 'search' : 'collection',
+      );
+      const sortByRelevance = !this.sortBy || this.sortBy === 'relevance';
+      const { signal } = this.abortController || new AbortController();
+      // Search relevance also scores track titles; collections skip the (long) tracklist
+      const metafields = this.isSearchMode
+        ? [...this.groupingMetafields, METAFIELD_KEYS.TRACKLIST]
+        : this.groupingMetafields;
+
+      // Search results are query-specific and short-lived - only collections are cached,
+      // and only when the API applied every filter (cache entries are keyed by API filters)
+      const cache = this.isSearchMode || clientSideFilterParams ? null : window.productCache;
+      const cacheKey = cache?.buildKey({
+        handle: this.collectionHandle,
+        filters,
+        sortBy: this.sortBy,
+        metafields,
+      });
+      this.activeCacheKey = cacheKey;
+
+      if (cache) {
+        const cached = await cache.get(cacheKey);
+        if (cached && cached.products.length > 0) {
+          this.debugLog(`🟢 Cache: Rendering ${cached.products.length} cached products`);
+          await this.renderCachedProducts(cached.products, grid, RENDER_BATCH_SIZE);
+          this.applySortOrder(grid);
+          this.dispatchProductsGrouped();
+
+          // Don't block the page on revalidation
+          this.revalidateCache(cacheKey, cached.products, filters, sortParams, grid, signal);
+          return;
+        }
+      }
+
+      // Exact catalogue number matches first - Storefront search doesn't index the catno
+      // metafields. Skipped under filters, which the catalogue lookup can't apply.
+      const pinnedIds = new Set();
+      if (this.catalogueNumber && !this.hasFilterParams) {
+        const pinned = await this.fetchCatalogueMatches(signal, metafields);
+        if (pinned.length > 0) {
+          pinned.forEach((product) => pinnedIds.add(product.id));
+          totalFetched += pinned.length;
+          this.debugLog(`🟢 Progressive: Pinned ${pinned.length} catalogue number matches`);
+          await this.processProductPage(pinned, grid, RENDER_BATCH_SIZE);
+        }
+      }
 
       // Fetch first batch and render immediately
       while (hasNextPage && totalFetched < 5000) {
@@ -687,12 +725,13 @@ if (!customElements.get('collection-grouping-enhancer')) {
           let productsData;
 
           if (this.isSearchMode) {
-            // Search mode: use searchProducts() - NO FILTERS for search API
-            // Call searchProducts with just query and pagination - no filters
+            // Search mode: use searchProducts() - supported filters are in the query string
             data = await this.apiClient.searchProducts(
-              this.searchTerms,
-              null, // cursor
+              this.searchQuery ?? this.searchTerms,
+              cursor,
               BATCH_SIZE,
+              sortParams,
+              { signal, metafields },
             );
             productsData = data.products;
           } else {
@@ -702,75 +741,60 @@ if (!customElements.get('collection-grouping-enhancer')) {
               filters,
               cursor,
               BATCH_SIZE,
+              sortParams,
+              { signal, metafields },
             );
             productsData = data.collection?.products;
           }
 
           if (!productsData) {
+            fetchFailed = true;
             break;
           }
 
-          let pageProducts = productsData.edges.map((edge) => edge.node);
+          // Real-user monitoring (performance-reporter.js)
+          window.performanceReporter?.recordMetric('apiPages');
+          window.performanceReporter?.recordMetric('productsFetched', productsData.edges.length);
+
+          let pageProducts = productsData.edges
+            .map((edge) => edge.node)
+            .filter((product) => !pinnedIds.has(product.id));
 
-          // Apply client-side filtering for search mode
-          if (clientSideFilterParams && this.isSearchMode) {
-            pageProducts = this.applyClientSideFilters(pageProducts, clientSideFilterParams);
+          // Apply client-side filtering for filters the API couldn't apply
+          if (clientSideFilterParams) {
+            pageProducts = await this.applyClientSideFilters(pageProducts, clientSideFilterParams);
             this.debugLog(
               `🟡 CollectionGroupingEnhancer: Applied client-side filters, ${pageProducts.length} products remaining`,
             );
           }
 
+          // Field terms and exclusions typed in the search box (grouping/search-query.js)
+          if (this.compiledSearch?.filters.length > 0) {
+            pageProducts = await this.productWorker.applySearchFilters(
+              pageProducts,
+              this.compiledSearch.filters,
+            );
+          }
+
           // Apply relevance scoring and sorting for search mode (prioritize exact artist matches, demote compilations)
-          if (this.isSearchMode && this.searchTerms) {
-            pageProducts = this.sortByRelevance(pageProducts, this.searchTerms);
+          // Skipped when the shopper picked an explicit sort - the API already returns that order
+          if (this.isSearchMode && this.searchTerms && sortByRelevance) {
+            pageProducts = await this.sortByRelevance(
+              pageProducts,
+              this.compiledSearch.text,
+              this.compiledSearch.hints,
+            );
             this.debugLog(
               `🟢 CollectionGroupingEnhancer: Sorted ${pageProducts.length} products by relevance`,
             );
           }
 
-          // Store original order
-          pageProducts.forEach((product, index) => {
-            this.originalProductOrder.set(product.id, totalFetched + index);
-          });
-
-          // Add to our product map BEFORE grouping (so grouping can find them)
-          pageProducts.forEach((product) => {
-            this.productMap.set(product.id, product);
-            this.allProductsMap.set(product.id, product);
-          });
-
-          this.allFetchedProducts.push(...pageProducts);
           totalFetched += pageProducts.length;
-
           this.debugLog(
             `🟢 Progressive: Fetched ${pageProducts.length} products (total: ${totalFetched})`,
           );
 
-          // Group this batch incrementally
-          const newGrouped = this.groupProductsIncremental(pageProducts);
-          this.debugLog(`🟢 Progressive: Grouped into ${newGrouped.length} items to render`);
-
-          // Render new products
-          if (newGrouped.length > 0) {
-            const beforeCount = grid.children.length;
-            await this.renderProductsBatch(grid, newGrouped, RENDER_BATCH_SIZE);
-            const afterCount = grid.children.length;
-
-            // Ensure grid is visible after rendering
-            grid.classList.remove('js-grouping-hidden');
-            if (grid.style.display === 'none') {
-              grid.style.display = '';
-            }
-            this.debugLog(
-              `🟢 Progressive: Rendered ${newGrouped.length} items, grid went from ${beforeCount} to ${afterCount} children`,
-            );
-
-            if (afterCount === beforeCount) {
-              this.debugLog('🔴 Progressive: CRITICAL - Items were not added to grid!');
-            }
-          } else {
-            this.debugLog(`🟡 Progressive: No items to render from batch ${pageCount}`);
-          }
+          await this.processProductPage(pageProducts, grid, RENDER_BATCH_SIZE);
 
           // Update pagination
           hasNextPage = productsData.pageInfo.hasNextPage;
@@ -781,533 +805,424 @@ if (!customElements.get('collection-grouping-enhancer')) {
             await new Promise((resolve) => setTimeout(resolve, 50));
           }
         } catch (error) {
+          if (error.name === 'AbortError') {
+            this.debugLog('🟡 Progressive: Loading cancelled (filters changed)');
+            fetchFailed = true;
+            break;
+          }
           this.debugLog('🔴 Progressive: Error fetching batch:', error.message);
           this.debugLog('🔴 Progressive: Error stack:', error.stack);
+          fetchFailed = true;
           break;
         }
       }
 
+      // Groups were placed by their first-seen member - move them to their aggregate position
+      this.applySortOrder(grid);
+      if (!fetchFailed) {
+        this.dispatchProductsGrouped();
+      }
+
+      // Only cache complete result sets - a partial list would hide products on the next visit
+      if (cache && !fetchFailed && this.activeCacheKey === cacheKey) {
+        cache.set(cacheKey, this.allFetchedProducts);
+      }
+
       this.debugLog(`🟢 Progressive: Complete! Fetched ${totalFetched} products total`);
     }
 
     /**
-     * Apply client-side filters to products (for search mode where API filters don't work)
-     * Applies ALL active filters: productType, styleGenre, mediaCondition, sleeveCondition, price
+     * Record, group and render one page of products
+     * Shared by the network loop and the cache paths
      */
-    applyClientSideFilters(products, filterParams) {
-      if (!filterParams) {
-        return products; // No filters, return all products
-      }
+    async processProductPage(pageProducts, grid, renderBatchSize) {
+      const offset = this.allFetchedProducts.length;
 
-      // Check if any filters are active
-      const hasFilters =
-        filterParams.productType ||
-        filterParams.styleGenre ||
-        filterParams.mediaCondition ||
-        filterParams.sleeveCondition ||
-        filterParams.priceMin ||
-        filterParams.priceMax;
+      // Store original order
+      pageProducts.forEach((product, index) => {
+        this.originalProductOrder.set(product.id, offset + index);
+      });
 
-      if (!hasFilters) {
-        return products; // No active filters, return all products
+      pageProducts.forEach((product) => {
+        this.allProductsMap.set(product.id, product);
+      });
+
+      this.allFetchedProducts.push(...pageProducts);
+
+      // Group this batch incrementally (in the product data worker)
+      const newGrouped = this.filterSoldOutItems(
+        await this.groupProductsIncremental(pageProducts, offset),
+      );
+      this.debugLog(`🟢 Progressive: Grouped into ${newGrouped.length} items to render`);
+
+      if (newGrouped.length === 0) {
+        this.debugLog('🟡 Progressive: No items to render from this batch');
+        return;
       }
 
+      // Render new products
+      const beforeCount = grid.children.length;
+      await this.renderProductsBatch(grid, newGrouped, renderBatchSize);
+      const afterCount = grid.children.length;
+
+      // Ensure grid is visible after rendering
+      grid.classList.remove('js-grouping-hidden');
+      if (grid.style.display === 'none') {
+        grid.style.display = '';
+      }
       this.debugLog(
-        '🔵 CollectionGroupingEnhancer: Applying client-side filters:',
-        JSON.stringify(filterParams),
+        `🟢 Progressive: Rendered ${newGrouped.length} items, grid went from ${beforeCount} to ${afterCount} children`,
       );
-      this.debugLog(`🔵 CollectionGroupingEnhancer: Products to filter: ${products.length}`);
-
-      // Apply all filters - product must match ALL active filters (AND logic)
-      return products.filter((product) => {
-        let matches = true;
 
-        // 1. Product Type filter
-        if (filterParams.productType) {
-          const filterType = filterParams.productType;
-          const filterTypes = Array.isArray(filterType) ? filterType : [filterType];
-          const productType = (product.productType || '').toLowerCase();
+      if (afterCount === beforeCount) {
+        this.debugLog('🔴 Progressive: CRITICAL - Items were not added to grid!');
+      }
+    }
 
-          const typeMatches = filterTypes.some((filter) => {
-            const filterLower = filter.toLowerCase().trim();
+    /**
+     * Render a cached product list in API-sized pages so the first cards appear quickly
+     */
+    async renderCachedProducts(products, grid, renderBatchSize) {
+      const PAGE_SIZE = 250;
+      for (let i = 0; i < products.length; i += PAGE_SIZE) {
+        await this.processProductPage(products.slice(i, i + PAGE_SIZE), grid, renderBatchSize);
+      }
+    }
 
-            // Handle specific filter mappings
-            if (filterLower === 'vinyl lps' || filterLower === 'lp albums') {
-              return productType.includes('lp');
-            }
-            if (filterLower === 'cd albums') {
-              return productType.includes('cd');
-            }
-            if (filterLower === '7" singles') {
-              return productType.includes('7');
-            }
-            if (filterLower === '12" singles') {
-              return productType.includes('12');
-            }
-            if (filterLower === '10" vinyl') {
-              return productType.includes('10');
-            }
-            if (filterLower === 'cassette albums') {
-              return productType.includes('cassette');
-            }
-            // Handle "DVD & Blu-ray" - check for both variations and ampersand encoding
-            if (
-              filterLower === 'dvd & blu-ray' ||
-              filterLower === 'dvd and blu-ray' ||
-              (filterLower.includes('dvd') && filterLower.includes('blu'))
-            ) {
-              return (
-                productType.includes('dvd') ||
-                productType.includes('blu') ||
-                productType.includes('blu-ray')
-              );
-            }
+    /**
+     * Stale-while-revalidate: compare cached products against lightweight
+     * id/updatedAt stamps, refetch only changed or new products, then update
+     * the cache and re-render if anything differs
+     */
+    async revalidateCache(cacheKey, cachedProducts, filters, sortParams, grid, signal = null) {
+      const PAGE_SIZE = 250;
 
-            // Fallback to partial match
-            return productType.includes(filterLower);
-          });
+      try {
+        const stamps = [];
+        let cursor = null;
+        let hasNextPage = true;
 
-          if (!typeMatches) {
-            matches = false;
+        while (hasNextPage && stamps.length < 5000) {
+          const data = await this.apiClient.getCollectionProductStamps(
+            this.collectionHandle,
+            filters,
+            cursor,
+            PAGE_SIZE,
+            sortParams,
+            { signal },
+          );
+          const productsData = data.collection?.products;
+          if (!productsData) {
+            return;
           }
+
+          stamps.push(...productsData.edges.map((edge) => edge.node));
+          hasNextPage = productsData.pageInfo.hasNextPage;
+          cursor = productsData.pageInfo.endCursor;
         }
 
-        // 2. Style/Genre filter (metafield: computed_style_genre)
-        if (filterParams.styleGenre && matches) {
-          const filterGenre = filterParams.styleGenre;
-          const filterGenres = Array.isArray(filterGenre) ? filterGenre : [filterGenre];
-          const productGenre = (product.style_genre?.value || '').toLowerCase().trim();
+        // Filters or sort changed while we were revalidating
+        if (this.activeCacheKey !== cacheKey) {
+          return;
+        }
 
-          const genreMatches = filterGenres.some((filter) => {
-            const filterLower = filter.toLowerCase().trim();
-            return productGenre === filterLower || productGenre.includes(filterLower);
-          });
+        const productsById = new Map(cachedProducts.map((product) => [product.id, product]));
+        const staleIds = stamps
+          .filter((stamp) => productsById.get(stamp.id)?.updatedAt !== stamp.updatedAt)
+          .map((stamp) => stamp.id);
+        const orderChanged =
+          stamps.length !== cachedProducts.length ||
+          stamps.some((stamp, index) => stamp.id !== cachedProducts[index].id);
 
-          if (!genreMatches) {
-            matches = false;
-          }
+        if (staleIds.length === 0 && !orderChanged) {
+          this.debugLog('🟢 Cache: Cached products are up to date');
+          window.productCache.set(cacheKey, cachedProducts);
+          return;
         }
 
-        // 3. Media Condition filter
-        if (filterParams.mediaCondition && matches) {
-          const filterCondition = filterParams.mediaCondition;
-          const filterConditions = Array.isArray(filterCondition)
-            ? filterCondition
-            : [filterCondition];
-          const productCondition = (product.media_condition?.value || '').toLowerCase().trim();
-
-          const conditionMatches = filterConditions.some((filter) => {
-            const filterLower = filter.toLowerCase().trim();
-            return productCondition === filterLower || productCondition.includes(filterLower);
-          });
+        this.debugLog(
+          `🟡 Cache: ${staleIds.length} products changed${orderChanged ? ', order changed' : ''} - refreshing`,
+        );
 
-          if (!conditionMatches) {
-            matches = false;
-          }
+        for (let i = 0; i < staleIds.length; i += PAGE_SIZE) {
+          const freshProducts = await this.apiClient.getProductsByIds(
+            staleIds.slice(i, i + PAGE_SIZE),
+            { signal, metafields: this.groupingMetafields },
+          );
+          freshProducts.forEach((product) => productsById.set(product.id, product));
         }
 
-        // 4. Sleeve Condition filter
-        if (filterParams.sleeveCondition && matches) {
-          const filterCondition = filterParams.sleeveCondition;
-          const filterConditions = Array.isArray(filterCondition)
-            ? filterCondition
-            : [filterCondition];
-          const productCondition = (product.sleeve_condition?.value || '').toLowerCase().trim();
-
-          const conditionMatches = filterConditions.some((filter) => {
-            const filterLower = filter.toLowerCase().trim();
-            return productCondition === filterLower || productCondition.includes(filterLower);
-          });
+        const products = stamps.map((stamp) => productsById.get(stamp.id)).filter(Boolean);
+        await window.productCache.set(cacheKey, products);
 
-          if (!conditionMatches) {
-            matches = false;
-          }
+        if (this.activeCacheKey !== cacheKey || !grid.isConnected) {
+          return;
         }
 
-        // 5. Price range filter
-        if (matches && (filterParams.priceMin || filterParams.priceMax)) {
-          const minPrice = product.priceRange?.minVariantPrice?.amount
-            ? parseFloat(product.priceRange.minVariantPrice.amount)
-            : null;
+        await this.rerenderProducts(products, grid);
+      } catch (error) {
+        // Keep showing cached products - they're at most PRODUCT_CACHE_TTL old
+        this.debugLog('🟡 Cache: Revalidation failed:', error.message);
+      }
+    }
 
-          if (minPrice !== null) {
-            if (filterParams.priceMin && minPrice < parseFloat(filterParams.priceMin)) {
-              matches = false;
-            }
-            if (filterParams.priceMax && minPrice > parseFloat(filterParams.priceMax)) {
-              matches = false;
-            }
-          }
-        }
+    /**
+     * Replace the rendered grid with a fresh product list (after cache revalidation)
+     */
+    async rerenderProducts(products, grid) {
+      this.allFetchedProducts = [];
+      this.productWorker.resetGrouping(this.groupingStrategy, this.groupingAliases);
+      this.allProductsMap = new Map();
+      this.originalProductOrder = new Map();
+      this.renderedCards = [];
 
-        // Debug first few products
-        if (products.indexOf(product) < 3) {
-          this.debugLog(`🔵 Filter check: product="${product.title}", matches=${matches}`, {
-            productType: product.productType,
-            styleGenre: product.style_genre?.value,
-            mediaCondition: product.media_condition?.value,
-            price: product.priceRange?.minVariantPrice?.amount,
-          });
-        }
+      grid.innerHTML = '';
+      await this.renderCachedProducts(products, grid, 50);
+      this.applySortOrder(grid);
+      this.reinitializeComponents();
+      this.dispatchProductsGrouped();
+    }
 
-        return matches;
-      });
+    /**
+     * Announce the loaded result set so facets can describe it (release year histogram,
+     * label list), and offer a spelling correction on the search page
+     */
+    dispatchProductsGrouped() {
+      document.dispatchEvent(
+        new CustomEvent(EVENTS.PRODUCT_GROUPED, {
+          detail: {
+            productCount: this.allFetchedProducts.length,
+            releaseYears: countReleaseYears(this.allFetchedProducts),
+            labels: countRecordLabels(this.allFetchedProducts),
+          },
+        }),
+      );
+      this.renderSearchSuggestion();
     }
 
     /**
-     * Sort products by relevance to search terms
-     * Mirrors Shopify's native relevance algorithm:
-     * - Keyword frequency (how many times term appears)
-     * - Field importance (title > vendor > tags > productType)
-     * - Field length (shorter fields rank higher)
-     * Plus custom music-specific logic (artist matches, compilation penalties)
+     * "Did you mean Jimi hendrix?" under the search box (main-search.liquid), from the artist
+     * and title words of the loaded results (grouping/spelling.js)
      */
-    sortByRelevance(products, searchTerms) {
-      if (!searchTerms || !products || products.length === 0) {
-        return products;
+    renderSearchSuggestion() {
+      const container = document.querySelector('[data-search-suggestion]');
+      if (!this.isSearchMode || !container) {
+        return;
       }
 
-      const searchLower = searchTerms.toLowerCase().trim();
-      const searchWords = searchLower.split(/\s+/).filter((w) => w.length > 0);
+      const suggestion = suggestSearchCorrection(
+        this.searchTerms,
+        buildSearchVocabulary(this.allFetchedProducts),
+      );
+      if (!suggestion) {
+        container.hidden = true;
+        return;
+      }
 
-      // Helper: Count keyword frequency in text
-      const countKeywordFrequency = (text, keywords) => {
-        if (!text) {
-          return 0;
-        }
-        const textLower = text.toLowerCase();
-        return keywords.reduce((count, keyword) => {
-          // Count occurrences (case-insensitive)
-          const regex = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-          const matches = textLower.match(regex);
-          return count + (matches ? matches.length : 0);
-        }, 0);
-      };
+      const url = new URL(window.location.href);
+      url.searchParams.set('q', suggestion);
+      url.searchParams.delete('page');
+      const link = document.createElement('a');
+      link.className = 'link';
+      link.href = `${url.pathname}${url.search}`;
+      link.textContent = suggestion;
+
+      // "Did you mean [suggestion]?" from the section's locale string, the link in its place
+      const [before, after = ''] = container.dataset.didYouMean.split('[suggestion]');
+      container.replaceChildren(before, link, after);
+      container.hidden = false;
+      this.debugLog('🔵 CollectionGroupingEnhancer: Suggested spelling:', suggestion);
+    }
 
-      // Helper: Calculate field length score (shorter = better, like Shopify)
-      const getFieldLengthScore = (fieldText, baseScore) => {
-        if (!fieldText) {
-          return 0;
-        }
-        const length = fieldText.length;
-        // Shorter fields get bonus, longer fields get penalty
-        // Formula: baseScore * (1 - (length / 200))
-        // This means a 50-char field gets ~75% of baseScore, 200+ char gets ~0%
-        const lengthMultiplier = Math.max(0, 1 - length / 200);
-        return baseScore * lengthMultiplier;
-      };
+    /**
+     * Get every product represented by a render item (group members or the single product)
+     */
+    getItemProducts(item) {
+      if (item.type === 'group') {
+        const group = item.group || {};
+        const mainProduct = group.mainProduct || item.product;
+        return [mainProduct, ...(group.variantProducts || item.variantProducts || [])].filter(
+          Boolean,
+        );
+      }
+      return item.product ? [item.product] : [];
+    }
 
-      // Score each product
-      const scoredProducts = products.map((product) => {
-        let score = 0;
-
-        // Get all searchable fields
-        const artist = (product.artist?.value || '').toLowerCase().trim();
-        const title = (product.title || '').toLowerCase();
-        const vendor = (product.vendor || '').toLowerCase();
-        const tags = (product.tags || []).map((t) => t.toLowerCase()).join(' ');
-        const productType = (product.productType || '').toLowerCase();
-
-        // === SHOPIFY'S NATIVE RELEVANCE FACTORS ===
-
-        // 1. KEYWORD FREQUENCY with FIELD IMPORTANCE
-        // Title (highest weight) - Shopify prioritizes title matches
-        const titleFreq = countKeywordFrequency(title, searchWords);
-        if (titleFreq > 0) {
-          // Exact phrase match in title gets highest score
-          if (title.includes(searchLower)) {
-            score += 1000 * (1 + titleFreq * 0.5); // Base 1000 + frequency bonus
-          } else if (searchWords.every((word) => title.includes(word))) {
-            // All words present
-            score += 800 * (1 + titleFreq * 0.3);
-          } else {
-            // Some words present
-            score += 400 * (1 + titleFreq * 0.2);
-          }
-          // Field length bonus (shorter titles rank higher)
-          score += getFieldLengthScore(title, 200);
-        }
+    /**
+     * Get the value a render item sorts by for the active sort_by
+     * Groups use an aggregate of their members: lowest price, newest copy
+     */
+    getItemSortValue(item) {
+      const products = this.getItemProducts(item);
+
+      if (this.sortBy.startsWith('price-')) {
+        const prices = products
+          .map((p) => parseFloat(p.priceRange?.minVariantPrice?.amount || 0))
+          .filter((price) => price > 0);
+        return prices.length > 0 ? Math.min(...prices) : 0;
+      }
 
-        // Vendor (medium-high weight)
-        const vendorFreq = countKeywordFrequency(vendor, searchWords);
-        if (vendorFreq > 0) {
-          if (vendor.includes(searchLower)) {
-            score += 500 * (1 + vendorFreq * 0.3);
-          } else if (searchWords.every((word) => vendor.includes(word))) {
-            score += 300 * (1 + vendorFreq * 0.2);
-          } else {
-            score += 150 * (1 + vendorFreq * 0.1);
-          }
-          score += getFieldLengthScore(vendor, 100);
-        }
+      if (this.sortBy.startsWith('created-')) {
+        const dates = products.map((p) => Date.parse(p.createdAt) || 0);
+        return dates.length > 0 ? Math.max(...dates) : 0;
+      }
 
-        // Tags (medium weight)
-        const tagsFreq = countKeywordFrequency(tags, searchWords);
-        if (tagsFreq > 0) {
-          if (tags.includes(searchLower)) {
-            score += 300 * (1 + tagsFreq * 0.2);
-          } else if (searchWords.some((word) => tags.includes(word))) {
-            score += 150 * (1 + tagsFreq * 0.1);
-          }
-          score += getFieldLengthScore(tags, 50);
-        }
+      if (this.sortBy.startsWith('title-')) {
+        return (products[0]?.title || '').toLowerCase();
+      }
 
-        // ProductType (lower weight)
-        const productTypeFreq = countKeywordFrequency(productType, searchWords);
-        if (productTypeFreq > 0) {
-          if (productType.includes(searchLower)) {
-            score += 200 * (1 + productTypeFreq * 0.2);
-          } else if (searchWords.some((word) => productType.includes(word))) {
-            score += 100 * (1 + productTypeFreq * 0.1);
-          }
-          score += getFieldLengthScore(productType, 30);
-        }
+      return item.originalIndex;
+    }
 
-        // === CUSTOM MUSIC-SPECIFIC LOGIC (Additional Layer) ===
-
-        // Artist metafield match (music-specific, very high priority)
-        if (artist) {
-          if (artist === searchLower) {
-            score += 1500; // Exact artist match (highest priority for music)
-          } else if (artist.includes(searchLower)) {
-            score += 800; // Partial artist match
-          } else if (searchWords.length > 0 && searchWords.every((word) => artist.includes(word))) {
-            score += 600; // All search words in artist
-          } else if (searchWords.some((word) => artist.includes(word))) {
-            score += 300; // Some search words in artist
-          }
-        }
+    /**
+     * Products whose catalogue number is exactly the one searched for, from the catalogue
+     * collection (theme setting); [] when none is set or the lookup fails
+     */
+    async fetchCatalogueMatches(signal, metafields) {
+      const handle = document.querySelector('meta[name="more-from-collection"]')?.content;
+      try {
+        return await this.apiClient.getCatalogueNumberMatches(handle, this.catalogueNumber, {
+          signal,
+          metafields,
+        });
+      } catch (error) {
+        this.debugLog('🔴 CollectionGroupingEnhancer: Catalogue number lookup failed:', {
+          error: error.message,
+        });
+        return [];
+      }
+    }
 
-        // Penalty: Compilations ("Various" artist) should rank lower
-        if (artist === 'various' || artist.startsWith('various ')) {
-          score -= 400; // Heavy penalty for compilations
-        }
+    /**
+     * Whether a render item (or any copy in its group) is an exact catalogue number match
+     */
+    isCatalogueMatch(item) {
+      const products = [item.product, ...(item.variantProducts || [])];
+      return products.some((product) =>
+        matchesCatalogueNumber(product, this.catalogueNumber?.normalized),
+      );
+    }
 
-        // Small penalty: Products with no artist metafield (less reliable for music)
-        if (!artist || artist === '') {
-          score -= 30;
+    /**
+     * Compare two render items according to the active sort_by
+     * Manual, best-selling and relevance keep the API order (originalIndex)
+     * Exact catalogue number matches stay first whatever the sort
+     */
+    compareRenderItems(a, b) {
+      if (this.catalogueNumber) {
+        const pinned = Number(this.isCatalogueMatch(b)) - Number(this.isCatalogueMatch(a));
+        if (pinned !== 0) {
+          return pinned;
         }
+      }
 
-        return { product, score };
-      });
+      const sortBy = this.sortBy || '';
+      const usesAggregate =
+        sortBy.startsWith('price-') || sortBy.startsWith('created-') || sortBy.startsWith('title-');
 
-      // Sort by score (descending), then by title for tie-breaking
-      scoredProducts.sort((a, b) => {
-        if (b.score !== a.score) {
-          return b.score - a.score; // Higher score first
-        }
-        // Tie-breaker: alphabetical by title
-        const titleA = (a.product.title || '').toLowerCase();
-        const titleB = (b.product.title || '').toLowerCase();
-        return titleA.localeCompare(titleB);
-      });
+      if (!usesAggregate) {
+        return a.originalIndex - b.originalIndex;
+      }
 
-      // Log top 5 for debugging
-      if (scoredProducts.length > 0) {
-        const top5 = scoredProducts.slice(0, 5).map(({ product, score }) => ({
-          title: product.title,
-          artist: product.artist?.value || 'N/A',
-          vendor: product.vendor || 'N/A',
-          score: Math.round(score),
-        }));
-        this.debugLog('🔵 Shopify-style relevance scoring - Top 5:', top5);
+      const valueA = this.getItemSortValue(a);
+      const valueB = this.getItemSortValue(b);
+      const direction = sortBy.endsWith('-descending') ? -1 : 1;
+
+      let result = 0;
+      if (typeof valueA === 'string') {
+        result = valueA.localeCompare(valueB);
+      } else {
+        result = valueA - valueB;
       }
 
-      return scoredProducts.map(({ product }) => product);
+      // Tie-breaker: keep API order
+      return result * direction || a.originalIndex - b.originalIndex;
     }
 
     /**
-     * Groups products incrementally, handling merging with existing groups
+     * Re-order rendered cards in the grid to match compareRenderItems()
+     * Moves existing nodes, so no cards are re-rendered
      */
-    groupProductsIncremental(newProducts) {
-      const getFormat = (productType) => {
-        if (!productType) {
-          return '';
-        }
-        const type = productType.trim();
-        const typeLower = type.toLowerCase();
-        if (typeLower.includes('12')) {
-          return '12"';
-        }
-        if (typeLower.includes('10')) {
-          return '10"';
-        }
-        if (typeLower.includes('7')) {
-          return '7"';
-        }
-        if (typeLower.includes('box')) {
-          if (typeLower.includes('lp') || typeLower.includes('vinyl')) {
-            return 'LP Box';
-          }
-          if (typeLower.includes('cd')) {
-            return 'CD Box';
-          }
-          return 'Box Set';
-        }
-        if (typeLower.includes('lp')) {
-          return 'LP';
-        }
-        if (typeLower.includes('cd')) {
-          return 'CD';
-        }
-        if (typeLower.includes('cassette')) {
-          return 'Cassette';
-        }
-        if (typeLower.includes('ep')) {
-          return 'EP';
-        }
-        if (typeLower.includes('dvd')) {
-          return 'DVD';
-        }
-        if (typeLower.includes('blu')) {
-          return 'Blu-ray';
-        }
-        if (typeLower.includes('vhs')) {
-          return 'VHS';
-        }
-        return '';
-      };
+    applySortOrder(grid) {
+      if (!grid || !this.renderedCards || this.renderedCards.length < 2) {
+        return;
+      }
 
-      const itemsToRender = [];
-      const processedIds = new Set();
+      const sorted = [...this.renderedCards].sort((a, b) =>
+        this.compareRenderItems(a.item, b.item),
+      );
+      const changed = sorted.some((entry, index) => entry !== this.renderedCards[index]);
+      if (!changed) {
+        return;
+      }
 
-      // Process new products
-      let skippedCount = 0;
-      for (const product of newProducts) {
-        // If product is already rendered (as part of a group or individually), skip it
-        if (this.renderedProductIds.has(product.id)) {
-          skippedCount++;
-          continue; // Already rendered - don't render again
-        }
+      const fragment = document.createDocumentFragment();
+      sorted.forEach(({ element }) => fragment.appendChild(element));
+      grid.appendChild(fragment);
+      this.renderedCards = sorted;
 
-        const artist = product.artist && product.artist.value ? product.artist.value.trim() : '';
-        const album =
-          product.title_metafield && product.title_metafield.value
-            ? product.title_metafield.value.trim()
-            : '';
-        const format = getFormat(product.productType);
-
-        if (!artist || !album) {
-          // Single product without grouping info
-          itemsToRender.push({
-            type: 'single',
-            product,
-            originalIndex: this.originalProductOrder.get(product.id) ?? Infinity,
-          });
-          this.renderedProductIds.add(product.id);
-          processedIds.add(product.id);
-          continue;
-        }
+      this.debugLog(`🟢 CollectionGroupingEnhancer: Re-ordered ${sorted.length} cards for sort`, {
+        sortBy: this.sortBy,
+      });
+    }
 
-        // Check for existing group
-        const groupKey = `${artist.toLowerCase()}|${album.toLowerCase()}|${format}`;
-        let existingGroup = this.groupMap.get(groupKey);
+    /**
+     * Apply client-side filters to products - only the filters the API couldn't apply
+     * (see StorefrontAPIClient.splitFilterParams)
+     * Runs in the product data worker (workers/product-data.js)
+     */
+    async applyClientSideFilters(products, filterParams) {
+      if (!filterParams) {
+        return products; // No filters, return all products
+      }
 
-        // Check if group was already rendered BEFORE adding product to it
-        const groupAlreadyRendered =
-          existingGroup && this.renderedProductIds.has(existingGroup.mainProduct.id);
+      this.debugLog(
+        '🔵 CollectionGroupingEnhancer: Applying client-side filters:',
+        JSON.stringify(filterParams),
+      );
+      this.debugLog(`🔵 CollectionGroupingEnhancer: Products to filter: ${products.length}`);
 
-        if (!existingGroup) {
-          // Check if any products in this group already exist (including current product)
-          const matchingProducts = [];
+      return this.productWorker.applyFilters(products, filterParams);
+    }
 
-          // Always include current product first
-          matchingProducts.push(product);
+    /**
+     * Sort products by relevance to search terms
+     * Mirrors Shopify's native relevance algorithm (see workers/product-data.js)
+     * @param {Object} hints - { artist, label } typed as field terms (compileSearchQuery())
+     */
+    async sortByRelevance(products, searchTerms, hints = null) {
+      if (!products || products.length === 0) {
+        return products;
+      }
 
-          // Then check for other matching products in productMap
-          for (const [id, p] of this.productMap.entries()) {
-            // Skip if already rendered or if it's the current product
-            if (this.renderedProductIds.has(id) || id === product.id) {
-              continue;
-            }
-            const pArtist = p.artist && p.artist.value ? p.artist.value.trim() : '';
-            const pAlbum =
-              p.title_metafield && p.title_metafield.value ? p.title_metafield.value.trim() : '';
-            const pFormat = getFormat(p.productType);
-            if (
-              pArtist.toLowerCase() === artist.toLowerCase() &&
-              pAlbum.toLowerCase() === album.toLowerCase() &&
-              pFormat === format
-            ) {
-              matchingProducts.push(p);
-            }
-          }
+      const sorted = await this.productWorker.sortByRelevance(products, searchTerms, hints);
 
-          if (matchingProducts.length > 1) {
-            // Create new group
-            existingGroup = {
-              type: 'group',
-              mainProduct: matchingProducts[0],
-              variantProducts: matchingProducts.slice(1),
-              format: format,
-              allProducts: matchingProducts,
-            };
-            this.groupMap.set(groupKey, existingGroup);
-          }
-        } else {
-          // Add to existing group
-          if (!existingGroup.allProducts.find((p) => p.id === product.id)) {
-            existingGroup.allProducts.push(product);
-            if (existingGroup.mainProduct.id !== product.id) {
-              existingGroup.variantProducts.push(product);
-            }
-          }
-        }
+      // Log top 5 for debugging
+      if (sorted.length > 0) {
+        const top5 = sorted.slice(0, 5).map((product) => ({
+          title: product.title,
+          artist: product.artist?.value || 'N/A',
+          vendor: product.vendor || 'N/A',
+        }));
+        this.debugLog('🔵 Shopify-style relevance scoring - Top 5:', top5);
+      }
 
-        // If group was already rendered, skip this product (it's already in the rendered group)
-        if (groupAlreadyRendered) {
-          // Product matches an already-rendered group - skip it (already rendered as part of group)
-          this.renderedProductIds.add(product.id);
-          processedIds.add(product.id);
-          skippedCount++;
-        } else if (existingGroup && existingGroup.allProducts.length > 1) {
-          // Render group if ready (only if we have 2+ products and not already rendered)
-          // CRITICAL: Only mark products as rendered that are actually in this batch being processed
-          const productsInThisBatch = existingGroup.allProducts.filter((p) =>
-            newProducts.some((np) => np.id === p.id),
-          );
+      return sorted;
+    }
 
-          // Only render if at least one product from this batch is in the group
-          if (productsInThisBatch.length > 0) {
-            const variantHandles = existingGroup.variantProducts.map((p) => p.handle).join(',');
-            itemsToRender.push({
-              type: 'group',
-              group: {
-                mainProduct: existingGroup.mainProduct,
-                variantProducts: existingGroup.variantProducts,
-                format: existingGroup.format,
-              },
-              variantHandles,
-              variantProducts: existingGroup.variantProducts,
-              product: existingGroup.mainProduct,
-              originalIndex:
-                this.originalProductOrder.get(existingGroup.mainProduct.id) ?? Infinity,
-            });
-
-            // Mark only products from this batch as rendered (not all products in group)
-            productsInThisBatch.forEach((p) => {
-              this.renderedProductIds.add(p.id);
-              processedIds.add(p.id);
-            });
-            // Also mark main product if it's in this batch
-            if (productsInThisBatch.some((p) => p.id === existingGroup.mainProduct.id)) {
-              this.renderedProductIds.add(existingGroup.mainProduct.id);
-            }
-          }
-        } else {
-          // Single product (no group, or group with only 1 product)
-          itemsToRender.push({
-            type: 'single',
-            product,
-            originalIndex: this.originalProductOrder.get(product.id) ?? Infinity,
-          });
-          this.renderedProductIds.add(product.id);
-          processedIds.add(product.id);
-        }
-      }
+    /**
+     * Groups products incrementally, handling merging with existing groups
+     * Grouping state lives in the product data worker; reset it with productWorker.resetGrouping()
+     * @param {number} offset - Position of the first product in the overall result order
+     */
+    async groupProductsIncremental(newProducts, offset = 0) {
+      const { items: itemsToRender, skippedCount } = await this.productWorker.groupIncremental(
+        newProducts,
+        offset,
+      );
 
-      // Sort by original order
-      itemsToRender.sort((a, b) => a.originalIndex - b.originalIndex);
+      // Sort by active sort order (original API order by default)
+      itemsToRender.sort((a, b) => this.compareRenderItems(a, b));
 
       if (newProducts.length > 0 && itemsToRender.length === 0) {
         this.debugLog(
@@ -1318,6 +1233,14 @@ if (!customElements.get('collection-grouping-enhancer')) {
       return itemsToRender;
     }
 
+    /**
+     * Drop groups and singles with no purchasable copy when "Hide sold-out groups" is on
+     * Groups with any copy in stock are kept, sold-out copies included
+     */
+    filterSoldOutItems(items) {
+      return this.hideSoldOutGroups ? items.filter(hasPurchasableCopy) : items;
+    }
+
     /**
      * Render a batch of products progressively
      */
@@ -1347,6 +1270,7 @@ if (!customElements.get('collection-grouping-enhancer')) {
             const cardElement = await this.fetchCard(item);
             if (cardElement && cardElement.cardElement) {
               fragment.appendChild(cardElement.cardElement);
+              this.renderedCards?.push({ item, element: cardElement.cardElement });
               cardsAdded++;
             } else {
               this.debugLog(
@@ -1369,6 +1293,11 @@ if (!customElements.get('collection-grouping-enhancer')) {
         grid.appendChild(fragment);
         const afterAppend = grid.children.length;
 
+        if (cardsAdded > 0) {
+          window.performanceReporter?.markOnce('timeToFirstGroupedCard');
+          window.performanceReporter?.recordMetric('renderBatches');
+        }
+
         this.debugLog(
           `🟢 renderProductsBatch: After append - grid went from ${beforeAppend} to ${afterAppend} children (added ${afterAppend - beforeAppend})`,
         );
@@ -1396,9 +1325,11 @@ if (!customElements.get('collection-grouping-enhancer')) {
      * Fetches ALL products from a collection via Storefront API
      * Handles pagination automatically (250 products per page, up to 5,000 total)
      *
+     * @param {Array} filters - Storefront API ProductFilter objects
+     * @param {Object|null} sort - { sortKey, reverse }, defaults to the URL sort_by
      * @returns {Promise<Array>} - Array of all products in the collection
      */
-    async fetchAllProducts(filters = []) {
+    async fetchAllProducts(filters = [], sort = null) {
       const mode = this.isSearchMode ? 'search' : 'collection';
       const identifier = this.isSearchMode ? this.searchTerms : this.collectionHandle;
       window.themeLogger?.log(
@@ -1420,6 +1351,8 @@ if (!customElements.get('collection-grouping-enhancer')) {
       let hasNextPage = true;
       const limit = 250; // Max per request
       let pageCount = 0;
+      const sortParams =
+        sort || this.apiClient.buildSortParams(this.sortBy || this.apiClient.parseURLSort());
 
       while (hasNextPage && allProducts.length < 5000) {
         // Safety limit
@@ -1435,6 +1368,8 @@ if (!customElements.get('collection-grouping-enhancer')) {
             filters, // Use provided filters
             cursor,
             limit,
+            sortParams,
+            { metafields: this.groupingMetafields },
           );
 
           window.themeLogger?.log('🟢 CollectionGroupingEnhancer: API response received:', {
@@ -1490,158 +1425,25 @@ if (!customElements.get('collection-grouping-enhancer')) {
      * @param {Array} products - Array of product objects from Storefront API
      * @returns {Object} - { groups: Array, singles: Array }
      */
-    groupAllProducts(products) {
+    async groupAllProducts(products) {
       window.themeLogger?.log(
         '🟡 CollectionGroupingEnhancer: groupAllProducts() called with',
         products.length,
         'products',
       );
-      const singleProducts = [];
 
-      // Extract format from productType - MUST match Liquid logic exactly
-      // Liquid checks in this order: 12, 10, 7, Box, LP, CD, Cassette, EP, DVD, Blu, VHS
-      const getFormat = (productType) => {
-        if (!productType) {
-          return '';
-        }
-        const type = productType.trim(); // Keep original case for Box check
-        const typeLower = type.toLowerCase();
-
-        // Check in exact order as Liquid (order matters!)
-        if (typeLower.includes('12')) {
-          return '12"';
-        }
-        if (typeLower.includes('10')) {
-          return '10"';
-        }
-        if (typeLower.includes('7')) {
-          return '7"';
-        }
-        // Box checks must come before LP/CD checks
-        if (typeLower.includes('box')) {
-          if (typeLower.includes('lp') || typeLower.includes('vinyl')) {
-            return 'LP Box';
-          }
-          if (typeLower.includes('cd')) {
-            return 'CD Box';
-          }
-          return 'Box Set';
-        }
-        if (typeLower.includes('lp')) {
-          return 'LP';
-        }
-        if (typeLower.includes('cd')) {
-          return 'CD';
-        }
-        if (typeLower.includes('cassette')) {
-          return 'Cassette';
-        }
-        if (typeLower.includes('ep')) {
-          return 'EP';
-        }
-        if (typeLower.includes('dvd')) {
-          return 'DVD';
-        }
-        if (typeLower.includes('blu')) {
-          return 'Blu-ray';
-        }
-        if (typeLower.includes('vhs')) {
-          return 'VHS';
-        }
-        return '';
-      };
-
-      // First pass: Group products
-      // Build a map of group keys to products
-      const groupMap = new Map(); // key: "artist|album|format", value: Set of product IDs
-      const productMap = new Map(); // key: product ID, value: product object
-
-      // First, index all products by ID and build group keys
-      for (const product of products) {
-        productMap.set(product.id, product);
-
-        // Normalize artist and album - trim and lowercase for comparison
-        const artist = product.artist && product.artist.value ? product.artist.value.trim() : '';
-        const album =
-          product.title_metafield && product.title_metafield.value
-            ? product.title_metafield.value.trim()
-            : '';
-        const format = getFormat(product.productType);
-
-        if (!artist || !album) {
-          // Can't group without artist/album - will be added to singles later
-          continue;
-        }
-
-        // Create normalized group key (case-insensitive, trimmed)
-        const groupKey = `${artist.toLowerCase()}|${album.toLowerCase()}|${format}`;
-
-        if (!groupMap.has(groupKey)) {
-          groupMap.set(groupKey, new Set());
-        }
-
-        groupMap.get(groupKey).add(product.id);
-      }
-
-      // Now build groups from the map
-      const usedProductIds = new Set();
-      const groupedArray = [];
-
-      for (const [groupKey, productIdSet] of groupMap.entries()) {
-        const productIds = Array.from(productIdSet);
-
-        // Filter out already used products
-        const uniqueProductIds = productIds.filter((id) => !usedProductIds.has(id));
-
-        if (uniqueProductIds.length > 1) {
-          // Multiple products - create group
-          const groupProducts = uniqueProductIds.map((id) => productMap.get(id)).filter(Boolean);
-
-          groupedArray.push({
-            type: 'group',
-            mainProduct: groupProducts[0],
-            variantProducts: groupProducts.slice(1),
-            format: groupKey.split('|')[2],
-          });
-
-          // Mark all products as used
-          uniqueProductIds.forEach((id) => usedProductIds.add(id));
-        } else if (uniqueProductIds.length === 1) {
-          // Single product - add to singles if not already used
-          const productId = uniqueProductIds[0];
-          if (!usedProductIds.has(productId)) {
-            singleProducts.push(productMap.get(productId));
-            usedProductIds.add(productId);
-          }
-        }
-      }
-
-      // Add any products without artist/album to singles
-      for (const product of products) {
-        if (!usedProductIds.has(product.id)) {
-          const artist = product.artist && product.artist.value ? product.artist.value : '';
-          const album =
-            product.title_metafield && product.title_metafield.value
-              ? product.title_metafield.value
-              : '';
-
-          if (!artist || !album) {
-            singleProducts.push(product);
-            usedProductIds.add(product.id);
-          }
-        }
-      }
+      const grouped = await this.productWorker.groupAll(
+        products,
+        this.groupingStrategy,
+        this.groupingAliases,
+      );
 
       window.themeLogger?.log('🟡 CollectionGroupingEnhancer: groupAllProducts() complete:', {
-        totalGroups: groupedArray.length,
-        totalSingles: singleProducts.length,
-        totalProcessed: usedProductIds.size,
+        totalGroups: grouped.groups.length,
+        totalSingles: grouped.singles.length,
       });
 
-      return {
-        groups: groupedArray,
-        singles: singleProducts,
-      };
+      return grouped;
     }
 
     /**
@@ -1749,10 +1551,10 @@ if (!customElements.get('collection-grouping-enhancer')) {
         });
       }
 
-      // Sort by original position to preserve collection order
-      allItems.sort((a, b) => a.originalIndex - b.originalIndex);
+      // Sort by active sort_by (groups use aggregate values), original position otherwise
+      allItems.sort((a, b) => this.compareRenderItems(a, b));
 
-      const fetchPromises = allItems;
+      const fetchPromises = this.filterSoldOutItems(allItems);
 
       window.themeLogger?.log(
         '🟣 CollectionGroupingEnhancer: Implementing virtual scrolling with progressive rendering',
@@ -2107,80 +1909,29 @@ if (!customElements.get('collection-grouping-enhancer')) {
       cleanTitle = cleanTitle.replace(/\s{2,}/g, ' ').trim();
 
       // Extract format from product type for display (just the format, not full product type)
-      const getFormat = (productType) => {
-        if (!productType) {
-          return '';
-        }
-        const type = productType.trim();
-        const typeLower = type.toLowerCase();
-
-        // Check in exact order (order matters!)
-        if (typeLower.includes('12')) {
-          return '12"';
-        }
-        if (typeLower.includes('10')) {
-          return '10"';
-        }
-        if (typeLower.includes('7')) {
-          return '7"';
-        }
-        if (typeLower.includes('box')) {
-          if (typeLower.includes('lp') || typeLower.includes('vinyl')) {
-            return 'LP Box';
-          }
-          if (typeLower.includes('cd')) {
-            return 'CD Box';
-          }
-          return 'Box Set';
-        }
-        if (typeLower.includes('lp')) {
-          return 'LP';
-        }
-        if (typeLower.includes('cd')) {
-          return 'CD';
-        }
-        if (typeLower.includes('cassette')) {
-          return 'Cassette';
-        }
-        if (typeLower.includes('ep')) {
-          return 'EP';
-        }
-        if (typeLower.includes('dvd')) {
-          return 'DVD';
-        }
-        if (typeLower.includes('blu')) {
-          return 'Blu-ray';
-        }
-        if (typeLower.includes('vhs')) {
-          return 'VHS';
-        }
-        return '';
-      };
-
       const displayFormat = getFormat(product.productType || product.type || '');
 
       // Get condition for single products only
-      let gradeCondition = '';
-      if (!isGroup && product.media_condition?.value) {
-        const mediaAbbr = product.media_condition.value;
-        const conditionMap = {
-          M: 'Mint (M)',
-          NM: 'Near Mint (NM or M-)',
-          'M-': 'Near Mint (NM or M-)',
-          'NM or M-': 'Near Mint (NM or M-)',
-          'VG+': 'Very Good Plus (VG+)',
-          VG: 'Very Good (VG)',
-          'G+': 'Good Plus (G+)',
-          'Good Plus': 'Good Plus (G+)',
-          G: 'Good (G)',
-          Good: 'Good (G)',
-          F: 'Fair (F)',
-          Fair: 'Fair (F)',
-          P: 'Poor (P)',
-          Poor: 'Poor (P)',
-        };
-        gradeCondition = conditionMap[mediaAbbr] || '';
-      }
+      const gradeCondition =
+        !isGroup && parseGrade(product.media_condition?.value)
+          ? formatGrade(product.media_condition.value)
+          : '';
+
+      // Badges count purchasable copies only - sold-out copies stay in the group drawer
+      const purchasableCopies = isGroup ? getPurchasableCopies([product, ...variantProducts]) : [];
+      const copiesAvailableText = formatCopiesAvailable(
+        purchasableCopies.length,
+        window.groupCardStrings,
+      );
+
+      // Per-grade breakdown for grouped products: "NM ×2 from £18 · VG+ ×3 from £9"
+      const conditionSummary = isGroup ? summarizeGroupConditions(purchasableCopies) : [];
+      const conditionSummaryText = formatConditionSummary(conditionSummary, (amount) =>
+        this.formatPrice({ amount, currencyCode: currency }),
+      );
+      const conditionSummaryTitle = conditionSummary
+        .map(({ name, count }) => `${count} × ${name}`)
+        .join(', ');
 
       // Build "from" text for grouped products
       let fromText = 'from';
@@ -2249,7 +2000,7 @@ if (!customElements.get('collection-grouping-enhancer')) {
   isGroup
     ? `
             <div class="card__group-indicator absolute top-2 right-2 text-xs px-2 py-1 rounded-full z-10">
-              ${groupSize + 1} copies available
+              ${copiesAvailableText}
             </div>
           `
     : ''
@@ -2306,7 +2057,11 @@ if (!customElements.get('collection-grouping-enhancer')) {
   isGroup
     ? `
                   <p class="card__group-info text-xs text-theme-light mb-1">
-                    ${groupSize + 1} copies available.
+                    ${
+  conditionSummaryText
+    ? `<span class="card__condition-summary" title="${this.escapeHtml(conditionSummaryTitle)}">${this.escapeHtml(conditionSummaryText)}</span>`
+    : `${copiesAvailableText}.`
+}
                   </p>
                 `
     : ''
@@ -3,121 +3,47 @@
  * Automatically enhances "more from" sections when collections don't exist or are limited
  * Now includes product grouping by artist + album + format
  */
+import { METAFIELD_KEYS } from '../core/constants.js';
+import {
+  buildGroupKey,
+  DEFAULT_GROUPING_STRATEGY,
+  getGroupFormats,
+  getStrategyMetafields,
+  matchesArtist,
+  matchesRecordLabel,
+  parseGroupingAliases,
+  quoteSearchTerm,
+} from '../grouping/index.js';
+
+// Storefront API page size, and cards rendered per page ("Show more")
+const PAGE_SIZE = 100;
+const CARDS_PER_PAGE = 8;
+const CONTAINER_SELECTOR = 'ul.slider__grid, .products-grid-container ul, ul.grid';
+
 if (!customElements.get('more-from-enhancer')) {
   class MoreFromEnhancer extends HTMLElement {
     constructor() {
       super();
       this.enhanced = false;
       this.apiClient = null;
-      this.logContainer = null;
+      // Per-section fetch state (cursors, groups, rendered cards) - see createSectionState()
+      this.sectionStates = new WeakMap();
+      // Same "Group products by" values as the collection grid (grouping/strategies.js)
+      this.groupingStrategy = this.dataset.groupingStrategy || DEFAULT_GROUPING_STRATEGY;
+      this.groupingAliases = parseGroupingAliases(
+        document.getElementById('grouping-aliases')?.textContent,
+      );
       this.init();
     }
 
     /**
-     * Create debug panel if it doesn't exist
-     */
-    createDebugPanel() {
-      // Check if panel already exists
-      const existingPanel = document.getElementById('grouping-debug-panel');
-      if (existingPanel) {
-        this.logContainer = document.querySelector('#debug-log-container');
-        return;
-      }
-
-      const panel = document.createElement('div');
-      panel.id = 'grouping-debug-panel';
-      panel.style.cssText = `
-        position: fixed;
-        top: 10px;
-        right: 10px;
-        width: 400px;
-        max-height: 300px;
-        background: rgba(0, 0, 0, 0.9);
-        color: #00ff00;
-        font-family: monospace;
-        font-size: 11px;
-        padding: 10px;
-        border-radius: 5px;
-        z-index: 10000;
-        overflow-y: auto;
-        border: 1px solid #333;
-      `;
-
-      const header = document.createElement('div');
-      header.style.cssText =
-        'color: #fff; font-weight: bold; margin-bottom: 5px; border-bottom: 1px solid #333; padding-bottom: 5px;';
-      header.textContent = 'More From Debug';
-
-      const closeBtn = document.createElement('button');
-      closeBtn.textContent = '×';
-      closeBtn.style.cssText =
-        'float: right; background: none; border: none; color: #fff; font-size: 16px; cursor: pointer;';
-      closeBtn.onclick = () => panel.remove();
-      header.appendChild(closeBtn);
-
-      const logContainer = document.createElement('div');
-      logContainer.id = 'debug-log-container';
-      logContainer.style.cssText = 'max-height: 250px; overflow-y: auto;';
-
-      panel.appendChild(header);
-      panel.appendChild(logContainer);
-      document.body.appendChild(panel);
-
-      this.logContainer = logContainer;
-    }
-
-    /**
-     * Debug logging (console + on-screen panel)
+     * Debug logging to the 'more-from' channel of themeLogger (?debug overlay)
+     * Always 'debug': these are diagnostics (DOM dumps included), never shipped to the log
+     * endpoint. Failures worth reporting go to themeLogger.warn/error directly.
      */
     debugLog(message, data = null) {
-      // Log to console
-      if (data !== null) {
-        console.log(message, data);
-      } else {
-        console.log(message);
-      }
-
-      // Create debug panel if it doesn't exist
-      if (!this.logContainer) {
-        this.createDebugPanel();
-      }
-
-      // Log to on-screen panel if available
-      if (this.logContainer) {
-        const logEntry = document.createElement('div');
-        logEntry.style.cssText = 'margin-bottom: 2px; word-wrap: break-word;';
-
-        // Color code different log levels
-        if (message.includes('🔴')) {
-          logEntry.style.color = '#ff6b6b';
-        } else if (message.includes('🟡')) {
-          logEntry.style.color = '#ffd93d';
-        } else if (message.includes('🟢')) {
-          logEntry.style.color = '#6bcf7f';
-        } else if (message.includes('🟣')) {
-          logEntry.style.color = '#da77f2';
-        } else {
-          logEntry.style.color = '#00ff00';
-        }
-
-        const timestamp = new Date().toLocaleTimeString();
-        let logText = `[${timestamp}] ${message}`;
-
-        if (data !== null) {
-          logText += ` ${JSON.stringify(data, null, 2)}`;
-        }
-
-        logEntry.textContent = logText;
-        this.logContainer.appendChild(logEntry);
-
-        // Auto-scroll to bottom
-        this.logContainer.scrollTop = this.logContainer.scrollHeight;
-
-        // Limit log entries to prevent memory issues
-        if (this.logContainer.children.length > 100) {
-          this.logContainer.removeChild(this.logContainer.firstChild);
-        }
-      }
+      const args = data !== null ? [data] : [];
+      window.themeLogger?.channel('more-from').debug(message, ...args);
     }
 
     async init() {
@@ -245,70 +171,29 @@ if (!customElements.get('more-from-enhancer')) {
         this.debugLog(
           `🟢 MoreFromEnhancer: Starting Storefront API fetch for ${searchType}: "${searchValue}"`,
         );
-        this.debugLog(`🟢 MoreFromEnhancer: Built search query: "${searchQuery}"`);
-
-        // Fetch products via Storefront API
-        const products = [];
-        let cursor = null;
-        let hasNextPage = true;
-        const limit = 100;
-
-        while (hasNextPage && products.length < 200) {
-          // Limit to 200 for "more from" sections
-          this.debugLog(`🟢 MoreFromEnhancer: Fetching batch, cursor: ${cursor || 'null'}`);
-
-          try {
-            // Call with correct parameter order: query, cursor, limit
-            const data = await this.apiClient.searchProducts(searchQuery, cursor, limit);
-            this.debugLog('🟢 MoreFromEnhancer: API response received', {
-              hasProducts: !!data.products,
-              edgeCount: data.products?.edges?.length || 0,
-            });
-
-            if (!data.products || !data.products.edges) {
-              break;
-            }
-
-            const pageProducts = data.products.edges
-              .map((edge) => edge.node)
-              .filter((product) => product.id !== currentProductId);
 
-            products.push(...pageProducts);
-
-            hasNextPage = data.products.pageInfo.hasNextPage;
-            cursor = data.products.pageInfo.endCursor;
-
-            if (!hasNextPage) {
-              break;
-            }
-          } catch (batchError) {
-            this.debugLog('🔴 MoreFromEnhancer: Error in batch fetch', {
-              error: batchError.message || batchError,
-              stack: batchError.stack,
-              searchQuery,
-              cursor,
-            });
-            throw batchError;
-          }
-        }
+        // The section keeps its cursors and groups for "Show more"
+        const state = this.createSectionState(
+          searchType,
+          searchValue,
+          currentProductId,
+          searchQuery,
+          wrapper,
+        );
+        this.sectionStates.set(wrapper, state);
+        await this.fetchCardsWorth(state);
 
-        this.debugLog(`🟢 MoreFromEnhancer: Fetched ${products.length} total products`);
+        this.debugLog(`🟢 MoreFromEnhancer: Fetched ${state.productIds.size} total products`);
 
-        if (products.length === 0) {
+        if (state.groupMap.size === 0) {
           this.debugLog('🟡 MoreFromEnhancer: No products found');
           return;
         }
 
-        // Group products
-        this.debugLog('🟢 MoreFromEnhancer: Grouping products');
-        const grouped = this.groupProducts(products);
-        this.debugLog(
-          `🟢 MoreFromEnhancer: Created ${grouped.groups.length} groups and ${grouped.singles.length} singles`,
-        );
-
         // Render grouped products
         this.debugLog('🟢 MoreFromEnhancer: Rendering grouped products');
-        await this.renderGroupedProducts(grouped, wrapper, append);
+        await this.renderGroupedProducts(state, wrapper, append);
+        this.updateShowMore(state, wrapper);
       } catch (error) {
         this.debugLog('🔴 MoreFromEnhancer: Error fetching via Storefront API', {
           error: error.message || error,
@@ -330,23 +215,223 @@ if (!customElements.get('more-from-enhancer')) {
       }
     }
 
+    /**
+     * Fetch state for one section
+     * Sources are paged in order: one per collection filter (filters on different
+     * metafields are ANDed, so artist and other artists are separate passes), or the
+     * search query when there is no catalogue collection to filter
+     */
+    createSectionState(searchType, searchValue, currentProductId, searchQuery, wrapper) {
+      // Catalogue collection for metafield filters - per section, then the theme setting
+      const browseCollection =
+        wrapper.dataset.moreFromCollection ||
+        document.querySelector('meta[name="more-from-collection"]')?.content;
+      const filters = browseCollection
+        ? this.buildCollectionFilters(searchType, searchValue)
+        : [];
+      const searchSource = { query: searchQuery, cursor: null, hasNextPage: true };
+
+      return {
+        searchType,
+        searchValue,
+        // data-current-product-id is numeric, API ids are GIDs
+        currentProductId: String(currentProductId || '').replace('gid://shopify/Product/', ''),
+        browseCollection,
+        searchSource,
+        sources:
+          filters.length > 0
+            ? filters.map((filter) => ({ filter, cursor: null, hasNextPage: true }))
+            : [searchSource],
+        usedFilter: false,
+        // Cards only need the lightweight selection (no variants/conditions), plus the
+        // metafields collection filter results are checked against
+        options: {
+          fields: 'card',
+          metafields: [
+            ...getStrategyMetafields(this.groupingStrategy),
+            METAFIELD_KEYS.ARTIST,
+            METAFIELD_KEYS.COMPUTED_OTHER_ARTISTS,
+            METAFIELD_KEYS.COMPUTED_MASTER_LABEL,
+          ],
+        },
+        productIds: new Set(), // every product added, across sources and pages
+        groupMap: new Map(), // group key -> products, in the order first seen
+        renderedCards: new Map(), // group key -> { element, size }
+        loading: false,
+        scrollObserver: null,
+      };
+    }
+
+    /**
+     * Whether any source has another page
+     */
+    hasMoreProducts(state) {
+      return state.sources.some((source) => source.hasNextPage);
+    }
+
+    /**
+     * Number of groups and singles fetched but not rendered yet
+     */
+    countUnrenderedItems(state) {
+      let count = 0;
+      state.groupMap.forEach((products, groupKey) => {
+        if (!state.renderedCards.has(groupKey)) {
+          count++;
+        }
+      });
+      return count;
+    }
+
+    /**
+     * Fetch pages until there is a full "Show more" page of new cards or the results run out
+     */
+    async fetchCardsWorth(state) {
+      while (this.countUnrenderedItems(state) < CARDS_PER_PAGE && this.hasMoreProducts(state)) {
+        this.addProducts(state, await this.fetchNextPage(state));
+      }
+    }
+
+    /**
+     * Fetch the next page from the first source with more results
+     * Shopify ignores collection filters that aren't enabled in Search & Discovery and
+     * returns the whole collection, so a filter whose first page doesn't match is dropped.
+     * Search takes over when the collection is missing or no filter is usable.
+     * @returns {Promise<Array>} - Page products (collection results that match the section)
+     */
+    async fetchNextPage(state) {
+      const source = state.sources.find((item) => item.hasNextPage);
+      if (!source) {
+        return [];
+      }
+
+      this.debugLog(`🟢 MoreFromEnhancer: Fetching batch, cursor: ${source.cursor || 'null'}`, {
+        source: source.filter ? source.filter.productMetafield.key : 'search',
+      });
+
+      if (!source.filter) {
+        // Call with correct parameter order: query, cursor, limit, sort, options
+        const data = await this.apiClient.searchProducts(
+          source.query,
+          source.cursor,
+          PAGE_SIZE,
+          null,
+          state.options,
+        );
+        source.hasNextPage = !!data.products?.pageInfo?.hasNextPage;
+        source.cursor = data.products?.pageInfo?.endCursor || null;
+        return (data.products?.edges || []).map((edge) => edge.node);
+      }
+
+      const data = await this.apiClient.getCollection(
+        state.browseCollection,
+        [source.filter],
+        source.cursor,
+        PAGE_SIZE,
+        null,
+        state.options,
+      );
+      const connection = data.collection?.products;
+      const pageProducts = (connection?.edges || []).map((edge) => edge.node);
+      const matched = pageProducts.filter((product) =>
+        this.matchesSection(state.searchType, product, state.searchValue),
+      );
+
+      if (!connection || (!source.cursor && pageProducts.length > 0 && matched.length === 0)) {
+        this.debugLog('🟡 MoreFromEnhancer: Collection filter unavailable', {
+          collection: state.browseCollection,
+          collectionFound: !!connection,
+          key: source.filter.productMetafield.key,
+        });
+        state.sources = connection ? state.sources.filter((item) => item !== source) : [];
+        if (state.sources.length === 0 && !state.usedFilter) {
+          state.sources.push(state.searchSource);
+        }
+        return this.fetchNextPage(state);
+      }
+
+      state.usedFilter = true;
+      source.hasNextPage = connection.pageInfo.hasNextPage;
+      source.cursor = connection.pageInfo.endCursor;
+      return matched;
+    }
+
+    /**
+     * Add fetched products to a section's groups, skipping products already added (filter
+     * results overlap) and the product being viewed
+     * Same group keys as collection-grouping-enhancer (shared grouping library)
+     */
+    addProducts(state, products) {
+      for (const product of products) {
+        const productId = product.id.replace('gid://shopify/Product/', '');
+        if (state.productIds.has(productId) || productId === state.currentProductId) {
+          continue;
+        }
+        state.productIds.add(productId);
+
+        // Products without a group key are singles, keyed by their own id
+        const groupKey =
+          buildGroupKey(product, this.groupingStrategy, { aliases: this.groupingAliases }) ||
+          product.id;
+        if (!state.groupMap.has(groupKey)) {
+          state.groupMap.set(groupKey, []);
+        }
+        state.groupMap.get(groupKey).push(product);
+      }
+
+      this.debugLog('🔵 MoreFromEnhancer: Grouping updated', {
+        totalProducts: state.productIds.size,
+        totalItems: state.groupMap.size,
+      });
+    }
+
+    /**
+     * Storefront API collection filters for a section type (one fetch pass each)
+     * Exact metafield matches, where search could only match title/vendor text:
+     * artist is custom.artist or computed_other_artists, label is computed_master_label
+     */
+    buildCollectionFilters(searchType, searchValue) {
+      const keys = {
+        artist: [METAFIELD_KEYS.ARTIST, METAFIELD_KEYS.COMPUTED_OTHER_ARTISTS],
+        label: [METAFIELD_KEYS.COMPUTED_MASTER_LABEL],
+      };
+      return (keys[searchType] || []).map((key) => ({
+        productMetafield: { namespace: 'custom', key, value: searchValue },
+      }));
+    }
+
+    /**
+     * Whether a product fetched through a collection filter belongs in the section
+     */
+    matchesSection(searchType, product, searchValue) {
+      if (searchType === 'artist') {
+        return matchesArtist(product, searchValue, this.groupingAliases);
+      }
+      if (searchType === 'label') {
+        return matchesRecordLabel(product, searchValue);
+      }
+      return false;
+    }
+
     buildStorefrontSearchQuery(searchType, searchValue) {
-      // Storefront API search query format
+      // Storefront API search query format - the fallback when there is no catalogue
+      // collection to filter (buildCollectionFilters)
       // Note: Storefront API doesn't support metafield searches directly
       // We'll search by title, vendor, or tags which often contain the same info
+      // Values are quoted phrases, so names with quotes, colons or OR/NOT stay one term
+      const value = quoteSearchTerm(searchValue);
       let query = '';
 
       if (searchType === 'artist') {
         // Search in title and vendor fields for artist name
-        query = `title:*${searchValue}* OR vendor:*${searchValue}*`;
+        query = `title:${value} OR vendor:${value}`;
       } else if (searchType === 'label') {
         // Search in vendor field for label name
-        query = `vendor:*${searchValue}*`;
+        query = `vendor:${value}`;
       } else if (searchType === 'genre') {
         // Search in tags for genre
-        query = `tag:${searchValue}`;
+        query = `tag:${value}`;
       } else {
-        query = searchValue;
+        query = value;
       }
 
       this.debugLog(`🔵 MoreFromEnhancer: Built search query for ${searchType}`, {
@@ -358,126 +443,107 @@ if (!customElements.get('more-from-enhancer')) {
       return query;
     }
 
-    groupProducts(products) {
-      // Use same grouping logic as collection-grouping-enhancer
-      const getFormat = (productType) => {
-        if (!productType) {
-          return '';
-        }
-        const type = productType.trim().toLowerCase();
-        if (type.includes('12')) {
-          return '12"';
-        }
-        if (type.includes('10')) {
-          return '10"';
-        }
-        if (type.includes('7')) {
-          return '7"';
-        }
-        if (type.includes('box')) {
-          if (type.includes('lp') || type.includes('vinyl')) {
-            return 'LP Box';
-          }
-          if (type.includes('cd')) {
-            return 'CD Box';
-          }
-          return 'Box Set';
-        }
-        if (type.includes('lp')) {
-          return 'LP';
-        }
-        if (type.includes('cd')) {
-          return 'CD';
-        }
-        if (type.includes('cassette')) {
-          return 'Cassette';
-        }
-        if (type.includes('ep')) {
-          return 'EP';
-        }
-        if (type.includes('dvd')) {
-          return 'DVD';
-        }
-        if (type.includes('blu')) {
-          return 'Blu-ray';
-        }
-        if (type.includes('vhs')) {
-          return 'VHS';
-        }
-        return '';
-      };
+    /**
+     * Load and render the next page of cards for a section ("Show more", infinite scroll)
+     */
+    async showMore(wrapper) {
+      const state = this.sectionStates.get(wrapper);
+      if (!state || state.loading) {
+        return;
+      }
 
-      const groupMap = new Map();
-      const singles = [];
-      const usedHandles = new Set();
+      const button = wrapper.querySelector('.js-more-from-show-more');
+      state.loading = true;
+      button?.setAttribute('aria-disabled', 'true');
 
-      // Group products
-      for (const product of products) {
-        const artist = product.artist && product.artist.value ? product.artist.value.trim() : '';
-        const album =
-          product.title_metafield && product.title_metafield.value
-            ? product.title_metafield.value.trim()
-            : '';
-        const format = getFormat(product.productType);
-
-        this.debugLog('🔵 MoreFromEnhancer: Processing product for grouping', {
-          handle: product.handle,
-          title: product.title,
-          artist: artist || 'NO ARTIST',
-          album: album || 'NO ALBUM',
-          format: format || 'NO FORMAT',
-          productType: product.productType,
+      try {
+        await this.fetchCardsWorth(state);
+        await this.renderGroupedProducts(state, wrapper, true);
+      } catch (error) {
+        this.debugLog('🔴 MoreFromEnhancer: Error loading more products', {
+          error: error.message || error,
         });
-
-        if (!artist || !album) {
-          singles.push(product);
-          continue;
-        }
-
-        const groupKey = `${artist.toLowerCase()}|${album.toLowerCase()}|${format}`;
-
-        if (!groupMap.has(groupKey)) {
-          groupMap.set(groupKey, []);
-        }
-        groupMap.get(groupKey).push(product);
+      } finally {
+        state.loading = false;
+        button?.removeAttribute('aria-disabled');
+        this.updateShowMore(state, wrapper);
       }
+    }
 
-      // Build groups array
-      const groups = [];
-      for (const [groupKey, groupProducts] of groupMap.entries()) {
-        if (groupProducts.length > 1) {
-          groups.push({
-            mainProduct: groupProducts[0],
-            variantProducts: groupProducts.slice(1),
-            format: groupKey.split('|')[2],
-          });
-          groupProducts.forEach((p) => usedHandles.add(p.handle));
-        } else if (groupProducts.length === 1 && !usedHandles.has(groupProducts[0].handle)) {
-          singles.push(groupProducts[0]);
-          usedHandles.add(groupProducts[0].handle);
-        }
+    /**
+     * Show "Show more" while cards are left to render or fetch. Sections with
+     * data-infinite-scroll="true" also load the next page when the last card comes into view
+     * (horizontally too, for carousels).
+     */
+    updateShowMore(state, wrapper) {
+      const hasMore = this.countUnrenderedItems(state) > 0 || this.hasMoreProducts(state);
+      let footer = wrapper.querySelector('.js-more-from-footer');
+
+      if (!footer && hasMore) {
+        footer = document.createElement('div');
+        footer.className = 'more-from__footer js-more-from-footer center';
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'button button--secondary js-more-from-show-more';
+        button.textContent = window.moreFromStrings.showMore;
+        button.addEventListener('click', () => this.showMore(wrapper));
+        footer.appendChild(button);
+        wrapper.appendChild(footer);
+      }
+      if (footer) {
+        footer.hidden = !hasMore;
       }
 
-      this.debugLog('🔵 MoreFromEnhancer: Grouping complete', {
-        totalGroups: groups.length,
-        totalSingles: singles.length,
-        groupKeys: Array.from(groupMap.keys()).slice(0, 5), // Show first 5 group keys
-      });
+      if (wrapper.dataset.infiniteScroll !== 'true') {
+        return;
+      }
+      state.scrollObserver?.disconnect();
+      const lastCard = wrapper.querySelector(CONTAINER_SELECTOR)?.lastElementChild;
+      if (hasMore && lastCard) {
+        state.scrollObserver ??= new IntersectionObserver(
+          (entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+              this.showMore(wrapper);
+            }
+          },
+          { rootMargin: '200px' },
+        );
+        state.scrollObserver.observe(lastCard);
+      }
+    }
 
-      return { groups, singles };
+    /**
+     * Card parameters for a group or single (the Section Rendering API request)
+     */
+    buildRenderItem(products) {
+      const [mainProduct, ...variantProducts] = products;
+      return {
+        productHandle: mainProduct.handle,
+        productId: mainProduct.id.replace('gid://shopify/Product/', ''),
+        isGroup: variantProducts.length > 0,
+        variantHandles: variantProducts.map((p) => p.handle).join(','),
+        groupFormat: getGroupFormats(products),
+        // Pass full product data for fallback rendering
+        productData: mainProduct,
+        variantProductsData: variantProducts,
+      };
     }
 
-    async renderGroupedProducts(grouped, wrapper, append = false) {
+    /**
+     * Render the next page of cards
+     * Groups that gained copies since they were rendered (their other copies were on a later
+     * API page) are re-rendered in place, so cards are never duplicated.
+     * @param {boolean} append - Keep the cards already in the container
+     */
+    async renderGroupedProducts(state, wrapper, append = false) {
       this.debugLog('🔵 MoreFromEnhancer: Starting renderGroupedProducts', {
-        groupsCount: grouped.groups.length,
-        singlesCount: grouped.singles.length,
+        itemsCount: state.groupMap.size,
+        renderedCount: state.renderedCards.size,
         wrapperClasses: wrapper.className,
       });
 
       // Find or create container
-      let container = wrapper.querySelector(
-        'ul.slider__grid, .products-grid-container ul, ul.grid',
-      );
+      let container = wrapper.querySelector(CONTAINER_SELECTOR);
       this.debugLog('🔵 MoreFromEnhancer: Container search result', {
         containerFound: !!container,
         containerClasses: container ? container.className : 'NOT FOUND',
@@ -492,177 +558,182 @@ if (!customElements.get('more-from-enhancer')) {
         container.className = 'grid gap-x-theme gap-y-8';
         container.setAttribute('role', 'list');
         gridContainer.appendChild(container);
-        wrapper.appendChild(gridContainer);
+        // Keep "Show more" below the grid
+        wrapper.insertBefore(gridContainer, wrapper.querySelector('.js-more-from-footer'));
       }
 
       if (!append) {
         container.innerHTML = '';
+        state.renderedCards.clear();
       }
 
-      // Use Section Rendering API to fetch product cards
-      // Build items array with product handles and variant info for Section Rendering API
-      const allItems = [
-        ...grouped.groups.map((g) => ({
-          productHandle: g.mainProduct.handle,
-          productId: g.mainProduct.id.replace('gid://shopify/Product/', ''),
-          isGroup: true,
-          variantHandles: g.variantProducts.map((p) => p.handle).join(','),
-          groupFormat: g.format,
-          // Pass full product data for fallback rendering
-          productData: g.mainProduct,
-          variantProductsData: g.variantProducts,
-        })),
-        ...grouped.singles.map((p) => ({
-          productHandle: p.handle,
-          productId: p.id.replace('gid://shopify/Product/', ''),
-          isGroup: false,
-          // Pass full product data for fallback rendering
-          productData: p,
-        })),
-      ];
-
-      this.debugLog(`🔵 MoreFromEnhancer: Built ${allItems.length} items for rendering`, {
-        firstFewItems: allItems.slice(0, 3),
-        totalGroups: grouped.groups.length,
-        totalSingles: grouped.singles.length,
+      const items = Array.from(state.groupMap, ([groupKey, products]) => ({ groupKey, products }));
+      const changedItems = items.filter(({ groupKey, products }) => {
+        const rendered = state.renderedCards.get(groupKey);
+        return rendered?.element && rendered.size !== products.length;
       });
+      const newItems = items
+        .filter(({ groupKey }) => !state.renderedCards.has(groupKey))
+        .slice(0, CARDS_PER_PAGE);
+      const renderItems = [...changedItems, ...newItems];
 
       // Use Section Rendering API with enhanced product data passing
-      const sectionId = 'product-group-card-renderer';
       this.debugLog(
-        `🔵 MoreFromEnhancer: Starting Section Rendering API calls for ${allItems.length} items`,
+        `🔵 MoreFromEnhancer: Starting Section Rendering API calls for ${renderItems.length} items`,
+        { changedGroups: changedItems.length, newItems: newItems.length },
       );
 
-      const cardPromises = allItems.slice(0, 8).map(async (item, index) => {
-        try {
-          const params = new URLSearchParams({
-            product_handle: item.productHandle,
-            product_id: item.productId,
-            section_id: sectionId,
-            // Pass product data as JSON for the Liquid section to use
-            product_title: item.productData.title,
-            product_price: item.productData.priceRange.minVariantPrice.amount,
-            product_image: item.productData.featuredImage ? item.productData.featuredImage.url : '',
-          });
+      const cards = await Promise.all(
+        renderItems.map(({ products }, index) =>
+          this.fetchCard(this.buildRenderItem(products), index, renderItems.length),
+        ),
+      );
+      this.debugLog('🔵 MoreFromEnhancer: Section API calls completed', {
+        totalCalls: cards.length,
+        successfulCards: cards.filter((c) => c !== null).length,
+        failedCards: cards.filter((c) => c === null).length,
+      });
 
-          if (item.isGroup) {
-            params.append('variant_handles', item.variantHandles);
-            params.append('group_formats', item.groupFormat);
-            params.append('variant_count', item.variantProductsData.length.toString());
+      // Insert new cards, replace cards of groups that grew
+      let insertedCount = 0;
+      cards.forEach((cardHtml, index) => {
+        const { groupKey, products } = renderItems[index];
+        const rendered = state.renderedCards.get(groupKey);
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = cardHtml || '';
+        const cardElement = tempDiv.firstElementChild;
+
+        if (!cardElement) {
+          // Failed cards aren't retried, or "Show more" would never move on
+          if (!rendered) {
+            state.renderedCards.set(groupKey, { element: null, size: products.length });
           }
+          return;
+        }
 
-          // Try using POST with form data since query parameters are stripped
-          const url = '/collections/all';
-          const formData = new FormData();
+        if (rendered?.element) {
+          rendered.element.replaceWith(cardElement);
+        } else {
+          container.appendChild(cardElement);
+          insertedCount++;
+        }
+        state.renderedCards.set(groupKey, { element: cardElement, size: products.length });
+      });
 
-          // Add all parameters as form data
-          for (const [key, value] of params.entries()) {
-            formData.append(key, value);
-          }
+      this.debugLog('🟢 MoreFromEnhancer: Rendering complete', {
+        totalInserted: insertedCount,
+        containerChildren: container.children.length,
+      });
 
-          this.debugLog(
-            `🔵 MoreFromEnhancer: Fetching card ${index + 1}/${Math.min(8, allItems.length)}`,
-            {
-              productHandle: item.productHandle,
-              url: url,
-              method: 'POST',
-              formDataEntries: Array.from(formData.entries()),
-            },
-          );
+      // Carousels measure their slides on init
+      if (append) {
+        wrapper.querySelector('carousel-slider')?.init?.();
+      }
 
-          const response = await fetch(url, {
-            method: 'POST',
-            body: formData,
-          });
+      wrapper.dataset.enhanced = 'true';
+    }
 
-          // Log response details
-          this.debugLog(`🔵 MoreFromEnhancer: Response received for ${item.productHandle}`, {
-            status: response.status,
-            statusText: response.statusText,
-            contentType: response.headers.get('content-type'),
-            url: response.url,
-          });
+    /**
+     * Fetch one product card through the Section Rendering API
+     * @returns {Promise<string|null>} - Card HTML, or null when it couldn't be rendered
+     */
+    async fetchCard(item, index, total) {
+      const sectionId = 'product-group-card-renderer';
 
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
+      try {
+        const params = new URLSearchParams({
+          product_handle: item.productHandle,
+          product_id: item.productId,
+          section_id: sectionId,
+          // Pass product data as JSON for the Liquid section to use
+          product_title: item.productData.title,
+          product_price: item.productData.priceRange.minVariantPrice.amount,
+          product_image: item.productData.featuredImage ? item.productData.featuredImage.url : '',
+        });
 
-          const html = await response.text();
-
-          // Log detailed HTML inspection
-          this.debugLog(`🔵 MoreFromEnhancer: HTML analysis for ${item.productHandle}`, {
-            htmlLength: html.length,
-            htmlPreview: html.substring(0, 500),
-            containsProductGroupRenderer: html.includes('product-group-card-renderer'),
-            containsShopifySection: html.includes('shopify-section-'),
-            containsDataSectionId: html.includes('data-section-id='),
-            containsScript: html.includes('<script>'),
-            containsDebugData: html.includes('LIQUID DEBUG DATA'),
-          });
+        if (item.isGroup) {
+          params.append('variant_handles', item.variantHandles);
+          params.append('group_formats', item.groupFormat);
+          params.append('variant_count', item.variantProductsData.length.toString());
+        }
 
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-
-          // Extract the card from the section
-          const section = doc.querySelector(`#shopify-section-${sectionId}`);
-          if (section) {
-            const card = section.querySelector('li');
-            if (card) {
-              this.debugLog(`🟢 MoreFromEnhancer: Card extracted for ${item.productHandle}`, {
-                cardFound: true,
-                cardHTML: `${card.outerHTML.substring(0, 200)}...`,
-              });
-              return card.outerHTML;
-            }
-          }
+        // Try using POST with form data since query parameters are stripped
+        const url = '/collections/all';
+        const formData = new FormData();
 
-          this.debugLog(`🟡 MoreFromEnhancer: Section not found for ${item.productHandle}`);
-          return null;
-        } catch (error) {
-          this.debugLog(`🔴 MoreFromEnhancer: Error fetching card for ${item.productHandle}`, {
-            error: error.message,
-          });
-          return null;
+        // Add all parameters as form data
+        for (const [key, value] of params.entries()) {
+          formData.append(key, value);
         }
-      });
 
-      const cards = await Promise.all(cardPromises);
-      this.debugLog('🔵 MoreFromEnhancer: Section API calls completed', {
-        totalCalls: cardPromises.length,
-        successfulCards: cards.filter((c) => c !== null).length,
-        failedCards: cards.filter((c) => c === null).length,
-      });
+        this.debugLog(`🔵 MoreFromEnhancer: Fetching card ${index + 1}/${total}`, {
+          productHandle: item.productHandle,
+          url: url,
+          method: 'POST',
+          formDataEntries: Array.from(formData.entries()),
+        });
 
-      // Append valid cards to container
-      let insertedCount = 0;
-      cards.forEach((cardHtml, index) => {
-        if (cardHtml) {
-          const tempDiv = document.createElement('div');
-          tempDiv.innerHTML = cardHtml;
-          const cardElement = tempDiv.firstElementChild;
-          if (cardElement) {
-            container.appendChild(cardElement);
-            insertedCount++;
-            this.debugLog(`🟢 MoreFromEnhancer: Inserted card ${insertedCount}`, {
-              cardClasses: cardElement.className,
+        const response = await fetch(url, {
+          method: 'POST',
+          body: formData,
+        });
+
+        // Log response details
+        this.debugLog(`🔵 MoreFromEnhancer: Response received for ${item.productHandle}`, {
+          status: response.status,
+          statusText: response.statusText,
+          contentType: response.headers.get('content-type'),
+          url: response.url,
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const html = await response.text();
+
+        // Log detailed HTML inspection
+        this.debugLog(`🔵 MoreFromEnhancer: HTML analysis for ${item.productHandle}`, {
+          htmlLength: html.length,
+          htmlPreview: html.substring(0, 500),
+          containsProductGroupRenderer: html.includes('product-group-card-renderer'),
+          containsShopifySection: html.includes('shopify-section-'),
+          containsDataSectionId: html.includes('data-section-id='),
+          containsScript: html.includes('<script>'),
+          containsDebugData: html.includes('LIQUID DEBUG DATA'),
+        });
+
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+
+        // Extract the card from the section
+        const section = doc.querySelector(`#shopify-section-${sectionId}`);
+        if (section) {
+          const card = section.querySelector('li');
+          if (card) {
+            this.debugLog(`🟢 MoreFromEnhancer: Card extracted for ${item.productHandle}`, {
+              cardFound: true,
+              cardHTML: `${card.outerHTML.substring(0, 200)}...`,
             });
+            return card.outerHTML;
           }
         }
-      });
 
-      this.debugLog('🟢 MoreFromEnhancer: Rendering complete', {
-        totalInserted: insertedCount,
-        containerChildren: container.children.length,
-      });
-
-      wrapper.dataset.enhanced = 'true';
+        this.debugLog(`🟡 MoreFromEnhancer: Section not found for ${item.productHandle}`);
+        return null;
+      } catch (error) {
+        this.debugLog(`🔴 MoreFromEnhancer: Error fetching card for ${item.productHandle}`, {
+          error: error.message,
+        });
+        return null;
+      }
     }
 
     async groupExistingProducts(wrapper) {
       // Extract product data from existing DOM and re-group
       // This is complex, so for now we'll skip it
       // The Liquid grouping should already be applied
-      console.log('MoreFromEnhancer: Products already exist, skipping grouping');
+      this.debugLog('MoreFromEnhancer: Products already exist, skipping grouping');
     }
 
     async fetchViaSectionAPI(
@@ -731,12 +802,8 @@ if (!customElements.get('more-from-enhancer')) {
         }
 
         // Find product containers in the section
-        const newContainer = sectionElement.querySelector(
-          'ul.slider__grid, .products-grid-container ul, ul.grid',
-        );
-        const existingContainer = wrapper.querySelector(
-          'ul.slider__grid, .products-grid-container ul, ul.grid',
-        );
+        const newContainer = sectionElement.querySelector(CONTAINER_SELECTOR);
+        const existingContainer = wrapper.querySelector(CONTAINER_SELECTOR);
 
         if (newContainer && existingContainer) {
           await this.renderProducts(
@@ -747,7 +814,9 @@ if (!customElements.get('more-from-enhancer')) {
           );
         }
       } catch (error) {
-        console.error('MoreFromEnhancer: Error fetching via Section Rendering API:', error);
+        this.debugLog('🔴 MoreFromEnhancer: Error fetching via Section Rendering API', {
+          error: error.message || error,
+        });
       }
     }
 
@@ -765,9 +834,7 @@ if (!customElements.get('more-from-enhancer')) {
 
     async renderProducts(newItems, wrapper, append, existingContainer) {
       if (!existingContainer) {
-        existingContainer = wrapper.querySelector(
-          'ul.slider__grid, .products-grid-container ul, ul.grid',
-        );
+        existingContainer = wrapper.querySelector(CONTAINER_SELECTOR);
       }
       if (!existingContainer) {
         return;
@@ -843,23 +910,24 @@ if (!customElements.get('more-from-enhancer')) {
   customElements.define('more-from-enhancer', MoreFromEnhancer);
 
   // Auto-initialize
-  console.log('🔵 MoreFromEnhancer: Script loaded, setting up DOMContentLoaded listener');
+  const logger = window.themeLogger?.channel('more-from');
+  logger?.debug('🔵 MoreFromEnhancer: Script loaded, setting up DOMContentLoaded listener');
 
   document.addEventListener('DOMContentLoaded', () => {
-    console.log('🔵 MoreFromEnhancer: DOMContentLoaded - Creating enhancer element');
+    logger?.debug('🔵 MoreFromEnhancer: DOMContentLoaded - Creating enhancer element');
 
     // Check if we're on a product page
     const isProductPage = window.location.pathname.includes('/products/');
-    console.log('🔵 MoreFromEnhancer: Is product page:', isProductPage);
+    logger?.debug('🔵 MoreFromEnhancer: Is product page:', isProductPage);
 
     // Check if dynamic sections exist
     const wrappers = document.querySelectorAll(
       '.dynamic-artist-collection-wrapper, .dynamic-label-collection-wrapper, .dynamic-genre-collection-wrapper',
     );
-    console.log('🔵 MoreFromEnhancer: Found wrappers on page load:', wrappers.length);
+    logger?.debug('🔵 MoreFromEnhancer: Found wrappers on page load:', wrappers.length);
 
     const enhancer = document.createElement('more-from-enhancer');
     document.body.appendChild(enhancer);
-    console.log('🔵 MoreFromEnhancer: Enhancer element created and added to body');
+    logger?.debug('🔵 MoreFromEnhancer: Enhancer element created and added to body');
   });
 }
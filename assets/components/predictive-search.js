@@ -1,4 +1,20 @@
 /* global debounce */
+import { METAFIELD_KEYS } from '../core/constants.js';
+import {
+  buildGroupKey,
+  DEFAULT_GROUPING_STRATEGY,
+  getPurchasableCopies,
+  getRecordLabel,
+  parseCatalogueNumber,
+  parseGroupingAliases,
+  tokenizeSearchText,
+} from '../grouping/index.js';
+
+// Grouped mode (theme setting "Group copies in predictive search"): products fetched per
+// query, release rows shown, and artist / label rows shown
+const GROUPED_FETCH_LIMIT = 24;
+const GROUPED_RELEASE_LIMIT = 6;
+const GROUPED_NAME_LIMIT = 3;
 
 if (!customElements.get('predictive-search')) {
   class PredictiveSearch extends HTMLElement {
@@ -26,6 +42,8 @@ if (!customElements.get('predictive-search')) {
         this.querySelector('.js-search-status') || this.querySelector('.predictive-search-status');
       this.loadingText = this.getAttribute('data-loading-text');
       this.isModalMode = this.closest('details-modal') !== null;
+      this.isGrouped =
+        document.querySelector('meta[name="predictive-search-grouped"]')?.content === 'true';
       this.addListeners();
     }
 
@@ -72,6 +90,15 @@ if (!customElements.get('predictive-search')) {
       return this.input.value.trim();
     }
 
+    /**
+     * Whether a search term is still what the input holds
+     * @param {string} searchTerm - Search query a request was made for.
+     * @returns {boolean}
+     */
+    isCurrentQuery(searchTerm) {
+      return searchTerm === this.getQuery();
+    }
+
     /**
      * Handles search form submit.
      * @param {object} evt - Event object.
@@ -186,6 +213,9 @@ if (!customElements.get('predictive-search')) {
         '[role="tabpanel"]:not([hidden]) .predictive-search__item',
       );
       let resultToSelect = allResults[0];
+      // Position in the whole panel rather than among siblings, so the keys move between the
+      // lists of grouped mode (releases, artists, labels) as well as within one
+      const selectedIndex = Array.prototype.indexOf.call(allResults, selectedResult);
 
       if (key === 'ArrowUp') {
         if (!selectedResult) {
@@ -193,11 +223,11 @@ if (!customElements.get('predictive-search')) {
         }
 
         // Select the next result up or the last one if we've reached the top of the list.
-        resultToSelect = selectedResult.previousElementSibling || allResults[allResults.length - 1];
+        resultToSelect = allResults[selectedIndex - 1] || allResults[allResults.length - 1];
       } else if (key === 'ArrowDown') {
         if (selectedResult) {
           // Select the next result down or the first one if we've reached the bottom of the list.
-          resultToSelect = selectedResult.nextElementSibling || allResults[0];
+          resultToSelect = allResults[selectedIndex + 1] || allResults[0];
         }
       }
 
@@ -214,6 +244,10 @@ if (!customElements.get('predictive-search')) {
           selectedResult.setAttribute('aria-selected', 'false');
         }
 
+        if (!resultToSelect.id) {
+          const index = Array.prototype.indexOf.call(allResults, resultToSelect);
+          resultToSelect.id = `${this.input.id}-option-${index}`;
+        }
         this.setLiveRegionText(resultToSelect.textContent);
         this.input.setAttribute('aria-activedescendant', resultToSelect.id);
       }
@@ -288,9 +322,21 @@ if (!customElements.get('predictive-search')) {
         tmpl.innerHTML = await response.text();
 
         const resultsEl = tmpl.content.querySelector('#shopify-section-predictive-search');
-        const resultsMarkup = resultsEl.innerHTML.replace(/psearch/g, this.input.id);
+        let resultsMarkup = resultsEl.innerHTML.replace(/psearch/g, this.input.id);
+        if (this.isGrouped) {
+          resultsMarkup = await this.groupProductResults(searchTerm, resultsMarkup);
+          // Stale before the catalogue lookup: skip it, the newer query renders instead
+          if (!this.isCurrentQuery(searchTerm)) {
+            return;
+          }
+        }
+        resultsMarkup = await this.pinCatalogueMatches(searchTerm, resultsMarkup);
 
         this.cachedResults[queryKey] = resultsMarkup;
+        // The shopper typed on while the lookups ran - results for the new query win
+        if (!this.isCurrentQuery(searchTerm)) {
+          return;
+        }
         this.renderResults(resultsMarkup);
       } catch (error) {
         this.close();
@@ -298,6 +344,377 @@ if (!customElements.get('predictive-search')) {
       }
     }
 
+    /**
+     * Puts exact catalogue number matches ("SHVL804") at the top of the products list
+     * Suggest doesn't search metafields, so these come from the Storefront API; the list is
+     * created when suggest found no products at all.
+     * @param {string} searchTerm - Search query.
+     * @param {string} resultsMarkup - Results markup from the predictive search section.
+     * @returns {Promise<string>} - Results markup with the matches pinned
+     */
+    async pinCatalogueMatches(searchTerm, resultsMarkup) {
+      const catalogue = parseCatalogueNumber(searchTerm);
+      const handle = document.querySelector('meta[name="more-from-collection"]')?.content;
+      if (!catalogue || !handle || typeof StorefrontAPIClient === 'undefined') {
+        return resultsMarkup;
+      }
+
+      let matches = [];
+      try {
+        this.apiClient = this.apiClient || new StorefrontAPIClient();
+        matches = await this.apiClient.getCatalogueNumberMatches(handle, catalogue, {
+          fields: 'card',
+          limit: 4,
+        });
+      } catch (error) {
+        window.themeLogger?.warn('Predictive search: catalogue number lookup failed', error);
+      }
+      if (matches.length === 0) {
+        return resultsMarkup;
+      }
+
+      const tmpl = document.createElement('template');
+      tmpl.innerHTML = resultsMarkup;
+      const list = this.getProductsList(tmpl.content);
+      if (!list) {
+        return resultsMarkup;
+      }
+
+      // Drop suggest's own copies of the matches so each appears once, pinned
+      const urls = matches.map((product) => `/products/${product.handle}`);
+      list.querySelectorAll('.js-search-link[href]').forEach((link) => {
+        const path = new URL(link.getAttribute('href'), window.location.origin).pathname;
+        if (urls.some((url) => path.endsWith(url))) {
+          link.closest('.predictive-search__item')?.remove();
+        }
+      });
+
+      list.prepend(...matches.map((product) => this.createCatalogueMatchItem(product)));
+      return tmpl.innerHTML;
+    }
+
+    /**
+     * Grouped mode: copies of one release (the artist|album|format key the collection grid
+     * groups by) collapse into one row - "5 copies from £8" - followed by matching artists
+     * and labels, each linking to a search for them. Suggest only returns rendered rows, so
+     * the products come from the Storefront API.
+     * @param {string} searchTerm - Search query.
+     * @param {string} resultsMarkup - Results markup from the predictive search section.
+     * @returns {Promise<string>} - Results markup with the products tab grouped
+     */
+    async groupProductResults(searchTerm, resultsMarkup) {
+      if (typeof StorefrontAPIClient === 'undefined') {
+        return resultsMarkup;
+      }
+
+      let products = [];
+      try {
+        this.apiClient = this.apiClient || new StorefrontAPIClient();
+        const productType = this.productTypeInput?.value;
+        const query = productType
+          ? this.apiClient.buildSearchQuery(searchTerm, { productType })
+          : searchTerm;
+        const data = await this.apiClient.searchProducts(
+          query,
+          null,
+          GROUPED_FETCH_LIMIT,
+          this.apiClient.buildSortParams('relevance', 'search'),
+          { fields: 'card', metafields: [METAFIELD_KEYS.COMPUTED_MASTER_LABEL] },
+        );
+        products = (data.products?.edges || []).map((edge) => edge.node);
+      } catch (error) {
+        window.themeLogger?.warn('Predictive search: grouped results failed', error);
+        return resultsMarkup;
+      }
+      if (products.length === 0) {
+        return resultsMarkup;
+      }
+
+      const tmpl = document.createElement('template');
+      tmpl.innerHTML = resultsMarkup;
+      const list = this.getProductsList(tmpl.content);
+      if (!list) {
+        return resultsMarkup;
+      }
+
+      // Copies grouped in relevance order; ungroupable products stay rows of their own
+      const aliases = this.getGroupingAliases();
+      const releases = new Map();
+      products.forEach((product) => {
+        const key =
+          buildGroupKey(product, DEFAULT_GROUPING_STRATEGY, { aliases }) || product.id;
+        releases.set(key, [...(releases.get(key) || []), product]);
+      });
+
+      const viewAll = list.querySelector('.js-submit');
+      list.replaceChildren(
+        ...Array.from(releases.values())
+          .slice(0, GROUPED_RELEASE_LIMIT)
+          .map((copies) => this.createReleaseItem(copies)),
+      );
+
+      const panel = list.parentElement;
+      const artists = this.findMatchingNames(
+        searchTerm,
+        products.map((product) => product.artist?.value),
+      );
+      const labels = this.findMatchingNames(searchTerm, products.map(getRecordLabel));
+      if (artists.length > 0) {
+        const items = artists.map((name) => this.createNameItem(name, 'artist'));
+        panel.appendChild(this.createNameGroup(window.predictiveSearchStrings.artists, items));
+      }
+      if (labels.length > 0) {
+        const items = labels.map((name) => this.createNameItem(name, 'label'));
+        panel.appendChild(this.createNameGroup(window.predictiveSearchStrings.labels, items));
+      }
+
+      // "View all" stays the last row
+      if (viewAll) {
+        const viewAllList = document.createElement('ul');
+        viewAllList.className = 'predictive-search__list';
+        viewAllList.setAttribute('role', 'list');
+        viewAllList.appendChild(viewAll);
+        panel.appendChild(viewAllList);
+      }
+
+      return tmpl.innerHTML;
+    }
+
+    /**
+     * Artist/album alias table from layout/theme.liquid, as the collection grid groups with it
+     */
+    getGroupingAliases() {
+      if (this.groupingAliases === undefined) {
+        this.groupingAliases = parseGroupingAliases(
+          document.getElementById('grouping-aliases')?.textContent,
+        );
+      }
+      return this.groupingAliases;
+    }
+
+    /**
+     * Names (artists or labels) whose words start with every search word - "miles dav"
+     * finds Miles Davis - most frequent first. Spellings that fold alike ("Motorhead",
+     * "Motörhead") count as one name, shown as first seen.
+     * @param {string} searchTerm - Search query.
+     * @param {Array} names - One name per product, blanks allowed.
+     * @returns {Array}
+     */
+    findMatchingNames(searchTerm, names) {
+      const searchWords = tokenizeSearchText(searchTerm);
+      if (searchWords.length === 0) {
+        return [];
+      }
+
+      const matches = new Map();
+      names.forEach((name) => {
+        const words = tokenizeSearchText(name);
+        const matchesSearch = searchWords.every((word) => words.some((w) => w.startsWith(word)));
+        if (words.length === 0 || !matchesSearch) {
+          return;
+        }
+        const key = words.join(' ');
+        const match = matches.get(key) || { name: name.trim(), count: 0 };
+        match.count += 1;
+        matches.set(key, match);
+      });
+      return Array.from(matches.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, GROUPED_NAME_LIMIT)
+        .map((match) => match.name);
+    }
+
+    /**
+     * Gets the products tab list, creating the tab when suggest found no products.
+     * @param {DocumentFragment} content - Parsed results markup.
+     * @returns {HTMLElement|null}
+     */
+    getProductsList(content) {
+      const list = content.querySelector(`#${this.input.id}-products .predictive-search__list`);
+      if (list) {
+        return list;
+      }
+
+      const results = content.querySelector('.predictive-search__results');
+      if (!results) {
+        return null;
+      }
+      const panel = document.createElement('div');
+      panel.className = 'predictive-search__tabpanel focus-inset';
+      panel.id = `${this.input.id}-products`;
+      panel.setAttribute('role', 'tabpanel');
+      const newList = document.createElement('ul');
+      newList.className = 'predictive-search__list';
+      newList.setAttribute('role', 'list');
+      panel.appendChild(newList);
+      content.querySelector('.predictive-search__no-results')?.remove();
+      results.appendChild(panel);
+      return newList;
+    }
+
+    /**
+     * A titled list of results in the products tab (grouped mode)
+     * @param {string} heading - Group heading.
+     * @param {Array} items - List items.
+     * @returns {HTMLElement}
+     */
+    createNameGroup(heading, items) {
+      const group = document.createElement('div');
+      group.className = 'predictive-search__group';
+      const title = document.createElement('h3');
+      title.className = 'predictive-search__heading predictive-search__group-title h6';
+      title.textContent = heading;
+      const list = document.createElement('ul');
+      list.className = 'predictive-search__list';
+      list.setAttribute('role', 'list');
+      list.append(...items);
+      group.append(title, list);
+      return group;
+    }
+
+    /**
+     * A row for one release: a single copy as suggest shows it, or "5 copies from £8"
+     * linking to the cheapest copy for sale
+     * @param {Array} copies - Products sharing a group key, in relevance order.
+     * @returns {HTMLElement}
+     */
+    createReleaseItem(copies) {
+      const byPrice = (a, b) =>
+        parseFloat(a.priceRange?.minVariantPrice?.amount || 0) -
+        parseFloat(b.priceRange?.minVariantPrice?.amount || 0);
+      const forSale = getPurchasableCopies(copies).sort(byPrice);
+      const product = forSale[0] || copies[0];
+      const price = product.priceRange?.minVariantPrice;
+
+      const strings = window.predictiveSearchStrings;
+      let detail = price ? this.formatMoney(price) : '';
+      if (copies.length > 1) {
+        const template = price ? strings.releaseCopiesFrom : strings.releaseCopies;
+        detail = template.replace('[count]', copies.length);
+        if (price) {
+          detail = detail.replace('[price]', this.formatMoney(price));
+        }
+      }
+
+      return this.createResultItem({
+        url: `${window.Shopify?.routes?.root || '/'}products/${product.handle}`,
+        image: product.featuredImage,
+        title: product.title,
+        subtitle: product.artist?.value || product.vendor,
+        detail,
+        className: copies.length > 1 ? 'predictive-search__item--group' : '',
+      });
+    }
+
+    /**
+     * A row linking to a search for an artist or label ("artist:"Miles Davis"")
+     * @param {string} name - Artist or label name.
+     * @param {string} field - 'artist' or 'label', a search field (grouping/search-query.js).
+     * @returns {HTMLElement}
+     */
+    createNameItem(name, field) {
+      const url = new URL(
+        (window.routes && window.routes.search_url) || '/search',
+        window.location.origin,
+      );
+      url.searchParams.set('q', `${field}:"${name.replace(/"/g, '')}"`);
+      return this.createResultItem({
+        url: `${url.pathname}${url.search}`,
+        title: name,
+        subtitle: window.predictiveSearchStrings[field],
+        className: `predictive-search__item--${field}`,
+      });
+    }
+
+    /**
+     * A products list item for a catalogue number match
+     * @param {object} product - Storefront API product (card fields).
+     * @returns {HTMLElement}
+     */
+    createCatalogueMatchItem(product) {
+      const strings = window.predictiveSearchStrings;
+      const price = product.priceRange?.minVariantPrice;
+      return this.createResultItem({
+        url: `${window.Shopify?.routes?.root || '/'}products/${product.handle}`,
+        image: product.featuredImage,
+        title: product.title,
+        subtitle: product.vendor
+          ? strings.catalogueNumberMatchWithVendor.replace('[vendor]', product.vendor)
+          : strings.catalogueNumberMatch,
+        detail: price ? this.formatMoney(price) : '',
+        className: 'predictive-search__item--catalogue-match',
+      });
+    }
+
+    /**
+     * A list item as snippets/predictive-search-tab-panel renders them
+     * @param {object} options - { url, image, title, subtitle, detail, className }; image is
+     *   a Storefront API image and is left out (rather than a placeholder) when undefined.
+     * @returns {HTMLElement}
+     */
+    createResultItem({ url, image, title, subtitle, detail, className }) {
+      const item = document.createElement('li');
+      item.className = `predictive-search__item ${className || ''}`.trim();
+      item.setAttribute('role', 'option');
+
+      const link = document.createElement('a');
+      link.className = 'predictive-result flex items-start focus-inset js-search-link';
+      link.href = url;
+
+      if (image !== undefined) {
+        const media = document.createElement('div');
+        media.className = 'predictive-result__media media relative';
+        if (image?.url) {
+          const img = document.createElement('img');
+          const src = new URL(image.url, window.location.origin);
+          src.searchParams.set('width', '112');
+          img.src = src.href;
+          img.alt = image.altText || title;
+          img.className = 'predictive-result__media';
+          img.loading = 'eager';
+          media.appendChild(img);
+        }
+        link.appendChild(media);
+      }
+
+      const info = document.createElement('div');
+      info.className = 'predictive-result__info flex-auto';
+      const heading = document.createElement('h3');
+      heading.className = 'predictive-result__title h6';
+      heading.textContent = title;
+      info.appendChild(heading);
+      if (subtitle) {
+        const subtitleEl = document.createElement('div');
+        subtitleEl.className = 'predictive-result__sub-title text-sm';
+        subtitleEl.textContent = subtitle;
+        info.appendChild(subtitleEl);
+      }
+      if (detail) {
+        const detailEl = document.createElement('div');
+        detailEl.className = 'price text-sm';
+        detailEl.textContent = detail;
+        info.appendChild(detailEl);
+      }
+
+      link.appendChild(info);
+      item.appendChild(link);
+      return item;
+    }
+
+    /**
+     * Formats a Storefront API price, without pence when whole ("£8", "£8.50").
+     * @param {object} price - { amount, currencyCode }
+     * @returns {string}
+     */
+    formatMoney(price) {
+      const amount = parseFloat(price.amount || 0);
+      return new Intl.NumberFormat('en-GB', {
+        style: 'currency',
+        currency: price.currencyCode || 'GBP',
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+      }).format(amount);
+    }
+
     /**
      * Sets the live region loading state.
      */
@@ -0,0 +1,131 @@
+/**
+ * Product Tracklist - renders the custom.tracklist metafield on the product page
+ * The section prints the raw metafield (a readable no-JS fallback) and its value as JSON;
+ * this replaces the fallback with a table per side, with a running-time total per side.
+ * Headings and labels are locale strings from the element's data-*-text attributes.
+ */
+import { formatDuration, groupTracksBySide, parseTracklist } from '../grouping/index.js';
+
+if (!customElements.get('product-tracklist')) {
+  class ProductTracklist extends HTMLElement {
+    connectedCallback() {
+      if (this.dataset.rendered === 'true') {
+        return;
+      }
+
+      let text = '';
+      try {
+        text = JSON.parse(this.querySelector('script[type="application/json"]')?.textContent);
+      } catch {
+        return;
+      }
+
+      const tracks = parseTracklist(text);
+      if (tracks.length === 0) {
+        return; // Nothing recognisable - keep the fallback text
+      }
+
+      const sides = groupTracksBySide(tracks);
+      const showTotals = this.dataset.showSideTotals !== 'false';
+      const hasDurations = tracks.some((track) => track.duration);
+
+      const tables = sides.map((side) => this.createSideTable(side, showTotals, hasDurations));
+      this.querySelector('.product-tracklist__fallback')?.remove();
+      this.append(...tables);
+
+      if (showTotals && sides.length > 1 && tracks.every((track) => track.seconds !== null)) {
+        this.append(this.createRunningTime(tracks));
+      }
+      this.dataset.rendered = 'true';
+    }
+
+    /**
+     * One table per side, captioned "Side A" (or "Tracklist" for an unsided list)
+     * @param {Object} side - { side, tracks, seconds } from groupTracksBySide()
+     */
+    createSideTable(side, showTotals, hasDurations) {
+      const table = document.createElement('table');
+      table.className = 'product-tracklist__table';
+
+      const caption = table.createCaption();
+      caption.className = 'product-tracklist__side';
+      caption.textContent = this.getSideName(side.side);
+
+      const headings = [this.dataset.trackText, this.dataset.titleText];
+      if (hasDurations) {
+        headings.push(this.dataset.lengthText);
+      }
+      const headRow = table.createTHead().insertRow();
+      headings.forEach((label) => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = label;
+        headRow.appendChild(cell);
+      });
+
+      const body = table.createTBody();
+      side.tracks.forEach((track) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = track.position;
+
+        const title = document.createElement('th');
+        title.scope = 'row';
+        title.textContent = track.title;
+        row.appendChild(title);
+
+        if (hasDurations) {
+          const duration = row.insertCell();
+          duration.className = 'product-tracklist__duration';
+          if (track.duration) {
+            const time = document.createElement('time');
+            time.dateTime = `PT${track.seconds}S`;
+            time.textContent = track.duration;
+            duration.appendChild(time);
+          }
+        }
+      });
+
+      if (showTotals && hasDurations && side.seconds) {
+        const row = table.createTFoot().insertRow();
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.colSpan = 2;
+        label.textContent = side.side
+          ? this.dataset.sideTotalText.replace('[side]', this.getSideName(side.side))
+          : this.dataset.totalText;
+        row.appendChild(label);
+
+        const total = row.insertCell();
+        total.className = 'product-tracklist__duration';
+        total.textContent = formatDuration(side.seconds);
+      }
+
+      return table;
+    }
+
+    /**
+     * Whole-release running time (every track has a duration)
+     */
+    createRunningTime(tracks) {
+      const paragraph = document.createElement('p');
+      paragraph.className = 'product-tracklist__total';
+      const seconds = tracks.reduce((sum, track) => sum + track.seconds, 0);
+      paragraph.textContent = this.dataset.runningTimeText.replace(
+        '[duration]',
+        formatDuration(seconds),
+      );
+      return paragraph;
+    }
+
+    getSideName(side) {
+      if (!side) {
+        return this.dataset.headingText;
+      }
+      return /^\d+$/.test(side)
+        ? this.dataset.discText.replace('[disc]', side)
+        : this.dataset.sideText.replace('[side]', side);
+    }
+  }
+
+  customElements.define('product-tracklist', ProductTracklist);
+}
@@ -0,0 +1,85 @@
+/**
+ * Search Query Chips - the parsed terms of a search on the search results page
+ * "artist:"miles davis" format:LP -compilation" shows as Artist: miles davis, Format: LP and
+ * Not: compilation, each a link to the same search without that term. Plain searches with
+ * no field terms or exclusions show no chips. Syntax: grouping/search-query.js
+ * Chip text: locale strings that main-search.liquid renders as JSON inside the element.
+ */
+import { formatSearchTerm, parseSearchQuery } from '../grouping/index.js';
+
+if (!customElements.get('search-query-chips')) {
+  class SearchQueryChips extends HTMLElement {
+    connectedCallback() {
+      if (this.dataset.rendered === 'true') {
+        return;
+      }
+
+      const query = this.dataset.query || '';
+      const { terms } = parseSearchQuery(query);
+      if (!terms.some((term) => term.field || term.negated)) {
+        return;
+      }
+
+      try {
+        const stringsScript = this.querySelector('script[type="application/json"]');
+        this.strings = JSON.parse(stringsScript.textContent);
+      } catch {
+        return;
+      }
+
+      const list = document.createElement('ul');
+      list.className = 'search-query-chips__list';
+      list.setAttribute('role', 'list');
+      terms.forEach((term) => {
+        const item = document.createElement('li');
+        item.appendChild(this.createChip(term, this.removeTerm(query, term)));
+        list.appendChild(item);
+      });
+
+      this.append(list);
+      this.hidden = false;
+      this.dataset.rendered = 'true';
+    }
+
+    /**
+     * A link to the search without one term
+     * @param {Object} term - From parseSearchQuery()
+     * @param {string} query - The query without the term
+     */
+    createChip(term, query) {
+      const link = document.createElement('a');
+      link.className = 'search-query-chips__chip';
+      if (term.field) {
+        link.classList.add(`search-query-chips__chip--${term.field}`);
+      }
+      if (term.negated) {
+        link.classList.add('search-query-chips__chip--negated');
+      }
+
+      const url = new URL(window.location.href);
+      url.searchParams.set('q', query);
+      url.searchParams.delete('page');
+      link.href = `${url.pathname}${url.search}`;
+
+      const icon = this.querySelector('template')?.content.cloneNode(true);
+      if (icon) {
+        link.appendChild(icon);
+      }
+      const label = formatSearchTerm(term, this.strings);
+      link.append(label);
+      link.setAttribute('aria-label', this.strings.remove.replace('[term]', label));
+      return link;
+    }
+
+    /**
+     * The query with one term's typed text taken out
+     */
+    removeTerm(query, term) {
+      return `${query.slice(0, term.index)} ${query.slice(term.index + term.raw.length)}`
+        .replace(/\s+/g, ' ')
+        .trim();
+    }
+  }
+
+  customElements.define('search-query-chips', SearchQueryChips);
+}
@@ -0,0 +1,43 @@
+if (!customElements.get('condition-range')) {
+  class ConditionRange extends HTMLElement {
+    constructor() {
+      super();
+      this.facetsUpdatedHandler = this.handleFacetsUpdated.bind(this);
+    }
+
+    connectedCallback() {
+      this.selects = this.querySelectorAll('select');
+      this.syncSelects(window.location.search);
+      document.addEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    /**
+     * Handles 'on:facet-filters:updated' events. The facets form is re-rendered before the URL
+     * changes, so the new selection comes from the event rather than the location.
+     * @param {object} evt - Event object.
+     */
+    handleFacetsUpdated(evt) {
+      this.syncSelects(evt.detail?.searchParams ?? window.location.search);
+    }
+
+    /**
+     * Selects the minimum grades present in a query string.
+     * @param {string} searchParams - Filter/sort search parameters.
+     */
+    syncSelects(searchParams) {
+      const params = new URLSearchParams(searchParams);
+
+      this.selects.forEach((select) => {
+        const value = params.get(select.name) || '';
+        const hasOption = Array.from(select.options).some((option) => option.value === value);
+        select.value = hasOption ? value : '';
+      });
+    }
+  }
+
+  customElements.define('condition-range', ConditionRange);
+}
@@ -26,6 +26,20 @@ export const CONFIG = {
   // API Configuration
   METAFIELD_NAMESPACE: 'custom',
   APP_API_ENDPOINT: '/api/metafields',
+
+  // Storefront API Request Handling
+  API_REQUEST_TIMEOUT: 15000,
+  API_MAX_RETRIES: 3,
+  API_RETRY_BASE_DELAY: 500,
+  API_RETRY_MAX_DELAY: 8000,
+  API_MAX_CONCURRENT_REQUESTS: 4,
+
+  // Product Cache (IndexedDB)
+  // Bump PRODUCT_CACHE_VERSION whenever the cached product shape changes
+  PRODUCT_CACHE_DB: 'discosync-product-cache',
+  PRODUCT_CACHE_VERSION: 4,
+  PRODUCT_CACHE_TTL: 24 * 60 * 60 * 1000,
+  PRODUCT_CACHE_MAX_ENTRIES: 20,
 };
 
 export const SELECTORS = {
@@ -93,6 +107,8 @@ export const ERROR_MESSAGES = {
   PRODUCT_GRID_MISSING: 'Product grid element not found. Cannot render products.',
   FETCH_FAILED: 'Failed to fetch products. Please try again or refresh the page.',
   RENDER_FAILED: 'Failed to render products. Showing fallback view.',
+  REQUEST_TIMEOUT: 'Storefront API request timed out.',
+  REQUEST_ABORTED: 'Storefront API request was cancelled.',
 };
 
 // Export default config object for easy access
@@ -0,0 +1,383 @@
+/**
+ * Debug Overlay
+ * On-screen diagnostics for theme developers: themeLogger entries by channel and level,
+ * perfMonitor metrics and API call timings, and a JSON export of all of it.
+ * Only mounted when the page is opened with ?debug, so shoppers never see it.
+ */
+
+import { CONFIG } from './constants.js';
+import themeLogger, { LOG_LEVELS, serializeLogArgs } from './logger.js';
+import perfMonitor from './performance-monitor.js';
+
+// Entries kept for the overlay (themeLogger itself keeps fewer)
+const MAX_ENTRIES = 500;
+
+// API calls listed in the performance view, newest first
+const MAX_API_ROWS = 50;
+
+const LEVEL_COLORS = {
+  debug: '#9aa0a6',
+  log: '#e8eaed',
+  perf: '#da77f2',
+  warn: '#ffd93d',
+  error: '#ff6b6b',
+};
+
+class DebugOverlay {
+  constructor() {
+    this.isEnabled = new URLSearchParams(window.location.search).has(CONFIG.DEBUG_PARAM);
+    this.entries = [];
+    this.channels = new Set();
+    this.channel = 'all';
+    this.minLevel = 'debug';
+    this.view = 'logs';
+    this.panel = null;
+
+    if (this.isEnabled) {
+      this.init();
+    }
+  }
+
+  init() {
+    // Entries logged before the overlay loaded, then everything from now on
+    themeLogger.getLogs().forEach((entry) => this.addEntry(entry));
+    themeLogger.subscribe((entry) => this.addEntry(entry));
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.mount());
+    } else {
+      this.mount();
+    }
+  }
+
+  /**
+   * Store an entry and show it if it passes the current filters
+   */
+  addEntry(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+
+    if (!this.channels.has(entry.channel)) {
+      this.channels.add(entry.channel);
+      this.renderChannelOptions();
+    }
+
+    if (this.panel && this.view === 'logs' && this.matchesFilters(entry)) {
+      this.body.appendChild(this.createEntryRow(entry));
+      this.body.scrollTop = this.body.scrollHeight;
+      if (this.body.children.length > MAX_ENTRIES) {
+        this.body.firstChild.remove();
+      }
+    }
+  }
+
+  /**
+   * Whether an entry passes the channel and minimum level filters
+   */
+  matchesFilters(entry) {
+    return (
+      (this.channel === 'all' || entry.channel === this.channel) &&
+      LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(this.minLevel)
+    );
+  }
+
+  /**
+   * Build the panel: channel and level filters, logs/performance views, export
+   */
+  mount() {
+    this.addStyles();
+
+    const panel = document.createElement('section');
+    panel.id = 'theme-debug-overlay';
+    panel.setAttribute('aria-label', 'Theme diagnostics');
+
+    const header = document.createElement('div');
+    header.className = 'theme-debug-overlay__header';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Theme diagnostics';
+
+    this.channelSelect = this.createSelect('Channel', (value) => {
+      this.channel = value;
+      this.render();
+    });
+    this.levelSelect = this.createSelect('Minimum level', (value) => {
+      this.minLevel = value;
+      this.render();
+    });
+    LOG_LEVELS.forEach((level) => this.levelSelect.add(new Option(level, level)));
+
+    this.viewButton = this.createButton('Performance', () => {
+      this.view = this.view === 'logs' ? 'performance' : 'logs';
+      this.viewButton.textContent = this.view === 'logs' ? 'Performance' : 'Logs';
+      this.render();
+    });
+
+    header.append(
+      title,
+      this.channelSelect,
+      this.levelSelect,
+      this.viewButton,
+      this.createButton('Export JSON', () => this.exportJSON()),
+      this.createButton('Clear', () => {
+        this.entries = [];
+        themeLogger.clearLogs();
+        perfMonitor.clear();
+        this.render();
+      }),
+      this.createButton('×', () => panel.remove(), 'Close diagnostics'),
+    );
+
+    this.body = document.createElement('div');
+    this.body.className = 'theme-debug-overlay__body';
+
+    panel.append(header, this.body);
+    document.body.appendChild(panel);
+    this.panel = panel;
+
+    this.renderChannelOptions();
+    this.render();
+  }
+
+  /**
+   * Redraw the current view
+   */
+  render() {
+    if (!this.panel) {
+      return;
+    }
+
+    if (this.view === 'performance') {
+      this.body.replaceChildren(...this.createPerformanceView());
+      return;
+    }
+
+    this.body.replaceChildren(
+      ...this.entries.filter((entry) => this.matchesFilters(entry)).map((entry) =>
+        this.createEntryRow(entry),
+      ),
+    );
+    this.body.scrollTop = this.body.scrollHeight;
+  }
+
+  /**
+   * Keep the channel filter in step with the channels seen so far
+   */
+  renderChannelOptions() {
+    if (!this.channelSelect) {
+      return;
+    }
+
+    const options = [new Option('all channels', 'all')];
+    Array.from(this.channels)
+      .sort()
+      .forEach((channel) => options.push(new Option(channel, channel)));
+    this.channelSelect.replaceChildren(...options);
+    this.channelSelect.value = this.channel;
+  }
+
+  /**
+   * One log line: time, level, channel, message and arguments
+   */
+  createEntryRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'theme-debug-overlay__entry';
+    row.style.color = LEVEL_COLORS[entry.level] || LEVEL_COLORS.log;
+
+    const time = new Date(entry.timestamp).toLocaleTimeString();
+    const args = (entry.args || []).length > 0 ? ` ${serializeLogArgs(entry.args)}` : '';
+    row.textContent = `[${time}] ${entry.level} [${entry.channel}] ${entry.message}${args}`;
+    return row;
+  }
+
+  /**
+   * perfMonitor summary and the latest API call timings (a snapshot - switch views to
+   * refresh)
+   */
+  createPerformanceView() {
+    const report = perfMonitor.getReport();
+    const { slowest } = report.apiPerformance;
+    const summary = document.createElement('dl');
+    summary.className = 'theme-debug-overlay__summary';
+
+    const stats = {
+      'API calls': report.summary.totalApiCalls,
+      'Failed calls': report.apiPerformance.failed,
+      'Average API time': formatDuration(report.apiPerformance.average),
+      'Slowest call': slowest ? `${slowest.name} (${formatDuration(slowest.duration)})` : '-',
+      Renders: report.summary.totalRenderOperations,
+      'Average render time': formatDuration(report.renderPerformance.average),
+      Errors: report.summary.totalErrors,
+    };
+    (perfMonitor.metrics.webVitals || []).forEach(({ metric, value }) => {
+      stats[metric] = metric === 'CLS' ? value.toFixed(3) : formatDuration(value);
+    });
+
+    Object.entries(stats).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      summary.append(term, detail);
+    });
+
+    const table = document.createElement('table');
+    table.className = 'theme-debug-overlay__table';
+    const head = table.createTHead().insertRow();
+    ['API call', 'Time', 'Status'].forEach((label) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = label;
+      head.appendChild(cell);
+    });
+
+    const rows = table.createTBody();
+    perfMonitor.metrics.apiCalls
+      .slice(-MAX_API_ROWS)
+      .reverse()
+      .forEach((call) => {
+        const row = rows.insertRow();
+        row.insertCell().textContent = call.name;
+        row.insertCell().textContent = formatDuration(call.duration);
+        row.insertCell().textContent = call.success ? 'ok' : call.error || 'failed';
+      });
+
+    if (perfMonitor.metrics.apiCalls.length === 0) {
+      const note = document.createElement('p');
+      note.textContent = 'No API calls recorded yet.';
+      return [summary, note];
+    }
+    return [summary, table];
+  }
+
+  /**
+   * Download logs, the performance report and API call timings as JSON
+   */
+  exportJSON() {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      logs: this.entries.map((entry) => ({
+        ...entry,
+        args: JSON.parse(serializeLogArgs(entry.args)),
+      })),
+      performance: perfMonitor.getReport(),
+      apiCalls: perfMonitor.metrics.apiCalls,
+      webVitals: perfMonitor.metrics.webVitals || [],
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `theme-diagnostics-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  createSelect(label, onChange) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  createButton(text, onClick, label = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    if (label) {
+      button.setAttribute('aria-label', label);
+    }
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  addStyles() {
+    if (document.getElementById('theme-debug-overlay-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'theme-debug-overlay-styles';
+    style.textContent = `
+      #theme-debug-overlay {
+        position: fixed;
+        right: 10px;
+        bottom: 10px;
+        z-index: 10000;
+        display: flex;
+        flex-direction: column;
+        width: min(560px, calc(100vw - 20px));
+        max-height: 45vh;
+        border: 1px solid #333;
+        border-radius: 5px;
+        background: rgba(0, 0, 0, 0.92);
+        color: #e8eaed;
+        font: 11px/1.4 monospace;
+      }
+      .theme-debug-overlay__header {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        align-items: center;
+        padding: 6px 8px;
+        border-bottom: 1px solid #333;
+      }
+      .theme-debug-overlay__header strong {
+        margin-right: auto;
+      }
+      #theme-debug-overlay button,
+      #theme-debug-overlay select {
+        padding: 2px 6px;
+        border: 1px solid #555;
+        border-radius: 3px;
+        background: #222;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+      .theme-debug-overlay__body {
+        overflow-y: auto;
+        padding: 6px 8px;
+      }
+      .theme-debug-overlay__entry {
+        margin-bottom: 2px;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+      }
+      .theme-debug-overlay__summary {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 2px 12px;
+        margin: 0 0 8px;
+      }
+      .theme-debug-overlay__summary dd {
+        margin: 0;
+      }
+      .theme-debug-overlay__table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      .theme-debug-overlay__table th,
+      .theme-debug-overlay__table td {
+        padding: 2px 4px;
+        border-bottom: 1px solid #333;
+        text-align: left;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+function formatDuration(ms) {
+  return `${(ms || 0).toFixed(1)}ms`;
+}
+
+// Initialize and export
+const debugOverlay = new DebugOverlay();
+window.debugOverlay = debugOverlay;
+
+export default debugOverlay;
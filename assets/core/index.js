@@ -9,8 +9,10 @@ import accessibilityEnhancer from './accessibility-enhancer.js';
 import clsPrevention from './cls-prevention.js';
 import configValidator from './config-validator.js';
 import * as constants from './constants.js';
+import debugOverlay from './debug-overlay.js';
 import ErrorBoundary from './error-boundary.js';
 import inpOptimizer from './inp-optimizer.js';
+import logTransport from './log-transport.js';
 import themeLogger from './logger.js';
 import perfMonitor from './performance-monitor.js';
 import performanceReporter from './performance-reporter.js';
@@ -28,6 +30,8 @@ export {
   performanceReporter,
   clsPrevention,
   inpOptimizer,
+  debugOverlay,
+  logTransport,
 };
 
 // Expose on window for global access (IIFE will handle this)
@@ -50,4 +54,8 @@ if (typeof window !== 'undefined') {
   window.clsPrevention = clsPrevention;
   // INP optimizer
   window.inpOptimizer = inpOptimizer;
+  // Debug overlay (?debug only)
+  window.debugOverlay = debugOverlay;
+  // Remote log shipping (only when a log endpoint is set)
+  window.logTransport = logTransport;
 }
@@ -0,0 +1,220 @@
+/**
+ * Log Transport
+ * Ships themeLogger errors and warnings to the endpoint set in theme settings
+ * (Diagnostics > Log endpoint). Page views are sampled, repeats of an entry within a batch
+ * are collapsed into one with a count, an entry is sent in at most a few batches per page
+ * view, and batches are sent with navigator.sendBeacon when full, on a timer and when the
+ * page is hidden. Run `npm run mock:logs` for a local
+ * endpoint that prints what arrives.
+ *
+ * Payload (schema 1), sent as text/plain JSON so cross-origin endpoints need no preflight:
+ * {
+ *   schema: 1,
+ *   sentAt: '2026-01-01T12:00:00.000Z',
+ *   page: { url, pageType, sessionId, userAgent },
+ *   entries: [{
+ *     level: 'error' | 'warn',
+ *     component: 'grouping' | 'more-from' | 'theme' | ...,   // themeLogger channel
+ *     message: string,
+ *     details: string,                                          // JSON of the log arguments
+ *     context: { collectionHandle, searchTerms, filters, queryName },
+ *     count: number,                                            // repeats in this batch
+ *     firstSeen: number,                                        // epoch ms
+ *     lastSeen: number,
+ *   }]
+ * }
+ */
+
+import themeLogger, { serializeLogArgs } from './logger.js';
+
+export const LOG_SCHEMA_VERSION = 1;
+
+// Longest details string sent per entry
+const MAX_DETAILS_LENGTH = 2000;
+
+/**
+ * First `key` value among plain-object log arguments, e.g. { queryName } from the API client
+ */
+function findArgValue(args, key) {
+  const match = (args || []).find((arg) => arg && typeof arg === 'object' && key in arg);
+  return match ? match[key] : undefined;
+}
+
+export class BeaconTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - URL batches are POSTed to
+   * @param {number} options.sampleRate - Share of page views that send anything (0-1)
+   * @param {number} options.batchSize - Entries that trigger an immediate send
+   * @param {number} options.flushInterval - Longest wait before a partial batch is sent (ms)
+   * @param {number} options.maxEntriesPerPage - Stop sending after this many entries
+   * @param {number} options.maxBatchesPerKey - Batches one level/channel/message may appear in
+   */
+  constructor({
+    endpoint,
+    sampleRate = 1,
+    batchSize = 10,
+    flushInterval = 10000,
+    maxEntriesPerPage = 50,
+    maxBatchesPerKey = 3,
+  }) {
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxEntriesPerPage = maxEntriesPerPage;
+    this.maxBatchesPerKey = maxBatchesPerKey;
+    this.isSampled = Math.random() < sampleRate;
+    this.pending = new Map(); // dedup key -> entry
+    this.sentKeys = new Map(); // dedup key -> batches it was sent in this page view
+    this.sentCount = 0;
+    this.flushTimer = null;
+    this.sessionId = this.getSessionId();
+
+    if (this.isSampled) {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush();
+        }
+      });
+      window.addEventListener('pagehide', () => this.flush());
+    }
+  }
+
+  /**
+   * Queue a themeLogger entry ({ level, channel, message, args, timestamp, context })
+   */
+  send(entry) {
+    if (!this.isSampled || this.sentCount + this.pending.size >= this.maxEntriesPerPage) {
+      return;
+    }
+
+    const key = `${entry.level}|${entry.channel}|${entry.message}`;
+    const existing = this.pending.get(key);
+    if (existing) {
+      existing.count++;
+      existing.lastSeen = entry.timestamp;
+      return;
+    }
+    // A warning repeated on every filter change or search would otherwise fill each batch
+    if ((this.sentKeys.get(key) || 0) >= this.maxBatchesPerKey) {
+      return;
+    }
+
+    this.pending.set(key, {
+      level: entry.level,
+      component: entry.channel,
+      message: String(entry.message),
+      details: serializeLogArgs(entry.args).slice(0, MAX_DETAILS_LENGTH),
+      context: {
+        ...entry.context,
+        queryName: findArgValue(entry.args, 'queryName') ?? entry.context?.queryName,
+      },
+      count: 1,
+      firstSeen: entry.timestamp,
+      lastSeen: entry.timestamp,
+    });
+
+    if (this.pending.size >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  /**
+   * Send the pending batch
+   * @returns {boolean} - Whether a batch was handed to the browser
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.size === 0) {
+      return false;
+    }
+
+    const entries = Array.from(this.pending.values());
+    for (const key of this.pending.keys()) {
+      this.sentKeys.set(key, (this.sentKeys.get(key) || 0) + 1);
+    }
+    this.pending.clear();
+    this.sentCount += entries.length;
+    return this.post(this.buildPayload(entries));
+  }
+
+  buildPayload(entries) {
+    return {
+      schema: LOG_SCHEMA_VERSION,
+      sentAt: new Date().toISOString(),
+      page: {
+        url: window.location.href,
+        pageType: window.Shopify?.pageType || '',
+        sessionId: this.sessionId,
+        userAgent: navigator.userAgent,
+      },
+      entries,
+    };
+  }
+
+  /**
+   * sendBeacon survives the page unloading; fetch keepalive where it's missing or refused
+   */
+  post(payload) {
+    const body = JSON.stringify(payload);
+
+    if (navigator.sendBeacon?.(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+      return true;
+    }
+    fetch(this.endpoint, {
+      method: 'POST',
+      body,
+      headers: { 'Content-Type': 'text/plain' },
+      keepalive: true,
+      credentials: 'omit',
+    }).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Random id shared by a tab's page views, so an endpoint can group one visit's errors
+   */
+  getSessionId() {
+    try {
+      let id = sessionStorage.getItem('theme-log-session');
+      if (!id) {
+        id = Math.random().toString(36).slice(2, 12);
+        sessionStorage.setItem('theme-log-session', id);
+      }
+      return id;
+    } catch {
+      return '';
+    }
+  }
+}
+
+/**
+ * Transport from the theme settings meta tags (layout/theme.liquid), or null when no
+ * endpoint is set
+ */
+function createConfiguredTransport() {
+  const endpoint = document.querySelector('meta[name="theme-log-endpoint"]')?.content;
+  if (!endpoint) {
+    return null;
+  }
+
+  const sampleRate = parseFloat(
+    document.querySelector('meta[name="theme-log-sample-rate"]')?.content,
+  );
+  return new BeaconTransport({
+    endpoint,
+    sampleRate: Number.isFinite(sampleRate) ? sampleRate / 100 : 1,
+  });
+}
+
+// Initialize and export
+const logTransport = createConfiguredTransport();
+if (logTransport) {
+  themeLogger.setTransport(logTransport);
+}
+window.logTransport = logTransport;
+
+export default logTransport;
@@ -1,8 +1,45 @@
 /**
  * Theme Logger
  * Centralized logging system with debug mode and production handling
+ * Components log to named channels (themeLogger.channel('grouping')) so the debug
+ * overlay (debug-overlay.js) can filter them.
  */
 
+// Least to most severe, for log-level filtering
+export const LOG_LEVELS = ['debug', 'log', 'perf', 'warn', 'error'];
+
+// Channel of entries logged without one
+const DEFAULT_CHANNEL = 'theme';
+
+// Levels handed to a remote transport (log-transport.js)
+const SHIPPED_LEVELS = ['warn', 'error'];
+
+/**
+ * JSON for log arguments, which may hold DOM nodes, errors or cycles
+ */
+export function serializeLogArgs(value) {
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, item) => {
+      if (item instanceof Error) {
+        return { name: item.name, message: item.message, stack: item.stack };
+      }
+      if (typeof Node !== 'undefined' && item instanceof Node) {
+        return `<${item.nodeName.toLowerCase()}>`;
+      }
+      if (item && typeof item === 'object') {
+        if (seen.has(item)) {
+          return '[Circular]';
+        }
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch {
+    return '"[Unserializable]"';
+  }
+}
+
 class ThemeLogger {
   constructor() {
     this.isDebug = this.checkDebugMode();
@@ -11,6 +48,10 @@ class ThemeLogger {
       !document.documentElement.classList.contains('shopify-design-mode');
     this.logs = [];
     this.maxLogs = 100;
+    this.listeners = new Set();
+    this.channels = new Map();
+    this.transport = null;
+    this.context = {};
   }
 
   /**
@@ -30,43 +71,88 @@ class ThemeLogger {
    * Log message (only in debug mode or non-production)
    */
   log(message, ...args) {
-    if (this.isDebug || !this.isProduction) {
-      console.log(`[Theme] ${message}`, ...args);
-      this.addToLogs('log', message, args);
-    }
+    this.write('log', DEFAULT_CHANNEL, message, args);
   }
 
   /**
    * Log error (always shown)
    */
   error(message, ...args) {
-    console.error(`[Theme Error] ${message}`, ...args);
-    this.addToLogs('error', message, args);
-
-    // In production, could send to error tracking service
-    if (this.isProduction) {
-      this.reportError(message, args);
-    }
+    this.write('error', DEFAULT_CHANNEL, message, args);
   }
 
   /**
    * Log warning (only in debug mode or non-production)
    */
   warn(message, ...args) {
-    if (this.isDebug || !this.isProduction) {
-      console.warn(`[Theme Warning] ${message}`, ...args);
-      this.addToLogs('warn', message, args);
-    }
+    this.write('warn', DEFAULT_CHANNEL, message, args);
   }
 
   /**
    * Debug log (only in explicit debug mode)
    */
   debug(message, ...args) {
-    if (this.isDebug) {
-      console.debug(`[Theme Debug] ${message}`, ...args);
-      this.addToLogs('debug', message, args);
+    this.write('debug', DEFAULT_CHANNEL, message, args);
+  }
+
+  /**
+   * Logger for one component, e.g. themeLogger.channel('grouping').debug(...)
+   * Same methods and rules as the logger itself; entries carry the channel name
+   */
+  channel(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, {
+        log: (message, ...args) => this.write('log', name, message, args),
+        error: (message, ...args) => this.write('error', name, message, args),
+        warn: (message, ...args) => this.write('warn', name, message, args),
+        debug: (message, ...args) => this.write('debug', name, message, args),
+      });
     }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Write a log/error/warn/debug entry to the console and the log store
+   */
+  write(level, channel, message, args) {
+    const text = channel === DEFAULT_CHANNEL ? message : `[${channel}] ${message}`;
+
+    // Shipped whether or not the console shows it - production warnings included
+    if (this.transport && SHIPPED_LEVELS.includes(level)) {
+      this.transport.send({
+        level,
+        channel,
+        message,
+        args,
+        timestamp: Date.now(),
+        context: { ...this.context },
+      });
+    }
+
+    if (level === 'error') {
+      console.error(`[Theme Error] ${text}`, ...args);
+      this.addToLogs('error', message, args, channel);
+
+      // In production, could send to error tracking service
+      if (this.isProduction) {
+        this.reportError(message, args);
+      }
+      return;
+    }
+
+    // Debug entries need explicit debug mode; log/warn also show outside production
+    const isVisible = level === 'debug' ? this.isDebug : this.isDebug || !this.isProduction;
+    if (!isVisible) {
+      return;
+    }
+    if (level === 'warn') {
+      console.warn(`[Theme Warning] ${text}`, ...args);
+    } else if (level === 'debug') {
+      console.debug(`[Theme Debug] ${text}`, ...args);
+    } else {
+      console.log(`[Theme] ${text}`, ...args);
+    }
+    this.addToLogs(level, message, args, channel);
   }
 
   /**
@@ -82,18 +168,46 @@ class ThemeLogger {
   /**
    * Add log to internal storage
    */
-  addToLogs(level, message, args) {
-    this.logs.push({
+  addToLogs(level, message, args, channel = DEFAULT_CHANNEL) {
+    const entry = {
       level,
+      channel,
       message,
       args,
       timestamp: Date.now(),
-    });
+    };
+    this.logs.push(entry);
 
     // Limit log storage
     if (this.logs.length > this.maxLogs) {
       this.logs.shift();
     }
+
+    this.listeners.forEach((listener) => listener(entry));
+  }
+
+  /**
+   * Be told about every stored entry (the debug overlay)
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Send warnings and errors to a remote transport - anything with send(entry)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Page state attached to shipped entries, e.g. { collectionHandle, filters }
+   * Merged into what's already set
+   */
+  setContext(context) {
+    this.context = { ...this.context, ...context };
   }
 
   /**
@@ -131,8 +245,9 @@ class ThemeLogger {
   }
 }
 
-// Initialize and export
-const themeLogger = new ThemeLogger();
+// Initialize and export - bundles that inline this module share the first instance, so
+// every component logs to the same store
+const themeLogger = window.themeLogger || new ThemeLogger();
 window.themeLogger = themeLogger;
 
 // CONFIG will be available globally after constants.js loads
@@ -13,9 +13,11 @@ class PerformanceMonitor {
       errors: [],
       interactions: [],
     };
+    // Debug mode records too, for the debug overlay's performance view
     this.isEnabled =
       window.location.search.includes('perf=1') ||
-      localStorage.getItem('theme-perf-monitoring') === 'true';
+      localStorage.getItem('theme-perf-monitoring') === 'true' ||
+      themeLogger.isDebug;
   }
 
   /**
@@ -209,8 +211,8 @@ class PerformanceMonitor {
   }
 }
 
-// Initialize and export
-const perfMonitor = new PerformanceMonitor();
+// Initialize and export - bundles that inline this module share the first instance
+const perfMonitor = window.perfMonitor || new PerformanceMonitor();
 window.perfMonitor = perfMonitor;
 
 // Auto-report on page unload if enabled
@@ -1,54 +1,142 @@
 /**
  * Performance Reporter (RUM - Real User Monitoring)
- * Reports performance metrics to analytics endpoint (if configured)
+ * Reports performance metrics to the analytics endpoint set in theme settings
+ * (Diagnostics > Analytics endpoint) on a sampled share of sessions.
+ *
+ * Reports go out with navigator.sendBeacon whenever the page is hidden (visibilitychange,
+ * pagehide), which mobile browsers honour where beforeunload never fires. A page view that is
+ * hidden more than once sends again with a higher `sequence`; endpoints keep the latest report
+ * per pageViewId. Without an endpoint, debug mode keeps reports and per-page-type averages in
+ * localStorage instead.
+ *
+ * Payload (schema 1):
+ * {
+ *   schema: 1, pageViewId, sessionId, sequence, sentAt, url,
+ *   pageType: 'collection' | 'search' | 'product' | ...,   // aggregation key
+ *   connection: { effectiveType, downlink, rtt, saveData } | null,
+ *   metrics: {
+ *     ttfb, fcp, lcp, cls, inp, domContentLoaded, loadComplete,   // ms (cls unitless)
+ *     timeToFirstGroupedCard,   // ms from navigation start, CollectionGroupingEnhancer
+ *     productsFetched, apiPages, renderBatches,
+ *   },
+ *   resources: { total, totalSize, byType, slowest },
+ * }
  */
 
 import themeLogger from './logger.js';
-import perfMonitor from './performance-monitor.js';
 import webVitalsMonitor from './web-vitals.js';
 
+export const PERF_SCHEMA_VERSION = 1;
+
+// Metrics averaged per page type in the local (debug) aggregates
+const AGGREGATED_METRICS = [
+  'ttfb',
+  'fcp',
+  'lcp',
+  'cls',
+  'inp',
+  'timeToFirstGroupedCard',
+  'productsFetched',
+  'apiPages',
+  'renderBatches',
+];
+
 class PerformanceReporter {
   constructor() {
-    this.endpoint = null;
+    this.endpoint = document.querySelector('meta[name="analytics-endpoint"]')?.content || null;
+    this.sessionId = this.getSessionId();
+    this.pageViewId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.pageType = window.Shopify?.pageType || 'other';
     this.isEnabled = this.checkIfEnabled();
-    this.sessionId = this.generateSessionId();
-    this.pageLoadTime = Date.now();
+    this.sequence = 0;
+    this.hasReportedSinceVisible = false;
+    this.lastAggregated = null;
+
+    // Domain metrics recorded by components (recordMetric / markOnce)
+    this.domainMetrics = {
+      timeToFirstGroupedCard: null,
+      productsFetched: 0,
+      apiPages: 0,
+      renderBatches: 0,
+    };
 
     if (this.isEnabled) {
       this.init();
     }
   }
 
+  /**
+   * Report when an endpoint is set and this session is sampled, or locally in debug mode
+   */
   checkIfEnabled() {
-    // Check for analytics endpoint in meta tags or settings
-    const analyticsEndpoint = document.querySelector('meta[name="analytics-endpoint"]')?.content;
-    if (analyticsEndpoint) {
-      this.endpoint = analyticsEndpoint;
-      return true;
+    if (!this.endpoint) {
+      return themeLogger.isDebug;
     }
+    return this.isSessionSampled();
+  }
 
-    // Enable in debug mode
-    return (
-      window.location.search.includes('perf=1') ||
-      localStorage.getItem('theme-perf-reporting') === 'true'
-    );
+  /**
+   * Sampling is decided once per session so a sampled visitor's page views all report
+   * Rate from theme settings (Diagnostics > Sessions sampled), as a percentage
+   */
+  isSessionSampled() {
+    const rate = parseFloat(document.querySelector('meta[name="analytics-sample-rate"]')?.content);
+    const sampleRate = Number.isFinite(rate) ? rate / 100 : 1;
+
+    try {
+      let decision = sessionStorage.getItem('theme-perf-sampled');
+      if (decision === null) {
+        decision = String(Math.random() < sampleRate);
+        sessionStorage.setItem('theme-perf-sampled', decision);
+      }
+      return decision === 'true';
+    } catch {
+      return Math.random() < sampleRate;
+    }
   }
 
-  generateSessionId() {
-    return `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  getSessionId() {
+    try {
+      let id = sessionStorage.getItem('theme-perf-session');
+      if (!id) {
+        id = `session-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+        sessionStorage.setItem('theme-perf-session', id);
+      }
+      return id;
+    } catch {
+      return `session-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    }
   }
 
   init() {
-    // Report on page unload
-    window.addEventListener('beforeunload', () => {
-      this.report();
+    webVitalsMonitor.observe();
+
+    // Hidden is the last moment a page is reliably alive, especially on mobile.
+    // pagehide covers browsers that unload without a visibilitychange.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.report();
+      } else {
+        this.hasReportedSinceVisible = false;
+      }
     });
+    window.addEventListener('pagehide', () => this.report());
+  }
+
+  /**
+   * Add to a counted domain metric, e.g. recordMetric('apiPages')
+   */
+  recordMetric(name, amount = 1) {
+    this.domainMetrics[name] = (this.domainMetrics[name] || 0) + amount;
+  }
 
-    // Report periodically (every 30 seconds)
-    if (this.endpoint) {
-      setInterval(() => {
-        this.report(true); // Periodic report
-      }, 30000);
+  /**
+   * Record the time since navigation start, the first time only
+   * e.g. markOnce('timeToFirstGroupedCard')
+   */
+  markOnce(name) {
+    if (this.domainMetrics[name] === null || this.domainMetrics[name] === undefined) {
+      this.domainMetrics[name] = Math.round(performance.now());
     }
   }
 
@@ -59,47 +147,29 @@ class PerformanceReporter {
     const perfData = performance.getEntriesByType('navigation')[0];
     const paintMetrics = performance.getEntriesByType('paint');
     const resourceMetrics = performance.getEntriesByType('resource');
-
     const webVitals = webVitalsMonitor.getReport();
-    const perfReport = perfMonitor.getReport();
 
     return {
+      schema: PERF_SCHEMA_VERSION,
+      pageViewId: this.pageViewId,
       sessionId: this.sessionId,
-      timestamp: Date.now(),
-      pageLoadTime: this.pageLoadTime,
+      sequence: this.sequence,
+      sentAt: new Date().toISOString(),
       url: window.location.href,
-      userAgent: navigator.userAgent,
+      pageType: this.pageType,
       connection: this.getConnectionInfo(),
 
-      // Navigation Timing
-      navigation: perfData
-        ? {
-          domContentLoaded:
-              perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart,
-          loadComplete: perfData.loadEventEnd - perfData.loadEventStart,
-          domInteractive: perfData.domInteractive - perfData.domContentLoadedEventStart,
-          totalTime: perfData.loadEventEnd - perfData.fetchStart,
-        }
-        : null,
-
-      // Paint Timing
-      paint: {
-        firstPaint: paintMetrics.find((m) => m.name === 'first-paint')?.startTime || null,
-        firstContentfulPaint:
-          paintMetrics.find((m) => m.name === 'first-contentful-paint')?.startTime || null,
-      },
-
-      // Web Vitals
-      webVitals: {
-        lcp: webVitals.lcp,
-        cls: webVitals.cls,
-        inp: webVitals.inp,
-        ttfb: webVitals.ttfb,
+      metrics: {
+        ttfb: webVitals.ttfb?.value ?? null,
+        fcp: paintMetrics.find((m) => m.name === 'first-contentful-paint')?.startTime ?? null,
+        lcp: webVitals.lcp?.value ?? null,
+        cls: webVitals.cls?.value ?? null,
+        inp: webVitals.inp?.value ?? null,
+        domContentLoaded: perfData ? perfData.domContentLoadedEventEnd - perfData.startTime : null,
+        loadComplete: perfData?.loadEventEnd ? perfData.loadEventEnd - perfData.startTime : null,
+        ...this.domainMetrics,
       },
 
-      // Custom Metrics
-      custom: perfReport,
-
       // Resource Metrics
       resources: this.summarizeResources(resourceMetrics),
     };
@@ -162,51 +232,85 @@ class PerformanceReporter {
   }
 
   /**
-   * Report metrics
+   * Report metrics - once per hide (visibilitychange and pagehide often both fire)
    */
-  async report(isPeriodic = false) {
-    if (!this.isEnabled) {
+  report() {
+    if (!this.isEnabled || this.hasReportedSinceVisible) {
       return;
     }
+    this.hasReportedSinceVisible = true;
+    this.sequence++;
 
     try {
       const metrics = this.collectMetrics();
 
       if (this.endpoint) {
-        // Send to analytics endpoint
-        await fetch(this.endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            ...metrics,
-            isPeriodic,
-          }),
-          keepalive: true, // Ensure request completes even if page unloads
-        });
+        this.send(metrics);
       } else {
-        // Log to console in debug mode
-        if (themeLogger.isDebug || !isPeriodic) {
-          themeLogger.debug('Performance Report:', metrics);
-        }
-
-        // Store in localStorage for later retrieval
-        const reports = JSON.parse(localStorage.getItem('theme-perf-reports') || '[]');
-        reports.push(metrics);
-
-        // Keep only last 10 reports
-        if (reports.length > 10) {
-          reports.shift();
-        }
-
-        localStorage.setItem('theme-perf-reports', JSON.stringify(reports));
+        themeLogger.debug('Performance Report:', metrics);
+        this.storeReport(metrics);
       }
     } catch (error) {
       themeLogger.error('Failed to report performance metrics:', error);
     }
   }
 
+  /**
+   * sendBeacon survives the page unloading; fetch keepalive where it's missing or refused
+   * text/plain keeps cross-origin beacons free of a CORS preflight
+   */
+  send(metrics) {
+    const body = JSON.stringify(metrics);
+    if (navigator.sendBeacon?.(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+      return;
+    }
+    fetch(this.endpoint, {
+      method: 'POST',
+      body,
+      headers: { 'Content-Type': 'text/plain' },
+      keepalive: true,
+      credentials: 'omit',
+    }).catch(() => {});
+  }
+
+  /**
+   * Keep the last 10 reports and fold this page view into its page type's averages
+   */
+  storeReport(metrics) {
+    const reports = this.getStoredReports();
+    reports.push(metrics);
+    if (reports.length > 10) {
+      reports.shift();
+    }
+    localStorage.setItem('theme-perf-reports', JSON.stringify(reports));
+
+    const aggregates = JSON.parse(localStorage.getItem('theme-perf-aggregates') || '{}');
+    const bucket = aggregates[this.pageType] || { views: 0, sums: {}, counts: {} };
+
+    // A page view hidden twice replaces its earlier contribution rather than adding another
+    if (this.lastAggregated) {
+      Object.entries(this.lastAggregated).forEach(([name, value]) => {
+        bucket.sums[name] -= value;
+        bucket.counts[name]--;
+      });
+    } else {
+      bucket.views++;
+    }
+
+    this.lastAggregated = {};
+    AGGREGATED_METRICS.forEach((name) => {
+      const value = metrics.metrics[name];
+      if (typeof value === 'number') {
+        bucket.sums[name] = (bucket.sums[name] || 0) + value;
+        bucket.counts[name] = (bucket.counts[name] || 0) + 1;
+        this.lastAggregated[name] = value;
+      }
+    });
+
+    aggregates[this.pageType] = bucket;
+    localStorage.setItem('theme-perf-aggregates', JSON.stringify(aggregates));
+  }
+
   /**
    * Get stored reports
    */
@@ -214,11 +318,29 @@ class PerformanceReporter {
     return JSON.parse(localStorage.getItem('theme-perf-reports') || '[]');
   }
 
+  /**
+   * Averages per page type from stored reports
+   * @returns {Object} - { collection: { views, lcp, productsFetched, ... }, ... }
+   */
+  getAggregates() {
+    const aggregates = JSON.parse(localStorage.getItem('theme-perf-aggregates') || '{}');
+    return Object.fromEntries(
+      Object.entries(aggregates).map(([pageType, { views, sums, counts }]) => {
+        const averages = { views };
+        Object.keys(sums).forEach((name) => {
+          averages[name] = counts[name] > 0 ? sums[name] / counts[name] : null;
+        });
+        return [pageType, averages];
+      }),
+    );
+  }
+
   /**
    * Clear stored reports
    */
   clearStoredReports() {
     localStorage.removeItem('theme-perf-reports');
+    localStorage.removeItem('theme-perf-aggregates');
   }
 }
 
@@ -19,12 +19,27 @@ class WebVitalsMonitor {
       window.location.search.includes('perf=1') ||
       localStorage.getItem('theme-perf-monitoring') === 'true';
 
-    if (this.isEnabled && 'PerformanceObserver' in window) {
+    this.isObserving = false;
+
+    if (this.isEnabled) {
       this.init();
     }
   }
 
+  /**
+   * Start observing for the performance reporter on sampled page views
+   * The console report stays ?perf=1 only
+   */
+  observe() {
+    this.init();
+  }
+
   init() {
+    if (this.isObserving || !('PerformanceObserver' in window)) {
+      return;
+    }
+    this.isObserving = true;
+
     // Largest Contentful Paint (LCP)
     this.observeLCP();
 
@@ -64,7 +79,8 @@ class WebVitalsMonitor {
         });
       });
 
-      observer.observe({ entryTypes: ['largest-contentful-paint'] });
+      // Buffered, so entries from before the deferred core bundle ran still count
+      observer.observe({ type: 'largest-contentful-paint', buffered: true });
     } catch (e) {
       themeLogger.debug('LCP observation not supported:', e);
     }
@@ -94,7 +110,7 @@ class WebVitalsMonitor {
         }
       });
 
-      observer.observe({ entryTypes: ['layout-shift'] });
+      observer.observe({ type: 'layout-shift', buffered: true });
 
       // Report final CLS on page unload
       window.addEventListener('beforeunload', () => {
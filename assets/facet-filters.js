@@ -85,11 +85,14 @@ if (!customElements.get('facet-filters')) {
      * @param {object} evt - Event object.
      */
     handleFilterChange(evt) {
-      // Only allow price 'change' events
-      if (evt.type === 'change' && !(evt.target.id?.includes('price-range') || evt.target.id?.includes('sort-by'))) {return;}
+      // Range inputs (price, release year) apply on 'change' so typing doesn't reload
+      const isRangeInput = evt.target.id?.includes('price-range') || evt.target.id?.includes('year-range');
 
-      // Dont reload when typing a price
-      if (evt.target.id?.includes('price-range') && evt.constructor.name === 'InputEvent') {return;}
+      // Only allow range and sort by 'change' events
+      if (evt.type === 'change' && !(isRangeInput || evt.target.id?.includes('sort-by'))) {return;}
+
+      // Dont reload when typing a price or year
+      if (isRangeInput && evt.constructor.name === 'InputEvent') {return;}
 
       const timeoutDelay = 500;
 
@@ -269,7 +272,9 @@ if (!customElements.get('facet-filters')) {
           if (newResultsUl) {
             newResultsUl.style.display = 'none';
             newResultsUl.classList.add('js-grouping-hidden');
-            console.log('🟢 FacetFilters: Hid new grid to prevent Liquid card flash');
+            window.themeLogger
+              ?.channel('facets')
+              .debug('🟢 FacetFilters: Hid new grid to prevent Liquid card flash');
           }
 
           // Reinitialize re-rendered components.
@@ -322,7 +327,9 @@ if (!customElements.get('facet-filters')) {
               filterCount: newResultsUl ? newResultsUl.children.length : 0,
               timestamp: Date.now(),
             };
-            console.log('🟢 FacetFilters: Dispatching on:facet-filters:updated event', eventDetail);
+            window.themeLogger
+              ?.channel('facets')
+              .debug('🟢 FacetFilters: Dispatching on:facet-filters:updated event', eventDetail);
             document.dispatchEvent(new CustomEvent('on:facet-filters:updated', {
               bubbles: true,
               detail: eventDetail,
@@ -2,6 +2,7 @@
  * Group Selection Handler
  * Handles opening and populating the group selection drawer for grouped products
  */
+import { compareGrades, formatGrade } from './grouping/grading.js';
 
 if (!customElements.get('group-selection-handler')) {
   class GroupSelectionHandler {
@@ -180,8 +181,12 @@ if (!customElements.get('group-selection-handler')) {
 
         const variants = await Promise.all(variantPromises);
 
-        // Sort variants by price (highest first)
-        variants.sort((a, b) => b.price - a.price);
+        // Sort variants by media grade (best first), then price (highest first)
+        variants.sort(
+          (a, b) =>
+            compareGrades(a.metafields?.media_condition, b.metafields?.media_condition) ||
+            b.price - a.price
+        );
 
         // Generate HTML for each variant
         let variantsHTML = '';
@@ -309,8 +314,9 @@ if (!customElements.get('group-selection-handler')) {
     }
 
     /**
-     * Converts condition abbreviation to full name
-     * @param {string} condition - Condition abbreviation
+     * Converts a condition value to its full Goldmine name
+     * Parsing lives in assets/grouping/grading.js
+     * @param {string} condition - Condition value, e.g. "VG+" or "NM Or M-"
      * @returns {string} Full condition name
      */
     getFullConditionName(condition) {
@@ -318,20 +324,7 @@ if (!customElements.get('group-selection-handler')) {
         return '';
       }
 
-      const conditionMap = {
-        M: 'Mint (M)',
-        NM: 'Near Mint (NM)',
-        'NM or M-': 'Near Mint (NM or M-)',
-        'NM Or M-': 'Near Mint (NM Or M-)',
-        'VG+': 'Very Good Plus (VG+)',
-        VG: 'Very Good (VG)',
-        'G+': 'Good Plus (G+)',
-        G: 'Good (G)',
-        F: 'Fair (F)',
-        P: 'Poor (P)',
-      };
-
-      return conditionMap[condition] || condition;
+      return formatGrade(condition) || condition;
     }
 
     /**
@@ -0,0 +1,40 @@
+/**
+ * Artists
+ * "More from this artist" matching on the custom.artist metafield and the
+ * computed_other_artists list (featured artists, splits), the same values the
+ * Storefront API filters on. Names compare like group keys (normalize.js).
+ */
+
+import { normalizeArtistName } from './normalize.js';
+
+/**
+ * A product's other artists from the computed_other_artists list metafield
+ * List metafields arrive as a JSON string; a malformed value reads as no artists
+ */
+export function getOtherArtists(product) {
+  const value = product?.computed_other_artists?.value;
+  if (!value) {
+    return [];
+  }
+  try {
+    const artists = JSON.parse(value);
+    return Array.isArray(artists) ? artists.filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether a product is by an artist, as main or other artist
+ * Whole names only, so "Yes" doesn't match "Yesterday's Children"
+ * @param {Object} aliases - From parseGroupingAliases()
+ */
+export function matchesArtist(product, name, aliases = null) {
+  const wanted = normalizeArtistName(name, aliases);
+  if (!wanted) {
+    return false;
+  }
+  return [product?.artist?.value, ...getOtherArtists(product)].some(
+    (artist) => !!artist && normalizeArtistName(artist, aliases) === wanted,
+  );
+}
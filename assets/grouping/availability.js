@@ -0,0 +1,42 @@
+/**
+ * Copy Availability
+ * Which copies in a group can be bought, for group badges ("3 copies available") and
+ * the "Hide sold-out groups" section setting. Sold-out copies stay in the group drawer.
+ */
+
+/**
+ * Whether a copy can be bought
+ * Products without availableForSale (e.g. older cache entries) are treated as in stock
+ */
+export function isPurchasable(product) {
+  return product?.availableForSale !== false;
+}
+
+/**
+ * The purchasable copies in a list of products
+ */
+export function getPurchasableCopies(products) {
+  return (products || []).filter(isPurchasable);
+}
+
+/**
+ * Whether a render item (group or single) has at least one purchasable copy
+ * @param {Object} item - { type, product, variantProducts } from the grouping engine
+ */
+export function hasPurchasableCopy(item) {
+  return [item?.product, ...(item?.variantProducts || [])].some(
+    (product) => product && isPurchasable(product),
+  );
+}
+
+/**
+ * Badge text for a number of purchasable copies
+ * @param {Object} strings - { soldOut, copyAvailable, copiesAvailable } locale strings with a
+ *   [count] placeholder (window.groupCardStrings from layout/theme.liquid)
+ */
+export function formatCopiesAvailable(count, strings) {
+  if (count === 0) {
+    return strings.soldOut;
+  }
+  return (count === 1 ? strings.copyAvailable : strings.copiesAvailable).replace('[count]', count);
+}
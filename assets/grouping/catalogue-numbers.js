@@ -0,0 +1,72 @@
+/**
+ * Catalogue Numbers
+ * Detects catalogue number searches ("SHVL804", "blp-4003") and matches them
+ * against the catno / catalogue_number metafields, ignoring case, spacing and hyphens.
+ * Exact matches are pinned to the top of the search grid and the predictive dropdown.
+ */
+
+// A whole query of letters, optional separator, at least 3 digits and an optional short
+// suffix, with no spaces: "SHVL804", "BLP-4003", "PCS.7027", "ECM1064", "CBS62345A".
+// "Blink 182", "Sum 41" and "abbey road 1969" are searched as text only.
+const CATALOGUE_NUMBER_PATTERN = /^([A-Z]{2,6})[-./]?(\d{3,6})([A-Z]{0,2})$/i;
+
+/**
+ * Normalize a catalogue number so "PCS 7027", "PCS-7027" and "pcs7027" match
+ */
+export function normalizeCatalogueNumber(value) {
+  return (value || '').toUpperCase().replace(/[\s\-./_]+/g, '');
+}
+
+/**
+ * A product's catalogue number (catno, then catalogue_number), or ''
+ */
+export function getCatalogueNumber(product) {
+  return (product?.catno?.value || product?.catalogue_number?.value || '').trim();
+}
+
+/**
+ * Parse a search query that is a catalogue number
+ * Each detection costs two extra catalogue lookups (grid and predictive search), so the
+ * whole trimmed query must have the shape, not just a word and a number within it
+ * @returns {Object|null} - { text, normalized, variants } where variants are the spellings
+ *   to look up as exact metafield values ("SHVL 804", "SHVL-804", "SHVL804")
+ */
+export function parseCatalogueNumber(query) {
+  const match = CATALOGUE_NUMBER_PATTERN.exec((query || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [text, prefix, digits, suffix] = match;
+  const letters = prefix.toUpperCase();
+  const tail = `${digits}${suffix.toUpperCase()}`;
+  return {
+    text,
+    normalized: normalizeCatalogueNumber(text),
+    variants: [
+      ...new Set([text, `${letters} ${tail}`, `${letters}-${tail}`, `${letters}${tail}`]),
+    ],
+  };
+}
+
+/**
+ * Whether a product's catalogue number is exactly the given one (normalized)
+ */
+export function matchesCatalogueNumber(product, normalized) {
+  return !!normalized && normalizeCatalogueNumber(getCatalogueNumber(product)) === normalized;
+}
+
+/**
+ * Move exact catalogue number matches to the front, keeping both parts in order
+ */
+export function pinCatalogueMatches(products, normalized) {
+  if (!normalized || !products) {
+    return products;
+  }
+  const pinned = [];
+  const rest = [];
+  products.forEach((product) =>
+    (matchesCatalogueNumber(product, normalized) ? pinned : rest).push(product),
+  );
+  return pinned.length > 0 ? [...pinned, ...rest] : products;
+}
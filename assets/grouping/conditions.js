@@ -0,0 +1,62 @@
+/**
+ * Condition Summaries
+ * Summarizes the copies in a group by grade for condition-aware group cards,
+ * e.g. "NM ×2 from £18 · VG+ ×3 from £9". Grades come from grading.js.
+ */
+
+import { GRADES, getGradeAbbreviation } from './grading.js';
+
+/**
+ * Grade a copy by its media condition, falling back to the sleeve for sleeve-only listings
+ */
+function getCopyGrade(product) {
+  return (
+    getGradeAbbreviation(product?.media_condition?.value) ||
+    getGradeAbbreviation(product?.sleeve_condition?.value)
+  );
+}
+
+/**
+ * Count copies and the lowest price per grade
+ * @param {Array} products - Storefront API product nodes (every copy in the group)
+ * @returns {Array} - [{ grade, name, count, lowestPrice }] best grade first;
+ *   ungraded copies are left out
+ */
+export function summarizeGroupConditions(products) {
+  const byGrade = new Map();
+
+  (products || []).forEach((product) => {
+    const grade = getCopyGrade(product);
+    if (!grade) {
+      return;
+    }
+
+    const price = parseFloat(product.priceRange?.minVariantPrice?.amount || 0);
+    const entry = byGrade.get(grade) || { count: 0, lowestPrice: null };
+    entry.count += 1;
+    if (price > 0 && (entry.lowestPrice === null || price < entry.lowestPrice)) {
+      entry.lowestPrice = price;
+    }
+    byGrade.set(grade, entry);
+  });
+
+  return GRADES.filter(({ grade }) => byGrade.has(grade)).map(({ grade, name }) => ({
+    grade,
+    name,
+    ...byGrade.get(grade),
+  }));
+}
+
+/**
+ * Format a summary as "NM ×2 from £18 · VG+ ×3 from £9"
+ * @param {Array} summary - From summarizeGroupConditions()
+ * @param {Function} formatPrice - amount => display string
+ */
+export function formatConditionSummary(summary, formatPrice) {
+  return summary
+    .map(({ grade, count, lowestPrice }) => {
+      const price = lowestPrice !== null ? ` from ${formatPrice(lowestPrice)}` : '';
+      return `${grade} ×${count}${price}`;
+    })
+    .join(' · ');
+}
@@ -0,0 +1,30 @@
+/**
+ * Grouping Fields
+ * Reads and normalizes the product fields group keys are built from.
+ * Artist and album come from the custom.artist / custom.title metafields
+ * (Storefront API aliases `artist` / `title_metafield`), format from
+ * getFormat(productType). Comparison keys are built in normalize.js.
+ */
+
+import { getFormat } from './format.js';
+
+/**
+ * Read the raw grouping fields from a Storefront API product node
+ * @returns {Object} - { artist, album, format } (trimmed, original case)
+ */
+export function getGroupingFields(product) {
+  return {
+    artist: (product?.artist?.value || '').trim(),
+    album: (product?.title_metafield?.value || '').trim(),
+    format: getFormat(product?.productType),
+  };
+}
+
+/**
+ * Comma-separated unique formats of a group's products, e.g. "LP" or "LP,CD"
+ * (product-group-card shows "various formats from" when there is more than one)
+ */
+export function getGroupFormats(products) {
+  const formats = products.map((product) => getFormat(product?.productType)).filter(Boolean);
+  return [...new Set(formats)].join(',');
+}
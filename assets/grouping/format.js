@@ -0,0 +1,55 @@
+/**
+ * Format Detection
+ * Derives the grouping/display format from a product type.
+ *
+ * MUST match the Liquid ladder in snippets/product-group-card.liquid
+ * (display_format): the first rule whose token appears in the lowercased
+ * product type wins, so order matters - 12/10/7 before LP, Box before LP/CD.
+ */
+
+/**
+ * Ordered format rules, mirroring the Liquid `elsif` chain
+ * `formats` refines a match: first nested token found wins, else `format`
+ */
+export const FORMAT_RULES = [
+  { token: '12', format: '12"' },
+  { token: '10', format: '10"' },
+  { token: '7', format: '7"' },
+  {
+    token: 'box',
+    format: 'Box Set',
+    formats: [
+      { tokens: ['lp', 'vinyl'], format: 'LP Box' },
+      { tokens: ['cd'], format: 'CD Box' },
+    ],
+  },
+  { token: 'lp', format: 'LP' },
+  { token: 'cd', format: 'CD' },
+  { token: 'cassette', format: 'Cassette' },
+  { token: 'ep', format: 'EP' },
+  { token: 'dvd', format: 'DVD' },
+  { token: 'blu', format: 'Blu-ray' },
+  { token: 'vhs', format: 'VHS' },
+];
+
+/**
+ * Extract format from productType
+ * @param {string} productType - e.g. 'Vinyl LP', '7" Single', 'CD Box Set'
+ * @returns {string} - e.g. 'LP', '7"', 'CD Box', or '' when no rule matches
+ */
+export function getFormat(productType) {
+  if (!productType) {
+    return '';
+  }
+  const typeLower = productType.trim().toLowerCase();
+
+  const rule = FORMAT_RULES.find(({ token }) => typeLower.includes(token));
+  if (!rule) {
+    return '';
+  }
+
+  const refinement = (rule.formats || []).find(({ tokens }) =>
+    tokens.some((token) => typeLower.includes(token)),
+  );
+  return refinement ? refinement.format : rule.format;
+}
@@ -0,0 +1,163 @@
+/**
+ * Goldmine Grading
+ * Parses free-text media/sleeve conditions ("NM or M-", "Near Mint (NM or M-)",
+ * "VG Plus", "Good+") into the Goldmine scale so grades can be compared,
+ * sorted and displayed consistently. Used by client-side filtering, group
+ * cards, and the group selection drawer (group-selection-handler.js).
+ */
+
+/**
+ * The Goldmine scale, best first. `rank` is ordinal: higher is better.
+ */
+export const GRADES = [
+  { grade: 'M', rank: 8, name: 'Mint (M)' },
+  { grade: 'NM', rank: 7, name: 'Near Mint (NM or M-)' },
+  { grade: 'VG+', rank: 6, name: 'Very Good Plus (VG+)' },
+  { grade: 'VG', rank: 5, name: 'Very Good (VG)' },
+  { grade: 'G+', rank: 4, name: 'Good Plus (G+)' },
+  { grade: 'G', rank: 3, name: 'Good (G)' },
+  { grade: 'F', rank: 2, name: 'Fair (F)' },
+  { grade: 'P', rank: 1, name: 'Poor (P)' },
+];
+
+const GRADES_BY_ABBREVIATION = new Map(GRADES.map((entry) => [entry.grade, entry]));
+
+// Exact values each grade is stored as in custom.media_condition / custom.sleeve_condition.
+// Storefront API metafield filters are exact-match, so "at least" filters expand to these.
+const STORED_VALUES = {
+  M: ['M', 'Mint', 'Mint (M)'],
+  NM: ['NM', 'NM or M-', 'NM Or M-', 'M-', 'Near Mint', 'Near Mint (NM or M-)'],
+  'VG+': ['VG+', 'Very Good Plus', 'Very Good Plus (VG+)'],
+  VG: ['VG', 'Very Good', 'Very Good (VG)'],
+  'G+': ['G+', 'Good Plus', 'Good Plus (G+)'],
+  G: ['G', 'Good', 'Good (G)'],
+  F: ['F', 'Fair', 'Fair (F)'],
+  P: ['P', 'Poor', 'Poor (P)'],
+};
+
+// Spellings found in condition metafields, after lowercasing and "plus" -> "+"
+// snippets/condition-grade.liquid grades server-rendered cards with the same table
+export const GRADE_SPELLINGS = {
+  m: 'M',
+  mint: 'M',
+  sealed: 'M',
+  nm: 'NM',
+  'm-': 'NM',
+  'mint-': 'NM',
+  'nm or m-': 'NM',
+  'nm/m-': 'NM',
+  'near mint': 'NM',
+  'vg+': 'VG+',
+  'very good+': 'VG+',
+  // UK "Excellent" sits between VG+ and NM; shops grading EX list it as VG+ on Discogs
+  ex: 'VG+',
+  excellent: 'VG+',
+  vg: 'VG',
+  'very good': 'VG',
+  'g+': 'G+',
+  'good+': 'G+',
+  g: 'G',
+  good: 'G',
+  f: 'F',
+  fair: 'F',
+  p: 'P',
+  poor: 'P',
+};
+
+/**
+ * Look up a single spelling ("vg plus", "VG+", "Very Good Plus")
+ */
+function lookupSpelling(text) {
+  const key = text
+    .toLowerCase()
+    .replace(/\s*\bplus\b/g, '+')
+    .replace(/\s*\bminus\b/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // "VG-" / "G-" are half a grade down; treat them as the grade itself
+  return GRADE_SPELLINGS[key] || GRADE_SPELLINGS[key.replace(/-$/, '')] || null;
+}
+
+/**
+ * Parse a condition value
+ * @param {string} value - e.g. "VG+", "NM Or M-", "Very Good Plus (VG+)"
+ * @returns {Object|null} - { grade, rank, name } or null when not a Goldmine grade
+ */
+export function parseGrade(value) {
+  const text = (typeof value === 'string' ? value : '').trim();
+  if (!text) {
+    return null;
+  }
+
+  // Full names carry the abbreviation in brackets: "Very Good Plus (VG+)"
+  const bracketed = text.match(/\(([^()]+)\)\s*$/);
+  const abbreviation =
+    (bracketed && lookupSpelling(bracketed[1])) ||
+    lookupSpelling(bracketed ? text.slice(0, bracketed.index) : text);
+
+  return abbreviation ? GRADES_BY_ABBREVIATION.get(abbreviation) : null;
+}
+
+/**
+ * Ordinal rank of a condition value (0 when ungraded)
+ */
+export function getGradeRank(value) {
+  return parseGrade(value)?.rank || 0;
+}
+
+/**
+ * Whether a condition is at least a minimum grade ("at least VG+")
+ * Ungraded values never qualify
+ */
+export function isAtLeastGrade(value, minimum) {
+  const rank = getGradeRank(value);
+  return rank > 0 && rank >= getGradeRank(minimum);
+}
+
+/**
+ * Grades at or above a minimum, best first ("VG+" -> M, NM, VG+)
+ * An unparseable minimum returns every grade
+ */
+export function getGradesAtLeast(minimum) {
+  const rank = getGradeRank(minimum);
+  return GRADES.filter((entry) => entry.rank >= rank);
+}
+
+/**
+ * Stored metafield values for every grade at or above a minimum, for exact-match API filters
+ */
+export function getGradeValuesAtLeast(minimum) {
+  return getGradesAtLeast(minimum).flatMap(({ grade }) => STORED_VALUES[grade]);
+}
+
+/**
+ * Comparator for condition values, best grade first; ungraded values sort last
+ */
+export function compareGrades(a, b) {
+  return getGradeRank(b) - getGradeRank(a);
+}
+
+/**
+ * Display name for a condition value ("NM Or M-" -> "Near Mint (NM or M-)")
+ * Values that aren't Goldmine grades ("Generic", "No Cover") are returned trimmed
+ */
+export function formatGrade(value) {
+  return parseGrade(value)?.name || (typeof value === 'string' ? value.trim() : '');
+}
+
+/**
+ * Abbreviation for a condition value ("Very Good Plus (VG+)" -> "VG+"), '' when ungraded
+ */
+export function getGradeAbbreviation(value) {
+  return parseGrade(value)?.grade || '';
+}
+
+/**
+ * Sort Storefront API products by a condition metafield, best first
+ * Stable, so equal grades keep their existing order
+ * @param {string} field - Metafield alias, 'media_condition' or 'sleeve_condition'
+ */
+export function sortByGrade(products, field = 'media_condition') {
+  return [...products].sort((a, b) => compareGrades(a?.[field]?.value, b?.[field]?.value));
+}
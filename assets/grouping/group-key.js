@@ -0,0 +1,17 @@
+/**
+ * Group Keys
+ * Products with the same group key are shown as one card. By default the key
+ * is artist|album|format; other keys are defined in strategies.js.
+ */
+
+import { DEFAULT_GROUPING_STRATEGY, getGroupingStrategy } from './strategies.js';
+
+/**
+ * Build the group key for a product using a grouping strategy (see strategies.js)
+ * @param {string} strategy - Strategy name, defaults to artist|album|format
+ * @param {Object} options - { aliases } from parseGroupingAliases() (optional)
+ * @returns {string|null} - null when the product can't be grouped (always a single)
+ */
+export function buildGroupKey(product, strategy = DEFAULT_GROUPING_STRATEGY, options = {}) {
+  return getGroupingStrategy(strategy).getKey(product, options);
+}
@@ -0,0 +1,87 @@
+/**
+ * Grouping Library
+ * Shared by CollectionGroupingEnhancer, MoreFromEnhancer and the product data
+ * worker so every grouping surface builds identical keys. Pure functions only -
+ * no DOM or window access, runnable in workers and Node.
+ */
+
+export { getOtherArtists, matchesArtist } from './artists.js';
+export {
+  formatCopiesAvailable,
+  getPurchasableCopies,
+  hasPurchasableCopy,
+  isPurchasable,
+} from './availability.js';
+export {
+  getCatalogueNumber,
+  matchesCatalogueNumber,
+  normalizeCatalogueNumber,
+  parseCatalogueNumber,
+  pinCatalogueMatches,
+} from './catalogue-numbers.js';
+export { formatConditionSummary, summarizeGroupConditions } from './conditions.js';
+export { FORMAT_RULES, getFormat } from './format.js';
+export { getGroupFormats, getGroupingFields } from './fields.js';
+export {
+  compareGrades,
+  formatGrade,
+  getGradeAbbreviation,
+  getGradeRank,
+  getGradesAtLeast,
+  getGradeValuesAtLeast,
+  GRADES,
+  isAtLeastGrade,
+  parseGrade,
+  sortByGrade,
+} from './grading.js';
+export { buildGroupKey } from './group-key.js';
+export { countRecordLabels, getRecordLabel, matchesRecordLabel } from './labels.js';
+export {
+  foldUnicode,
+  invertArticle,
+  normalizeAlbumTitle,
+  normalizeArtistName,
+  normalizeGroupingText,
+  parseGroupingAliases,
+  stripEditionSuffixes,
+} from './normalize.js';
+export {
+  countReleaseYears,
+  formatDecade,
+  getDecade,
+  getReleaseYearFilter,
+  isYearInFilter,
+  listFilterYears,
+  matchesReleaseYear,
+} from './release-years.js';
+export {
+  compileSearchQuery,
+  formatSearchTerm,
+  matchesSearchFilters,
+  parseSearchQuery,
+  quoteSearchTerm,
+  SEARCH_FIELDS,
+} from './search-query.js';
+export {
+  buildSearchVocabulary,
+  getEditDistance,
+  getTypoAllowance,
+  matchesWordFuzzily,
+  suggestSearchCorrection,
+  tokenizeSearchText,
+} from './spelling.js';
+export {
+  DEFAULT_GROUPING_STRATEGY,
+  getGroupingStrategy,
+  getReleaseYear,
+  getStrategyMetafields,
+  registerGroupingStrategy,
+} from './strategies.js';
+export {
+  formatDuration,
+  getTrackTitles,
+  getTracklist,
+  groupTracksBySide,
+  parseDuration,
+  parseTracklist,
+} from './tracklist.js';
@@ -0,0 +1,41 @@
+/**
+ * Record Labels
+ * Label facet values and "More from this label" matching. Labels come from the
+ * computed_master_label metafield, the same value the Storefront API filters on.
+ */
+
+import { normalizeGroupingText } from './normalize.js';
+
+/**
+ * A product's record label, or '' when it has none
+ */
+export function getRecordLabel(product) {
+  return (product?.computed_master_label?.value || '').trim();
+}
+
+/**
+ * Whether a product's label is one of the given labels
+ * Compared folded and case-insensitively, so "Blue Note" matches "BLUE NOTE"
+ */
+export function matchesRecordLabel(product, labels) {
+  const label = normalizeGroupingText(getRecordLabel(product));
+  return !!label && [].concat(labels).some((value) => normalizeGroupingText(value) === label);
+}
+
+/**
+ * Count products per label for the label facet
+ * @returns {Array} - [{ label, count }] busiest first, then by name; unlabelled products are
+ *   left out
+ */
+export function countRecordLabels(products) {
+  const counts = new Map();
+  (products || []).forEach((product) => {
+    const label = getRecordLabel(product);
+    if (label) {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  });
+  return Array.from(counts, ([label, count]) => ({ label, count })).sort(
+    (a, b) => b.count - a.count || a.label.localeCompare(b.label),
+  );
+}
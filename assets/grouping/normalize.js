@@ -0,0 +1,152 @@
+/**
+ * Grouping Normalization
+ * Turns artist / album text into comparison keys so catalogue variations of the
+ * same release share a group:
+ * - "Björk" / "Bjork"                      (Unicode folding)
+ * - "Beatles, The" / "The Beatles"         (article inversion)
+ * - "Simon & Garfunkel" / "Simon and Garfunkel"
+ * - "Abbey Road (Remastered)" / "Abbey Road" (edition suffixes, albums only)
+ * Anything the rules can't reconcile goes in the alias table (see parseGroupingAliases).
+ */
+
+// Letters NFKD doesn't decompose into a base letter + combining mark
+const LETTER_FOLDS = {
+  ø: 'o',
+  æ: 'ae',
+  œ: 'oe',
+  ß: 'ss',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ł: 'l',
+  ı: 'i',
+};
+
+// Trailing articles as catalogued in sort order, e.g. "Beatles, The", "Rita Mitsouko, Les"
+const INVERTED_ARTICLE = /^(.+?),\s*(the|a|an|les|le|la|los|las|el|il|die|der|das)$/;
+
+// Bracketed or dashed suffixes naming an edition rather than a different release
+const EDITION_KEYWORDS =
+  /\b(remaster(ed)?|deluxe|edition|expanded|anniversary|re-?issue|bonus|legacy|collector'?s)\b/;
+const BRACKETED_SUFFIX = /\s*[([]([^()[\]]*)[)\]]\s*$/;
+const DASHED_SUFFIX = /\s+-\s+([^-]+)$/;
+
+/**
+ * Fold accents and letter variants to plain lowercase ASCII where possible
+ * ("Björk" -> "bjork", "Sigur Rós" -> "sigur ros", "Mötley Crüe" -> "motley crue")
+ */
+export function foldUnicode(value) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[øæœßđðþłı]/g, (letter) => LETTER_FOLDS[letter])
+    .replace(/[\u2018\u2019\u201b\u2032`]/g, "'");
+}
+
+/**
+ * Move a trailing article to the front ("beatles, the" -> "the beatles")
+ * Expects folded (lowercase) text
+ */
+export function invertArticle(value) {
+  return value.replace(INVERTED_ARTICLE, '$2 $1');
+}
+
+/**
+ * Strip edition suffixes from a folded album title, repeatedly
+ * ("abbey road (remastered) [deluxe edition]" -> "abbey road",
+ * "revolver - 2009 remaster" -> "revolver"). Other brackets ("(live)") are kept.
+ */
+export function stripEditionSuffixes(value) {
+  let title = value.trim();
+  let match;
+
+  while ((match = title.match(BRACKETED_SUFFIX) || title.match(DASHED_SUFFIX))) {
+    if (!EDITION_KEYWORDS.test(match[1]) || match.index === 0) {
+      break;
+    }
+    title = title.slice(0, match.index).trim();
+  }
+
+  return title;
+}
+
+/**
+ * Normalize a grouping field for comparison: folded, article inverted, "&" as "and",
+ * apostrophes dropped and other punctuation collapsed to single spaces
+ */
+export function normalizeGroupingText(value) {
+  return invertArticle(foldUnicode(value).trim())
+    .replace(/&/g, ' and ')
+    .replace(/'/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Resolve a normalized value through an alias map (normalized variant -> canonical)
+ */
+function resolveAlias(normalized, aliasMap) {
+  return aliasMap?.[normalized] || normalized;
+}
+
+/**
+ * Normalized artist key, resolved through the artist aliases
+ * @param {Object} aliases - From parseGroupingAliases()
+ */
+export function normalizeArtistName(value, aliases = null) {
+  return resolveAlias(normalizeGroupingText(value), aliases?.artists);
+}
+
+/**
+ * Normalized album key with edition suffixes removed, resolved through the album aliases
+ * @param {Object} aliases - From parseGroupingAliases()
+ */
+export function normalizeAlbumTitle(value, aliases = null) {
+  const normalized = normalizeGroupingText(stripEditionSuffixes(foldUnicode(value)));
+  return resolveAlias(normalized, aliases?.albums);
+}
+
+/**
+ * Build an alias table from the merchant's JSON (shop metafield custom.grouping_aliases
+ * or the "Grouping aliases" theme setting):
+ *   { "artists": { "Prince & The Revolution": "Prince" },
+ *     "albums": { "Sgt Pepper": "Sgt. Pepper's Lonely Hearts Club Band" } }
+ * Keys and values are normalized up front so lookups are plain property reads.
+ * @param {string|Object} source - JSON text (or JSON-encoded JSON text) or a parsed object
+ * @returns {Object} - { artists, albums } normalized variant -> canonical maps
+ */
+export function parseGroupingAliases(source) {
+  const aliases = { artists: {}, albums: {} };
+  if (!source) {
+    return aliases;
+  }
+
+  // The theme setting is printed as a JSON string (`| json`), so its text may need a
+  // second parse to reach the table
+  let table = source;
+  try {
+    while (typeof table === 'string') {
+      table = JSON.parse(table);
+    }
+  } catch {
+    return aliases;
+  }
+
+  const addAliases = (entries, target, normalize) => {
+    Object.entries(entries || {}).forEach(([variant, canonical]) => {
+      if (typeof canonical !== 'string') {
+        return;
+      }
+      const key = normalize(variant);
+      const value = normalize(canonical);
+      if (key && value && key !== value) {
+        target[key] = value;
+      }
+    });
+  };
+
+  addAliases(table?.artists, aliases.artists, (value) => normalizeArtistName(value));
+  addAliases(table?.albums, aliases.albums, (value) => normalizeAlbumTitle(value));
+  return aliases;
+}
@@ -0,0 +1,106 @@
+/**
+ * Release Years
+ * Release-year range and decade filters ("1965-1979", "60s", "70s") and the year
+ * histogram behind the release year facet. Years come from computed_release_year,
+ * falling back to the released date (strategies.js getReleaseYear).
+ */
+
+import { getReleaseYear } from './strategies.js';
+
+/**
+ * Decade a year falls in (1967 -> 1960)
+ */
+export function getDecade(year) {
+  return Math.floor(year / 10) * 10;
+}
+
+/**
+ * Decade label as crate-diggers say it: "60s", "90s", "2000s", "2010s"
+ */
+export function formatDecade(decade) {
+  return decade < 2000 ? `${decade % 100}s` : `${decade}s`;
+}
+
+/**
+ * Normalize release year filter params
+ * @param {Object} params - { releaseYearMin, releaseYearMax, releaseDecade } from
+ *   StorefrontAPIClient.parseURLFilters(); decades are start years ("1960")
+ * @returns {Object|null} - { min, max, decades } (min/max null when open), or null
+ *   when no year filter is active
+ */
+export function getReleaseYearFilter(params) {
+  const toYear = (value) => {
+    const year = parseInt(value, 10);
+    return Number.isFinite(year) ? year : null;
+  };
+  const min = toYear(params?.releaseYearMin);
+  const max = toYear(params?.releaseYearMax);
+  const decades = [].concat(params?.releaseDecade || []).map(toYear).filter((d) => d !== null);
+
+  if (min === null && max === null && decades.length === 0) {
+    return null;
+  }
+  return { min, max, decades: decades.map(getDecade) };
+}
+
+/**
+ * Whether a year passes a filter: inside the range and, when decades are ticked, in one of them
+ */
+export function isYearInFilter(year, filter) {
+  if (filter.min !== null && year < filter.min) {
+    return false;
+  }
+  if (filter.max !== null && year > filter.max) {
+    return false;
+  }
+  return filter.decades.length === 0 || filter.decades.includes(getDecade(year));
+}
+
+/**
+ * Whether a product's release year passes a filter; products without a year never do
+ */
+export function matchesReleaseYear(product, filter) {
+  const year = parseInt(getReleaseYear(product), 10);
+  return Number.isFinite(year) && isYearInFilter(year, filter);
+}
+
+/**
+ * Every year a filter allows, for exact-match metafield filters
+ * An open maximum ends at the current year; an open minimum without decades can't be
+ * listed, so null is returned and the filter runs client-side
+ */
+export function listFilterYears(filter) {
+  let from = filter.min;
+  let to = filter.max ?? new Date().getFullYear();
+
+  if (filter.decades.length > 0) {
+    from = Math.max(from ?? -Infinity, Math.min(...filter.decades));
+    to = Math.min(to, Math.max(...filter.decades) + 9);
+  }
+  if (from === null) {
+    return null;
+  }
+
+  const years = [];
+  for (let year = from; year <= to; year++) {
+    if (isYearInFilter(year, filter)) {
+      years.push(year);
+    }
+  }
+  return years;
+}
+
+/**
+ * Count products per release year for the year histogram
+ * @returns {Array} - [{ year, count }] oldest first; products without a year are left out
+ */
+export function countReleaseYears(products) {
+  const counts = new Map();
+  (products || []).forEach((product) => {
+    const year = parseInt(getReleaseYear(product), 10);
+    if (Number.isFinite(year)) {
+      counts.set(year, (counts.get(year) || 0) + 1);
+    }
+  });
+  return Array.from(counts, ([year, count]) => ({ year, count })).sort((a, b) => a.year - b.year);
+}
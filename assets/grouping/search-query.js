@@ -0,0 +1,296 @@
+/**
+ * Search Query Syntax
+ * Field prefixes in the search box, compiled into Storefront search terms, client-side
+ * post-filters and relevance hints:
+ *
+ *   artist:"miles davis" format:LP year:1959..1965 condition:>=VG+ -compilation
+ *
+ * - artist:NAME      artist metafield (or another artist); NAME also searched as a phrase
+ * - label:NAME       record label (computed_master_label)
+ * - year:1965        also 1959..1965, 1960.., ..1965, >=1960, <1970, 1960s
+ * - format:LP        format from the product type (format.js): LP, CD, 7", 12", Cassette...
+ * - condition:VG+    media condition grade; >=VG+, >VG, <=VG, <NM compare on the Goldmine scale
+ * - -word, -"phrase" excluded; any field can be negated too (-format:CD)
+ *
+ * Values with spaces need quotes. Anything that isn't valid syntax (an unknown prefix such
+ * as "ac:dc", "year:soon") stays plain search text, so nothing a shopper types is lost.
+ */
+
+import { matchesArtist } from './artists.js';
+import { getFormat } from './format.js';
+import { getGradeRank, parseGrade } from './grading.js';
+import { matchesRecordLabel } from './labels.js';
+import { foldUnicode } from './normalize.js';
+import { getReleaseYear } from './strategies.js';
+
+export const SEARCH_FIELDS = ['artist', 'label', 'year', 'format', 'condition'];
+
+// Optional "-", optional "field:", then a quoted phrase (closing quote optional while typing)
+// or a bare word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?("[^"]*"?|[^\s"]+)/gi;
+
+const GRADE_COMPARISONS = {
+  '>=': (rank, wanted) => rank >= wanted,
+  '>': (rank, wanted) => rank > wanted,
+  '<=': (rank, wanted) => rank <= wanted,
+  '<': (rank, wanted) => rank < wanted,
+  '=': (rank, wanted) => rank === wanted,
+};
+
+/**
+ * Year value: "1965", "1959..1965", "1960..", "..1965", ">=1960", "<1970", "1960s"
+ * @returns {Object|null} - { min, max } (null when open), or null when not a year
+ */
+function parseYearValue(value) {
+  const range = /^(\d{4})?\.\.(\d{4})?$/.exec(value);
+  if (range && (range[1] || range[2])) {
+    const [min, max] = [range[1], range[2]].map((year) => (year ? Number(year) : null));
+    return min !== null && max !== null && min > max ? { min: max, max: min } : { min, max };
+  }
+
+  const decade = /^(\d{3})0s$/.exec(value);
+  if (decade) {
+    return { min: Number(`${decade[1]}0`), max: Number(`${decade[1]}9`) };
+  }
+
+  const single = /^(>=|<=|>|<)?(\d{4})$/.exec(value);
+  if (!single) {
+    return null;
+  }
+  const year = Number(single[2]);
+  switch (single[1]) {
+    case '>=':
+      return { min: year, max: null };
+    case '>':
+      return { min: year + 1, max: null };
+    case '<=':
+      return { min: null, max: year };
+    case '<':
+      return { min: null, max: year - 1 };
+    default:
+      return { min: year, max: year };
+  }
+}
+
+/**
+ * Condition value: "VG+", ">=VG+", "<NM"
+ * @returns {Object|null} - { operator, grade }, or null when not a Goldmine grade
+ */
+function parseConditionValue(value) {
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+  const grade = match && parseGrade(match[2]);
+  return grade ? { operator: match[1] || '=', grade: grade.grade } : null;
+}
+
+/**
+ * Parsed details of a field term, or null when the value isn't valid for the field
+ */
+function parseFieldValue(field, value) {
+  if (!value) {
+    return null;
+  }
+  switch (field) {
+    case 'year':
+      return parseYearValue(value);
+    case 'condition':
+      return parseConditionValue(value);
+    case 'format':
+      return { format: getFormat(value) || value };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Split a search box query into terms
+ * @returns {Object} - { text, terms } where text is the plain search text (phrases keep
+ *   their quotes) and terms lists every term in typed order:
+ *   { field, value, negated, phrase, raw, index, ...details }. field is null for plain words
+ *   and phrases; details are { min, max } for year, { operator, grade } for condition and
+ *   { format } for format. raw and index are the term as typed and its offset in the query,
+ *   for removing it.
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+
+  for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, prefix, body] = match;
+    const { index } = match;
+    const phrase = body.startsWith('"');
+    const value = (phrase ? body.replace(/^"|"$/g, '') : body).trim();
+    const field = prefix ? prefix.toLowerCase() : null;
+    const details = field && SEARCH_FIELDS.includes(field) && parseFieldValue(field, value);
+
+    if (details) {
+      terms.push({ field, value, negated: !!minus, phrase, raw, index, ...details });
+    } else if (prefix) {
+      // Unknown field or invalid value - searched as typed
+      const typed = `${prefix}:${value}`;
+      terms.push({ field: null, value: typed, negated: !!minus, phrase, raw, index });
+    } else if (value && value !== '-') {
+      terms.push({ field: null, value, negated: !!minus, phrase, raw, index });
+    }
+  }
+
+  const text = terms
+    .filter((term) => !term.field && !term.negated)
+    .map((term) => (term.phrase ? `"${term.value}"` : term.value))
+    .join(' ');
+
+  return { text, terms };
+}
+
+/**
+ * Quote a value for Storefront search syntax, so quotes, colons, parentheses and OR/NOT in
+ * it are searched for rather than read as syntax
+ */
+export function quoteSearchTerm(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Compile parsed terms for a fetch
+ * @param {Object} parsed - From parseSearchQuery()
+ * @returns {Object} - {
+ *   query:   Storefront search text - plain words, phrases, the artist name as a phrase and
+ *            NOT for excluded words ('kind of blue "miles davis" NOT compilation'),
+ *   text:    words to score relevance on (no quotes, no exclusions),
+ *   filters: terms to check with matchesSearchFilters() - every field term and excluded
+ *            words, since metafields aren't searchable and NOT only covers indexed fields,
+ *   hints:   { artist, label } to boost in sortByRelevance()
+ * }
+ */
+export function compileSearchQuery(parsed) {
+  const query = [];
+  const text = [];
+  const filters = [];
+  const hints = {};
+
+  (parsed?.terms || []).forEach((term) => {
+    if (!term.field) {
+      // Quoted when it could read as syntax ("ac:dc" isn't a field)
+      const value = term.phrase || /[\s:]/.test(term.value) ? quoteSearchTerm(term.value) : term.value;
+      query.push(term.negated ? `NOT ${value}` : value);
+      if (term.negated) {
+        filters.push(term);
+      } else {
+        text.push(term.value);
+      }
+      return;
+    }
+
+    filters.push(term);
+    if (term.negated) {
+      return;
+    }
+    if (term.field === 'artist') {
+      query.push(quoteSearchTerm(term.value));
+      text.push(term.value);
+      hints.artist = term.value;
+    } else if (term.field === 'label') {
+      hints.label = term.value;
+    }
+  });
+
+  return { query: query.join(' '), text: text.join(' '), filters, hints };
+}
+
+/**
+ * Folded searchable text of a product for excluded words
+ */
+function getSearchableText(product) {
+  return foldUnicode(
+    [
+      product.title,
+      product.vendor,
+      product.productType,
+      product.artist?.value,
+      ...(product.tags || []),
+    ].join(' '),
+  );
+}
+
+/**
+ * Whether a product matches one compiled filter term, before negation
+ */
+function matchesTerm(product, term) {
+  switch (term.field) {
+    case 'artist':
+      return matchesArtist(product, term.value);
+    case 'label':
+      return matchesRecordLabel(product, term.value);
+    case 'year': {
+      const year = parseInt(getReleaseYear(product), 10);
+      return (
+        Number.isFinite(year) &&
+        (term.min === null || year >= term.min) &&
+        (term.max === null || year <= term.max)
+      );
+    }
+    case 'format':
+      return getFormat(product.productType).toLowerCase() === term.format.toLowerCase();
+    case 'condition': {
+      const rank = getGradeRank(product.media_condition?.value);
+      return rank > 0 && GRADE_COMPARISONS[term.operator](rank, getGradeRank(term.grade));
+    }
+    default:
+      return getSearchableText(product).includes(foldUnicode(term.value));
+  }
+}
+
+/**
+ * Whether a product passes every compiled filter term (negated terms must not match)
+ * @param {Array} filters - compileSearchQuery().filters
+ */
+export function matchesSearchFilters(product, filters) {
+  return (filters || []).every((term) => matchesTerm(product, term) !== term.negated);
+}
+
+// Chip string for each condition comparison ("=" shows the grade alone)
+const CONDITION_CHIP_STRINGS = {
+  '>=': 'at_least',
+  '>': 'better_than',
+  '<=': 'at_most',
+  '<': 'below',
+};
+
+/**
+ * Replace [name] placeholders in a locale string
+ */
+function fillChipString(template, values) {
+  return Object.entries(values).reduce(
+    (text, [name, value]) => text.replace(`[${name}]`, value),
+    template,
+  );
+}
+
+/**
+ * Short label for a term chip: "Artist: miles davis", "Year: 1959–1965", "Not: compilation"
+ * @param {Object} strings - templates.search.chips locale strings, placeholders as [name]
+ *   (rendered into search-query-chips by sections/main-search.liquid)
+ */
+export function formatSearchTerm(term, strings) {
+  const name = term.field ? strings[term.field] : '';
+  let value = term.value;
+  if (term.field === 'year') {
+    if (term.min === term.max) {
+      value = String(term.min);
+    } else if (term.min === null) {
+      value = fillChipString(strings.year_until, { year: term.max });
+    } else if (term.max === null) {
+      value = fillChipString(strings.year_from, { year: term.min });
+    } else {
+      value = fillChipString(strings.year_range, { min: term.min, max: term.max });
+    }
+  } else if (term.field === 'condition') {
+    const key = CONDITION_CHIP_STRINGS[term.operator];
+    value = key ? fillChipString(strings[key], { grade: term.grade }) : term.grade;
+  }
+
+  if (term.negated) {
+    return name
+      ? fillChipString(strings.negated_term, { name, value })
+      : fillChipString(strings.negated, { value });
+  }
+  return name ? fillChipString(strings.term, { name, value }) : value;
+}
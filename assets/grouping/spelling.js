@@ -0,0 +1,178 @@
+/**
+ * Spelling
+ * Typo-tolerant word matching for search relevance ("Jimmi Hendrix" -> Jimi Hendrix) and
+ * "Did you mean" suggestions built from the artists and titles of a result set. Words are
+ * compared folded (normalize.js foldUnicode), so "Motorhead" is "Motörhead" and
+ * "Sigur Ros" is "Sigur Rós" before any typo allowance is spent.
+ */
+
+import { foldUnicode } from './normalize.js';
+import { parseSearchQuery } from './search-query.js';
+
+/**
+ * Split text into folded words ("Motörhead - Ace Of Spades" -> motorhead, ace, of, spades)
+ */
+export function tokenizeSearchText(value) {
+  return foldUnicode(value)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Typos a word of this length may contain: none up to 3 letters, 1 up to 6, then 2
+ * Short words stay exact so "tom" never matches "tim"
+ */
+export function getTypoAllowance(length) {
+  if (length <= 3) {
+    return 0;
+  }
+  return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent swaps count 1)
+ * Stops early once every path is over `max`, returning max + 1
+ */
+export function getEditDistance(a, b, max = Infinity) {
+  if (a === b) {
+    return 0;
+  }
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+/**
+ * Whether a folded search word matches one of a field's words, exactly or within its
+ * typo allowance
+ * @param {Array} tokens - From tokenizeSearchText()
+ */
+export function matchesWordFuzzily(word, tokens) {
+  const allowance = getTypoAllowance(word.length);
+  return tokens.some(
+    (token) =>
+      token === word || (allowance > 0 && getEditDistance(word, token, allowance) <= allowance),
+  );
+}
+
+/**
+ * Words of a result set for suggestSearchCorrection()
+ * @returns {Object} - { known, words }: known is every folded word in the searchable fields
+ *   (title, vendor, artist, tags, product type), so words that matched something are never
+ *   "corrected"; words maps each artist/title word to { word, count }, word being its most
+ *   common spelling as catalogued
+ */
+export function buildSearchVocabulary(products) {
+  const known = new Set();
+  const spellings = new Map();
+
+  (products || []).forEach((product) => {
+    [product.vendor, product.productType, ...(product.tags || [])].forEach((text) =>
+      tokenizeSearchText(text).forEach((token) => known.add(token)),
+    );
+    [product.artist?.value, product.title].forEach((text) => {
+      (text || '').split(/[^\p{L}\p{N}]+/u).forEach((word) => {
+        const key = foldUnicode(word);
+        if (!key) {
+          return;
+        }
+        known.add(key);
+        const counts = spellings.get(key) || new Map();
+        counts.set(word, (counts.get(word) || 0) + 1);
+        spellings.set(key, counts);
+      });
+    });
+  });
+
+  const words = new Map();
+  spellings.forEach((counts, key) => {
+    let best = null;
+    let total = 0;
+    counts.forEach((count, word) => {
+      total += count;
+      if (!best || count > counts.get(best)) {
+        best = word;
+      }
+    });
+    words.set(key, { word: best, count: total });
+  });
+
+  return { known, words };
+}
+
+/**
+ * The closest artist/title word within a word's typo allowance, most common on a tie
+ */
+function findClosestWord(value, vocabulary) {
+  const key = foldUnicode(value);
+  const allowance = getTypoAllowance(key.length);
+  if (allowance === 0 || /\d/.test(key) || vocabulary.known.has(key)) {
+    return null;
+  }
+
+  let closest = null;
+  vocabulary.words.forEach((entry, candidate) => {
+    const distance = getEditDistance(key, candidate, allowance);
+    if (
+      distance <= allowance &&
+      (!closest ||
+        distance < closest.distance ||
+        (distance === closest.distance && entry.count > closest.count))
+    ) {
+      closest = { ...entry, distance };
+    }
+  });
+  return closest?.word || null;
+}
+
+/**
+ * "Did you mean" for a search: each plain word that matches nothing in the result set,
+ * replaced by its closest artist or title word ("jimmi hendrix" -> "Jimi hendrix")
+ * Field terms (artist:, year:...), phrases and exclusions are left as typed.
+ * @param {Object} vocabulary - From buildSearchVocabulary()
+ * @returns {string|null} - The corrected query, or null when nothing needs correcting
+ */
+export function suggestSearchCorrection(query, vocabulary) {
+  if (!query || !vocabulary) {
+    return null;
+  }
+
+  let corrected = query;
+  let changed = false;
+  // Right to left, so replacing a word keeps the offsets of the words before it
+  [...parseSearchQuery(query).terms].reverse().forEach((term) => {
+    if (term.field || term.negated || term.phrase || term.value.includes(':')) {
+      return;
+    }
+    const replacement = findClosestWord(term.value, vocabulary);
+    if (replacement) {
+      const end = term.index + term.raw.length;
+      corrected = `${corrected.slice(0, term.index)}${replacement}${corrected.slice(end)}`;
+      changed = true;
+    }
+  });
+
+  return changed ? corrected : null;
+}
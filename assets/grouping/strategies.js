@@ -0,0 +1,124 @@
+/**
+ * Grouping Strategies
+ * A strategy turns a product into a group key; products with the same key are
+ * shown as one card. Selected per section ("Group products by" setting) and
+ * passed to the enhancers as data-grouping-strategy.
+ *
+ * Strategies that need extra metafields list them in `metafields` so the
+ * enhancers can request them (StorefrontAPIClient options.metafields).
+ * When a product lacks a strategy's fields it falls back to the default
+ * artist|album|format key, so partially catalogued stock still groups.
+ *
+ * getKey(product, options) receives { aliases } (normalize.js parseGroupingAliases)
+ * for the artist / album parts of the key.
+ */
+
+import { METAFIELD_KEYS } from '../core/constants.js';
+
+import { normalizeCatalogueNumber } from './catalogue-numbers.js';
+import { getGroupingFields } from './fields.js';
+import { normalizeAlbumTitle, normalizeArtistName, normalizeGroupingText } from './normalize.js';
+
+export const DEFAULT_GROUPING_STRATEGY = 'release_format';
+
+/**
+ * Read a metafield value by its Storefront API alias (see api/graphql-fragments.js)
+ */
+function getMetafieldValue(product, alias) {
+  return (product?.[alias]?.value || '').trim();
+}
+
+/**
+ * Release year from computed_release_year, falling back to the released date
+ */
+export function getReleaseYear(product) {
+  const computed = getMetafieldValue(product, METAFIELD_KEYS.COMPUTED_RELEASE_YEAR);
+  const match = (computed || getMetafieldValue(product, METAFIELD_KEYS.RELEASED)).match(
+    /\b(\d{4})\b/,
+  );
+  return match ? match[1] : '';
+}
+
+/**
+ * Normalized artist|album key, or null when either field is missing
+ */
+function releaseKey(product, options = {}) {
+  const { artist, album } = getGroupingFields(product);
+  if (!artist || !album) {
+    return null;
+  }
+  const artistKey = normalizeArtistName(artist, options.aliases);
+  const albumKey = normalizeAlbumTitle(album, options.aliases);
+  return artistKey && albumKey ? `${artistKey}|${albumKey}` : null;
+}
+
+function releaseFormatKey(product, options = {}) {
+  const key = releaseKey(product, options);
+  return key ? `${key}|${getGroupingFields(product).format}` : null;
+}
+
+const strategies = new Map();
+
+/**
+ * Register (or replace) a grouping strategy
+ * @param {string} name - Value of the section setting
+ * @param {Object} strategy - { getKey(product, options) => string|null,
+ *   metafields: METAFIELD_KEYS[] }
+ */
+export function registerGroupingStrategy(name, strategy) {
+  strategies.set(name, { metafields: [], ...strategy });
+}
+
+// Artist + album + format (default): one card per release per format
+registerGroupingStrategy('release_format', {
+  getKey: releaseFormatKey,
+});
+
+// Artist + album regardless of format: LP, CD and cassette copies on one card
+registerGroupingStrategy('release', {
+  getKey: releaseKey,
+});
+
+// Pressing: artist + album + format + master label + release year (reissues stay apart)
+registerGroupingStrategy('pressing', {
+  metafields: [
+    METAFIELD_KEYS.COMPUTED_MASTER_LABEL,
+    METAFIELD_KEYS.COMPUTED_RELEASE_YEAR,
+    METAFIELD_KEYS.RELEASED,
+  ],
+  getKey: (product, options) => {
+    const key = releaseFormatKey(product, options);
+    const label = getMetafieldValue(product, METAFIELD_KEYS.COMPUTED_MASTER_LABEL);
+    const year = getReleaseYear(product);
+    if (!key || (!label && !year)) {
+      return key;
+    }
+    return `${key}|${normalizeGroupingText(label)}|${year}`;
+  },
+});
+
+// Catalogue number: identical pressings regardless of how the listing was titled
+registerGroupingStrategy('catalogue_number', {
+  metafields: [METAFIELD_KEYS.CATNO, METAFIELD_KEYS.CATALOGUE_NUMBER],
+  getKey: (product, options) => {
+    const catno = normalizeCatalogueNumber(
+      getMetafieldValue(product, METAFIELD_KEYS.CATNO) ||
+        getMetafieldValue(product, METAFIELD_KEYS.CATALOGUE_NUMBER),
+    );
+    return catno ? `catno:${catno}` : releaseFormatKey(product, options);
+  },
+});
+
+/**
+ * Get a registered strategy, falling back to the default for unknown names
+ */
+export function getGroupingStrategy(name) {
+  return strategies.get(name) || strategies.get(DEFAULT_GROUPING_STRATEGY);
+}
+
+/**
+ * Extra metafields a strategy needs in the product selection
+ */
+export function getStrategyMetafields(name) {
+  return getGroupingStrategy(name).metafields;
+}
@@ -0,0 +1,191 @@
+/**
+ * Tracklist
+ * Parses the custom.tracklist multi-line metafield into tracks for the product page
+ * tracklist and for search relevance (track titles). One track per line, in the shapes
+ * Discogs exports and sellers type:
+ *
+ *   A1. So What (9:22)        A1 - So What - 9:22       1. So What 9:22
+ *   1-03 Blue In Green 5:37   Side B / CD2 (heading)    So What
+ *
+ * A bare number before a plain space ("1 So What") is a position only when the whole list is
+ * numbered 1, 2, 3..., so "99 Problems" and "7 Seconds - 3:00" keep their numbers.
+ */
+
+// Position, then punctuation: "A1.", "B2 -", "12)", "1-03:", "AA1."
+const POSITION_PATTERN = /^([A-Z]{1,2}\d{1,2}[a-z]?|\d{1,2}-\d{1,3}|\d{1,3})(?:[.):]|\s+-)\s*/;
+
+// Side and disc positions are distinctive enough before a plain space: "A1 So What", "1-03 Blue"
+const SPACED_POSITION_PATTERN = /^([A-Z]{1,2}\d{1,2}[a-z]?|\d{1,2}-\d{1,3})\s+/;
+
+// Bare number before a space, for numbered lists only (see isNumberedList)
+const NUMBER_POSITION_PATTERN = /^(\d{1,3})\s+/;
+
+// Leading track number of a line in a numbered list, with or without punctuation
+const LEADING_NUMBER_PATTERN = /^(\d{1,3})(?:[.):]|\s)/;
+
+// A side letter on its own ("A." for a one-track side) needs punctuation, so
+// "A Love Supreme" stays a title
+const SIDE_POSITION_PATTERN = /^([A-Z]{1,2})(?:[.):]|\s+-)\s*/;
+
+// Trailing duration, bracketed or after a dash/tab: "(9:22)", "- 9:22", "1:02:03"
+const DURATION_PATTERN = /\s*(?:[-–—|]\s*)?\(?(\d{1,2}:\d{2}(?::\d{2})?)\)?\s*$/;
+
+// Heading lines that set the side of the tracks below: "Side A", "Disc 2", "CD1"
+const HEADING_PATTERN = /^(side|disc|cd|lp)\s*([A-Z0-9]{1,2})\s*:?$/i;
+
+/**
+ * Seconds in a duration string ("9:22" -> 562, "1:02:03" -> 3723), or null
+ */
+export function parseDuration(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec((value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, first, second, third] = match.map(Number);
+  return third === undefined || Number.isNaN(third)
+    ? first * 60 + second
+    : first * 3600 + second * 60 + third;
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss from an hour
+ */
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+/**
+ * Side of a position: "A1" -> "A", "1-03" -> "1", "4" -> ''
+ */
+function getSide(position) {
+  const letters = /^([A-Z]{1,2})\d/.exec(position) || /^([A-Z])$/.exec(position);
+  if (letters) {
+    return letters[1];
+  }
+  const disc = /^(\d{1,2})-\d/.exec(position);
+  return disc ? disc[1] : '';
+}
+
+/**
+ * Whether every track line starts with a number and the numbers count up from 1 (restarting
+ * at 1 for a new disc or side), e.g. "1 So What", "2 Freddie Freeloader"
+ */
+function isNumberedList(lines) {
+  let previous = 0;
+  return (
+    lines.length > 0 &&
+    lines.every((line) => {
+      const match = LEADING_NUMBER_PATTERN.exec(line);
+      const number = match ? Number(match[1]) : null;
+      if (number !== 1 && number !== previous + 1) {
+        return false;
+      }
+      previous = number;
+      return true;
+    })
+  );
+}
+
+/**
+ * Parse a tracklist metafield value
+ * @returns {Array} - [{ side, position, title, duration, seconds }] in listed order; side is
+ *   '' for plain numbered lists, duration '' and seconds null when not given
+ */
+export function parseTracklist(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const tracks = [];
+  let headingSide = '';
+  const lines = text
+    .split(/\r?\n/)
+    .map((rawLine) => rawLine.replace(/\t+/g, ' - ').trim())
+    .filter(Boolean);
+  const numberedList = isNumberedList(lines.filter((line) => !HEADING_PATTERN.test(line)));
+
+  lines.forEach((trackLine) => {
+    let line = trackLine;
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      headingSide = heading[2].toUpperCase();
+      return;
+    }
+
+    let position = '';
+    const positionMatch =
+      POSITION_PATTERN.exec(line) ||
+      SPACED_POSITION_PATTERN.exec(line) ||
+      (numberedList && NUMBER_POSITION_PATTERN.exec(line)) ||
+      SIDE_POSITION_PATTERN.exec(line);
+    // A lone capitalised word ("Intro") is a title, not a position
+    if (positionMatch && positionMatch[0].length < line.length) {
+      position = positionMatch[1];
+      line = line.slice(positionMatch[0].length);
+    }
+
+    let duration = '';
+    const durationMatch = DURATION_PATTERN.exec(line);
+    if (durationMatch && durationMatch.index > 0) {
+      duration = durationMatch[1];
+      line = line.slice(0, durationMatch.index);
+    }
+
+    const title = line.replace(/^[-–—|]\s*|\s*[-–—|]$/g, '').trim();
+    if (!title) {
+      return;
+    }
+
+    tracks.push({
+      side: getSide(position) || headingSide,
+      position,
+      title,
+      duration,
+      seconds: parseDuration(duration),
+    });
+  });
+
+  return tracks;
+}
+
+/**
+ * A product's parsed tracklist
+ */
+export function getTracklist(product) {
+  return parseTracklist(product?.tracklist?.value);
+}
+
+/**
+ * Track titles for search relevance
+ */
+export function getTrackTitles(product) {
+  return getTracklist(product).map((track) => track.title);
+}
+
+/**
+ * Tracks per side with running time
+ * @returns {Array} - [{ side, tracks, seconds }] in listed order; seconds is null when any
+ *   track on the side has no duration (a partial total would mislead)
+ */
+export function groupTracksBySide(tracks) {
+  const sides = [];
+  (tracks || []).forEach((track) => {
+    let side = sides[sides.length - 1];
+    if (!side || side.side !== track.side) {
+      side = { side: track.side, tracks: [], seconds: 0 };
+      sides.push(side);
+    }
+    side.tracks.push(track);
+    side.seconds =
+      side.seconds === null || track.seconds === null ? null : side.seconds + track.seconds;
+  });
+  return sides;
+}
@@ -0,0 +1,112 @@
+if (!customElements.get('record-label-facet')) {
+  // Label counts of the last result set loaded without a label filter. Kept across facet
+  // re-renders so ticking a label doesn't hide the others.
+  let baseRecordLabels = null;
+
+  class RecordLabelFacet extends HTMLElement {
+    constructor() {
+      super();
+      this.productsGroupedHandler = this.handleProductsGrouped.bind(this);
+      this.facetsUpdatedHandler = this.handleFacetsUpdated.bind(this);
+    }
+
+    connectedCallback() {
+      this.list = this.querySelector('ul');
+      this.paramName = this.dataset.paramName;
+      document.addEventListener('on:products:grouped', this.productsGroupedHandler);
+      document.addEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+
+      this.render(window.location.search);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:products:grouped', this.productsGroupedHandler);
+      document.removeEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    /**
+     * Handles 'on:products:grouped' events from the grouping engine.
+     * @param {object} evt - Event object, detail.labels is [{ label, count }].
+     */
+    handleProductsGrouped(evt) {
+      const params = new URLSearchParams(window.location.search);
+      if (!params.has(this.paramName) || !baseRecordLabels) {
+        baseRecordLabels = evt.detail?.labels || [];
+      }
+      this.render(window.location.search);
+    }
+
+    /**
+     * Handles 'on:facet-filters:updated' events. The facets form is re-rendered before the URL
+     * changes, so the new selection comes from the event rather than the location.
+     * @param {object} evt - Event object.
+     */
+    handleFacetsUpdated(evt) {
+      this.render(evt.detail?.searchParams ?? window.location.search);
+    }
+
+    /**
+     * Lists the busiest labels with their counts, plus any ticked label outside them.
+     * @param {string} searchParams - Filter/sort search parameters.
+     */
+    render(searchParams) {
+      const params = new URLSearchParams(searchParams);
+      // One param per label (label names can contain commas)
+      const selected = params.getAll(this.paramName);
+      const maxOptions = Number(this.dataset.maxOptions) || 30;
+
+      const labels = (baseRecordLabels || []).slice(0, maxOptions);
+      selected.forEach((label) => {
+        if (!labels.some((item) => item.label === label)) {
+          labels.push({ label, count: null });
+        }
+      });
+
+      this.list.replaceChildren(
+        ...labels.map((item, index) => this.createOption(item, selected.includes(item.label), index)),
+      );
+      this.closest('details-disclosure')?.toggleAttribute('hidden', labels.length === 0);
+    }
+
+    /**
+     * Builds one checkbox, matching the markup of Shopify's list filters.
+     * @param {object} item - { label, count }.
+     * @param {boolean} checked - Whether the label is ticked.
+     * @param {number} index - Position, for the input id.
+     * @returns {HTMLElement}
+     */
+    createOption({ label, count }, checked, index) {
+      const id = `filter-record-label-${index + 1}`;
+      const item = document.createElement('li');
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'checkbox visually-hidden focus-label-before';
+      input.id = id;
+      input.name = this.paramName;
+      input.value = label;
+      input.checked = checked;
+
+      const labelElement = document.createElement('label');
+      labelElement.htmlFor = id;
+      labelElement.className = 'filter__label flex items-start w-full m-0';
+
+      const text = document.createElement('span');
+      text.className = 'flex-auto';
+      text.textContent = label;
+      labelElement.appendChild(text);
+
+      if (this.dataset.showCounts === 'true' && count !== null) {
+        const countElement = document.createElement('span');
+        countElement.className = 'filter__count';
+        countElement.textContent = `(${count})`;
+        labelElement.appendChild(countElement);
+      }
+
+      item.append(input, labelElement);
+      return item;
+    }
+  }
+
+  customElements.define('record-label-facet', RecordLabelFacet);
+}
@@ -0,0 +1,202 @@
+if (!customElements.get('release-year-range')) {
+  // Year counts of the last result set loaded without a year filter. Kept across facet
+  // re-renders so the histogram and slider bounds show the whole collection, not just
+  // the selected years.
+  let baseReleaseYears = null;
+
+  // Years outside this range are catalogue typos ("0", "9999") and are left off the slider
+  const EARLIEST_RELEASE_YEAR = 1900;
+  // Wider spans are drawn one bar per decade
+  const MAX_YEAR_BARS = 80;
+
+  /**
+   * Whether a year can be a release year: from 1900 to next year (pre-orders)
+   * @param {number} year - Year.
+   * @returns {boolean}
+   */
+  const isPlausibleYear = (year) =>
+    Number.isFinite(year) &&
+    year >= EARLIEST_RELEASE_YEAR &&
+    year <= new Date().getFullYear() + 1;
+
+  class ReleaseYearRange extends HTMLElement {
+    constructor() {
+      super();
+      this.productsGroupedHandler = this.handleProductsGrouped.bind(this);
+      this.facetsUpdatedHandler = this.handleFacetsUpdated.bind(this);
+    }
+
+    connectedCallback() {
+      this.histogram = this.querySelector('.release-year-range__histogram');
+      this.minNumberInput = this.querySelector('#year-range-number-min');
+      this.maxNumberInput = this.querySelector('#year-range-number-max');
+      this.minSliderInput = this.querySelector('#year-range-slider-min');
+      this.maxSliderInput = this.querySelector('#year-range-slider-max');
+
+      if (!this.initialized) {
+        this.addEventListener('input', this.handleInput.bind(this));
+        this.initialized = true;
+      }
+      document.addEventListener('on:products:grouped', this.productsGroupedHandler);
+      document.addEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+
+      this.syncInputs(window.location.search);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:products:grouped', this.productsGroupedHandler);
+      document.removeEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    /**
+     * Handles 'on:products:grouped' events from the grouping engine.
+     * @param {object} evt - Event object, detail.releaseYears is [{ year, count }].
+     */
+    handleProductsGrouped(evt) {
+      const params = new URLSearchParams(window.location.search);
+      const hasYearFilter = Array.from(params.keys()).some((key) =>
+        key.startsWith('filter.p.m.custom.computed_release_year'),
+      );
+
+      if (!hasYearFilter || !baseReleaseYears) {
+        baseReleaseYears = evt.detail?.releaseYears || [];
+      }
+      this.syncInputs(window.location.search);
+    }
+
+    /**
+     * Handles 'on:facet-filters:updated' events. The facets form is re-rendered before the URL
+     * changes, so the new selection comes from the event rather than the location.
+     * @param {object} evt - Event object.
+     */
+    handleFacetsUpdated(evt) {
+      this.syncInputs(evt.detail?.searchParams ?? window.location.search);
+    }
+
+    /**
+     * Handles 'input' events on the release year range component.
+     * @param {object} evt - Event object.
+     */
+    handleInput(evt) {
+      if (evt.target === this.minSliderInput || evt.target === this.maxSliderInput) {
+        // Don't let the handles cross
+        const minValue = Number(this.minSliderInput.value);
+        const maxValue = Number(this.maxSliderInput.value);
+        if (minValue > maxValue) {
+          evt.target.value = evt.target === this.minSliderInput ? maxValue : minValue;
+        }
+        this.updateNumberInputs();
+      } else {
+        this.updateSliderInputs();
+      }
+      this.highlightRange();
+    }
+
+    /**
+     * Updates the 'number' inputs from the sliders. A handle at its end clears the input.
+     */
+    updateNumberInputs() {
+      this.minNumberInput.value =
+        Number(this.minSliderInput.value) > this.minYear ? this.minSliderInput.value : '';
+      this.maxNumberInput.value =
+        Number(this.maxSliderInput.value) < this.maxYear ? this.maxSliderInput.value : '';
+    }
+
+    /**
+     * Updates the 'range' inputs from the number inputs.
+     */
+    updateSliderInputs() {
+      this.minSliderInput.value = this.minNumberInput.value || this.minYear;
+      this.maxSliderInput.value = this.maxNumberInput.value || this.maxYear;
+    }
+
+    /**
+     * Restores the inputs from a query string and redraws the histogram.
+     * @param {string} searchParams - Filter/sort search parameters.
+     */
+    syncInputs(searchParams) {
+      const params = new URLSearchParams(searchParams);
+      const selectedMin = parseInt(params.get(this.minNumberInput.name), 10);
+      const selectedMax = parseInt(params.get(this.maxNumberInput.name), 10);
+
+      this.setBounds(selectedMin, selectedMax);
+      this.minNumberInput.value = Number.isFinite(selectedMin) ? selectedMin : '';
+      this.maxNumberInput.value = Number.isFinite(selectedMax) ? selectedMax : '';
+      this.updateSliderInputs();
+      this.renderHistogram();
+    }
+
+    /**
+     * Sets the slider bounds to the years in the collection, widened to fit a selection.
+     * @param {number} selectedMin - Selected 'from' year (NaN when open).
+     * @param {number} selectedMax - Selected 'to' year (NaN when open).
+     */
+    setBounds(selectedMin, selectedMax) {
+      const years = (baseReleaseYears || []).map(({ year }) => year);
+      const minYears = [...years, selectedMin].filter(isPlausibleYear);
+      const maxYears = [...years, selectedMax].filter(isPlausibleYear);
+
+      this.minYear = minYears.length > 0 ? Math.min(...minYears) : Number(this.dataset.minYear);
+      this.maxYear = maxYears.length > 0 ? Math.max(...maxYears) : Number(this.dataset.maxYear);
+
+      [this.minNumberInput, this.maxNumberInput, this.minSliderInput, this.maxSliderInput].forEach(
+        (input) => {
+          input.min = this.minYear;
+          input.max = this.maxYear;
+        },
+      );
+      this.minNumberInput.placeholder = this.minYear;
+      this.maxNumberInput.placeholder = this.maxYear;
+    }
+
+    /**
+     * Draws one bar per year (per decade over MAX_YEAR_BARS years), scaled to the busiest bar.
+     */
+    renderHistogram() {
+      if (!this.histogram) {
+        return;
+      }
+
+      const barYears = this.maxYear - this.minYear + 1 > MAX_YEAR_BARS ? 10 : 1;
+      const firstYear = this.minYear - (barYears > 1 ? this.minYear % barYears : 0);
+      const counts = new Map();
+      (baseReleaseYears || []).forEach(({ year, count }) => {
+        if (!isPlausibleYear(year)) {
+          return;
+        }
+        const barYear = year - (year - firstYear) % barYears;
+        counts.set(barYear, (counts.get(barYear) || 0) + count);
+      });
+
+      const peak = Math.max(1, ...counts.values());
+      const bars = [];
+      for (let year = firstYear; year <= this.maxYear; year += barYears) {
+        const bar = document.createElement('span');
+        bar.className = 'release-year-range__bar flex-auto';
+        bar.dataset.year = year;
+        bar.dataset.lastYear = year + barYears - 1;
+        bar.style.height = `${((counts.get(year) || 0) / peak) * 100}%`;
+        bars.push(bar);
+      }
+
+      this.histogram.replaceChildren(...bars);
+      this.highlightRange();
+    }
+
+    /**
+     * Marks the bars inside the selected range.
+     */
+    highlightRange() {
+      const from = Number(this.minSliderInput.value);
+      const to = Number(this.maxSliderInput.value);
+
+      this.histogram?.querySelectorAll('.release-year-range__bar').forEach((bar) => {
+        const year = Number(bar.dataset.year);
+        const lastYear = Number(bar.dataset.lastYear);
+        bar.classList.toggle('is-selected', lastYear >= from && year <= to);
+      });
+    }
+  }
+
+  customElements.define('release-year-range', ReleaseYearRange);
+}
@@ -0,0 +1,44 @@
+if (!customElements.get('url-facet')) {
+  class UrlFacet extends HTMLElement {
+    constructor() {
+      super();
+      this.facetsUpdatedHandler = this.handleFacetsUpdated.bind(this);
+    }
+
+    connectedCallback() {
+      this.inputs = this.querySelectorAll('input[type="checkbox"]');
+      this.syncInputs(window.location.search);
+      document.addEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:facet-filters:updated', this.facetsUpdatedHandler);
+    }
+
+    /**
+     * Handles 'on:facet-filters:updated' events. The facets form is re-rendered before the URL
+     * changes, so the new selection comes from the event rather than the location.
+     * @param {object} evt - Event object.
+     */
+    handleFacetsUpdated(evt) {
+      this.syncInputs(evt.detail?.searchParams ?? window.location.search);
+    }
+
+    /**
+     * Ticks the checkboxes present in a query string. Used by checkbox facets Shopify doesn't
+     * render (Liquid can't read the query string), e.g. in stock only and decade.
+     * @param {string} searchParams - Filter/sort search parameters.
+     */
+    syncInputs(searchParams) {
+      const params = new URLSearchParams(searchParams);
+
+      this.inputs.forEach((input) => {
+        // Ticked values may be repeated params or comma-separated
+        const values = params.getAll(input.name).flatMap((value) => value.split(','));
+        input.checked = values.includes(input.value);
+      });
+    }
+  }
+
+  customElements.define('url-facet', UrlFacet);
+}
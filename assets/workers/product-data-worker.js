@@ -0,0 +1,29 @@
+/**
+ * Product Data Worker
+ * Runs grouping, client-side filtering and relevance scoring off the main thread
+ * Vite bundles this into workers/product-data-worker-bundle.js
+ *
+ * MESSAGE PROTOCOL:
+ * - Request:  { id, type, payload }
+ * - Response: { id, ok: true, result } or { id, ok: false, error }
+ * Types: groupAll, groupIncremental, resetGrouping, applyFilters, applySearchFilters,
+ *        sortByRelevance
+ */
+
+import { createMessageHandlers } from './product-data.js';
+
+const handlers = createMessageHandlers();
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data || {};
+
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    self.postMessage({ id, ok: true, result: handler(payload || {}) });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message });
+  }
+};
@@ -0,0 +1,742 @@
+/**
+ * Product Data
+ * Pure grouping, filtering and relevance functions over Storefront API product
+ * nodes. No DOM or window access, so the same code runs in the product data
+ * worker and as the main-thread fallback (see product-worker-client.js).
+ * Group keys come from the shared grouping library (assets/grouping/).
+ */
+
+import {
+  buildGroupKey,
+  DEFAULT_GROUPING_STRATEGY,
+  getGradeAbbreviation,
+  getGroupFormats,
+  getReleaseYearFilter,
+  foldUnicode,
+  getTrackTitles,
+  isAtLeastGrade,
+  matchesArtist,
+  matchesRecordLabel,
+  matchesReleaseYear,
+  matchesSearchFilters,
+  matchesWordFuzzily,
+  parseCatalogueNumber,
+  pinCatalogueMatches,
+  sortByGrade,
+  tokenizeSearchText,
+} from '../grouping/index.js';
+
+/**
+ * Create the state groupProductsIncremental() accumulates between pages
+ * @param {string} strategy - Grouping strategy name (grouping/strategies.js)
+ * @param {Object} aliases - Artist/album alias table (grouping/normalize.js parseGroupingAliases)
+ */
+export function createGroupingState(strategy = DEFAULT_GROUPING_STRATEGY, aliases = null) {
+  return {
+    strategy,
+    keyOptions: { aliases },
+    groupMap: new Map(), // groupKey -> { mainProduct, variantProducts, allProducts }
+    productMap: new Map(), // product ID -> product, every product seen so far
+    renderedProductIds: new Set(),
+    originalProductOrder: new Map(),
+  };
+}
+
+/**
+ * Match a condition metafield value against condition filter values
+ * Goldmine grades compare by grade, so "NM" matches "Near Mint (NM or M-)" and "VG"
+ * no longer matches "VG+"; other values ("Generic", "No Cover") fall back to text matching
+ */
+function matchesCondition(productCondition, filterConditions) {
+  const productGrade = getGradeAbbreviation(productCondition);
+  const productLower = (productCondition || '').toLowerCase().trim();
+
+  return filterConditions.some((filter) => {
+    const filterGrade = getGradeAbbreviation(filter);
+    if (filterGrade && productGrade) {
+      return filterGrade === productGrade;
+    }
+    const filterLower = filter.toLowerCase().trim();
+    return productLower === filterLower || productLower.includes(filterLower);
+  });
+}
+
+/**
+ * Option name as Shopify writes it in filter.v.option.* params ("Media Format" -> "media-format")
+ */
+function toOptionHandle(name) {
+  return (name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Match a product's variants against variant option filters ({ name: [values] })
+ * Each option must match (AND); any value of an option matches (OR)
+ */
+function matchesVariantOptions(product, variantOptions) {
+  const variants = (product.variants?.edges || []).map((edge) => edge.node);
+
+  return Object.entries(variantOptions).every(([name, values]) => {
+    const handle = toOptionHandle(name);
+    const wanted = [].concat(values).map((value) => value.toLowerCase().trim());
+    return variants.some((variant) =>
+      (variant.selectedOptions || []).some(
+        (option) =>
+          toOptionHandle(option.name) === handle &&
+          wanted.includes((option.value || '').toLowerCase().trim()),
+      ),
+    );
+  });
+}
+
+/**
+ * Apply client-side filters to products the API couldn't filter
+ * (StorefrontAPIClient.splitFilterParams - metafield and variant option filters in search mode)
+ * Applies ALL active filters: productType, vendor, tag, availability, styleGenre, label,
+ * mediaCondition, sleeveCondition, minimum media/sleeve grade, variant options,
+ * release year / decade, price
+ */
+export function applyClientSideFilters(products, filterParams) {
+  if (!filterParams) {
+    return products; // No filters, return all products
+  }
+
+  // Check if any filters are active
+  const hasFilters =
+    filterParams.productType ||
+    filterParams.styleGenre ||
+    filterParams.label ||
+    filterParams.mediaCondition ||
+    filterParams.sleeveCondition ||
+    filterParams.mediaConditionMin ||
+    filterParams.sleeveConditionMin ||
+    filterParams.vendor ||
+    filterParams.tag ||
+    typeof filterParams.available === 'boolean' ||
+    filterParams.variantOptions ||
+    filterParams.releaseYearMin ||
+    filterParams.releaseYearMax ||
+    filterParams.releaseDecade ||
+    filterParams.priceMin ||
+    filterParams.priceMax;
+
+  if (!hasFilters) {
+    return products; // No active filters, return all products
+  }
+
+  const releaseYearFilter = getReleaseYearFilter(filterParams);
+
+  // Apply all filters - product must match ALL active filters (AND logic)
+  return products.filter((product) => {
+    let matches = true;
+
+    // 1. Product Type filter
+    if (filterParams.productType) {
+      const filterType = filterParams.productType;
+      const filterTypes = Array.isArray(filterType) ? filterType : [filterType];
+      const productType = (product.productType || '').toLowerCase();
+
+      const typeMatches = filterTypes.some((filter) => {
+        const filterLower = filter.toLowerCase().trim();
+
+        // Handle specific filter mappings
+        if (filterLower === 'vinyl lps' || filterLower === 'lp albums') {
+          return productType.includes('lp');
+        }
+        if (filterLower === 'cd albums') {
+          return productType.includes('cd');
+        }
+        if (filterLower === '7" singles') {
+          return productType.includes('7');
+        }
+        if (filterLower === '12" singles') {
+          return productType.includes('12');
+        }
+        if (filterLower === '10" vinyl') {
+          return productType.includes('10');
+        }
+        if (filterLower === 'cassette albums') {
+          return productType.includes('cassette');
+        }
+        // Handle "DVD & Blu-ray" - check for both variations and ampersand encoding
+        if (
+          filterLower === 'dvd & blu-ray' ||
+          filterLower === 'dvd and blu-ray' ||
+          (filterLower.includes('dvd') && filterLower.includes('blu'))
+        ) {
+          return (
+            productType.includes('dvd') ||
+            productType.includes('blu') ||
+            productType.includes('blu-ray')
+          );
+        }
+
+        // Fallback to partial match
+        return productType.includes(filterLower);
+      });
+
+      if (!typeMatches) {
+        matches = false;
+      }
+    }
+
+    // 2. Style/Genre filter (metafield: computed_style_genre)
+    if (filterParams.styleGenre && matches) {
+      const filterGenre = filterParams.styleGenre;
+      const filterGenres = Array.isArray(filterGenre) ? filterGenre : [filterGenre];
+      const productGenre = (product.style_genre?.value || '').toLowerCase().trim();
+
+      const genreMatches = filterGenres.some((filter) => {
+        const filterLower = filter.toLowerCase().trim();
+        return productGenre === filterLower || productGenre.includes(filterLower);
+      });
+
+      if (!genreMatches) {
+        matches = false;
+      }
+    }
+
+    // 2b. Record label (metafield: computed_master_label)
+    if (filterParams.label && matches) {
+      matches = matchesRecordLabel(product, filterParams.label);
+    }
+
+    // 3. Media Condition filter
+    if (filterParams.mediaCondition && matches) {
+      const filterCondition = filterParams.mediaCondition;
+      const filterConditions = Array.isArray(filterCondition) ? filterCondition : [filterCondition];
+      if (!matchesCondition(product.media_condition?.value, filterConditions)) {
+        matches = false;
+      }
+    }
+
+    // 4. Sleeve Condition filter
+    if (filterParams.sleeveCondition && matches) {
+      const filterCondition = filterParams.sleeveCondition;
+      const filterConditions = Array.isArray(filterCondition) ? filterCondition : [filterCondition];
+      if (!matchesCondition(product.sleeve_condition?.value, filterConditions)) {
+        matches = false;
+      }
+    }
+
+    // 5. Minimum condition ("VG+ or better") - ordinal comparison, ungraded copies excluded
+    if (filterParams.mediaConditionMin && matches) {
+      matches = isAtLeastGrade(product.media_condition?.value, filterParams.mediaConditionMin);
+    }
+    if (filterParams.sleeveConditionMin && matches) {
+      matches = isAtLeastGrade(product.sleeve_condition?.value, filterParams.sleeveConditionMin);
+    }
+
+    // 6. Vendor, tag and availability - exact matches, as the API applies them
+    if (filterParams.vendor && matches) {
+      matches = [].concat(filterParams.vendor).includes(product.vendor);
+    }
+    if (filterParams.tag && matches) {
+      const tags = product.tags || [];
+      matches = [].concat(filterParams.tag).some((tag) => tags.includes(tag));
+    }
+    if (typeof filterParams.available === 'boolean' && matches) {
+      matches = !!product.availableForSale === filterParams.available;
+    }
+
+    // 7. Variant options (filter.v.option.*)
+    if (filterParams.variantOptions && matches) {
+      matches = matchesVariantOptions(product, filterParams.variantOptions);
+    }
+
+    // 8. Release year range / decades - products without a year are excluded
+    if (releaseYearFilter && matches) {
+      matches = matchesReleaseYear(product, releaseYearFilter);
+    }
+
+    // 9. Price range filter
+    if (matches && (filterParams.priceMin || filterParams.priceMax)) {
+      const minPrice = product.priceRange?.minVariantPrice?.amount
+        ? parseFloat(product.priceRange.minVariantPrice.amount)
+        : null;
+
+      if (minPrice !== null) {
+        if (filterParams.priceMin && minPrice < parseFloat(filterParams.priceMin)) {
+          matches = false;
+        }
+        if (filterParams.priceMax && minPrice > parseFloat(filterParams.priceMax)) {
+          matches = false;
+        }
+      }
+    }
+
+    return matches;
+  });
+}
+
+/**
+ * Keep products that pass the search box's field terms and exclusions
+ * ("format:LP year:1959..1965 -compilation" - see grouping/search-query.js)
+ * @param {Array} filters - compileSearchQuery().filters
+ */
+export function applySearchFilters(products, filters) {
+  if (!filters || filters.length === 0) {
+    return products;
+  }
+  return products.filter((product) => matchesSearchFilters(product, filters));
+}
+
+/**
+ * Sort products by relevance to search terms
+ * Mirrors Shopify's native relevance algorithm:
+ * - Keyword frequency (how many times term appears)
+ * - Field importance (title > vendor > tags > productType)
+ * - Field length (shorter fields rank higher)
+ * Plus custom music-specific logic (artist matches, track titles, compilation penalties)
+ * Text is compared folded ("Motorhead" matches "Motörhead"), and artist and title words
+ * within a typo or two still score, below exact matches (grouping/spelling.js)
+ * Exact catalogue number matches ("SHVL804" -> catno SHVL-804) are pinned to the top
+ * @param {Object} hints - { artist, label } from compileSearchQuery() (artist:, label: terms)
+ */
+export function sortByRelevance(products, searchTerms, hints = null) {
+  if ((!searchTerms && !hints?.artist && !hints?.label) || !products || products.length === 0) {
+    return products;
+  }
+
+  const searchLower = foldUnicode(searchTerms).trim();
+  const searchWords = searchLower.split(/\s+/).filter((w) => w.length > 0);
+  // Punctuation-free words for typo-tolerant matching ("don't" -> don, t)
+  const searchTokens = tokenizeSearchText(searchTerms);
+
+  // Helper: How many search words a field's words contain, allowing typos ("jimmi" ~ "jimi")
+  const countFuzzyMatches = (text) => {
+    const tokens = tokenizeSearchText(text);
+    return searchTokens.filter((word) => matchesWordFuzzily(word, tokens)).length;
+  };
+
+  // Helper: Count keyword frequency in text
+  const countKeywordFrequency = (text, keywords) => {
+    if (!text) {
+      return 0;
+    }
+    const textLower = foldUnicode(text);
+    return keywords.reduce((count, keyword) => {
+      // Count occurrences (case-insensitive)
+      const regex = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+      const matches = textLower.match(regex);
+      return count + (matches ? matches.length : 0);
+    }, 0);
+  };
+
+  // Helper: Calculate field length score (shorter = better, like Shopify)
+  const getFieldLengthScore = (fieldText, baseScore) => {
+    if (!fieldText) {
+      return 0;
+    }
+    const length = fieldText.length;
+    // Shorter fields get bonus, longer fields get penalty
+    // Formula: baseScore * (1 - (length / 200))
+    // This means a 50-char field gets ~75% of baseScore, 200+ char gets ~0%
+    const lengthMultiplier = Math.max(0, 1 - length / 200);
+    return baseScore * lengthMultiplier;
+  };
+
+  // Score each product
+  const scoredProducts = products.map((product) => {
+    let score = 0;
+
+    // Get all searchable fields
+    const artist = foldUnicode(product.artist?.value).trim();
+    const title = foldUnicode(product.title);
+    const vendor = foldUnicode(product.vendor);
+    const tags = (product.tags || []).map((t) => foldUnicode(t)).join(' ');
+    const productType = foldUnicode(product.productType);
+
+    // === SHOPIFY'S NATIVE RELEVANCE FACTORS ===
+
+    // 1. KEYWORD FREQUENCY with FIELD IMPORTANCE
+    // Title (highest weight) - Shopify prioritizes title matches
+    const titleFreq = countKeywordFrequency(title, searchWords);
+    if (titleFreq > 0) {
+      // Exact phrase match in title gets highest score
+      if (title.includes(searchLower)) {
+        score += 1000 * (1 + titleFreq * 0.5); // Base 1000 + frequency bonus
+      } else if (searchWords.every((word) => title.includes(word))) {
+        // All words present
+        score += 800 * (1 + titleFreq * 0.3);
+      } else if (searchTokens.length > 0 && countFuzzyMatches(title) === searchTokens.length) {
+        // All words present, some misspelt ("kind of bleu")
+        score += 600 * (1 + titleFreq * 0.2);
+      } else {
+        // Some words present
+        score += 400 * (1 + titleFreq * 0.2);
+      }
+      // Field length bonus (shorter titles rank higher)
+      score += getFieldLengthScore(title, 200);
+    } else if (searchTokens.length > 0) {
+      // No exact word, but misspelt ones ("dark side of the mon")
+      const fuzzyMatches = countFuzzyMatches(title);
+      if (fuzzyMatches === searchTokens.length) {
+        score += 600 + getFieldLengthScore(title, 200);
+      } else if (fuzzyMatches > 0) {
+        score += 100;
+      }
+    }
+
+    // Vendor (medium-high weight)
+    const vendorFreq = countKeywordFrequency(vendor, searchWords);
+    if (vendorFreq > 0) {
+      if (vendor.includes(searchLower)) {
+        score += 500 * (1 + vendorFreq * 0.3);
+      } else if (searchWords.every((word) => vendor.includes(word))) {
+        score += 300 * (1 + vendorFreq * 0.2);
+      } else {
+        score += 150 * (1 + vendorFreq * 0.1);
+      }
+      score += getFieldLengthScore(vendor, 100);
+    }
+
+    // Tags (medium weight)
+    const tagsFreq = countKeywordFrequency(tags, searchWords);
+    if (tagsFreq > 0) {
+      if (tags.includes(searchLower)) {
+        score += 300 * (1 + tagsFreq * 0.2);
+      } else if (searchWords.some((word) => tags.includes(word))) {
+        score += 150 * (1 + tagsFreq * 0.1);
+      }
+      score += getFieldLengthScore(tags, 50);
+    }
+
+    // ProductType (lower weight)
+    const productTypeFreq = countKeywordFrequency(productType, searchWords);
+    if (productTypeFreq > 0) {
+      if (productType.includes(searchLower)) {
+        score += 200 * (1 + productTypeFreq * 0.2);
+      } else if (searchWords.some((word) => productType.includes(word))) {
+        score += 100 * (1 + productTypeFreq * 0.1);
+      }
+      score += getFieldLengthScore(productType, 30);
+    }
+
+    // === CUSTOM MUSIC-SPECIFIC LOGIC (Additional Layer) ===
+
+    // Artist metafield match (music-specific, very high priority)
+    if (artist && searchLower) {
+      if (artist === searchLower) {
+        score += 1500; // Exact artist match (highest priority for music)
+      } else if (artist.includes(searchLower)) {
+        score += 800; // Partial artist match
+      } else if (searchWords.length > 0 && searchWords.every((word) => artist.includes(word))) {
+        score += 600; // All search words in artist
+      } else if (searchTokens.length > 0 && countFuzzyMatches(artist) === searchTokens.length) {
+        score += 500; // All search words in artist, some misspelt ("jimmi hendrix")
+      } else if (searchWords.some((word) => artist.includes(word))) {
+        score += 300; // Some search words in artist
+      } else if (countFuzzyMatches(artist) > 0) {
+        score += 150; // Some search words in artist, misspelt
+      }
+    }
+
+    // Track titles (tracklist metafield, fetched in search mode) - a song name surfaces
+    // the LP that contains it. Best-matching track only, so long tracklists don't pile up.
+    const trackTitles = searchLower
+      ? getTrackTitles(product).map((track) => foldUnicode(track))
+      : [];
+    if (trackTitles.some((track) => track === searchLower)) {
+      score += 700; // Exact track title
+    } else if (trackTitles.some((track) => track.includes(searchLower))) {
+      score += 450; // Phrase within a track title
+    } else if (
+      searchWords.length > 0 &&
+      trackTitles.some((track) => searchWords.every((word) => track.includes(word)))
+    ) {
+      score += 250; // All search words in one track title
+    }
+
+    // Field terms typed in the search box (artist:, label:) - exact metafield matches
+    if (hints?.artist && matchesArtist(product, hints.artist)) {
+      score += 1500;
+    }
+    if (hints?.label && matchesRecordLabel(product, hints.label)) {
+      score += 300;
+    }
+
+    // Penalty: Compilations ("Various" artist) should rank lower
+    if (artist === 'various' || artist.startsWith('various ')) {
+      score -= 400; // Heavy penalty for compilations
+    }
+
+    // Small penalty: Products with no artist metafield (less reliable for music)
+    if (!artist || artist === '') {
+      score -= 30;
+    }
+
+    return { product, score };
+  });
+
+  // Sort by score (descending), then by title for tie-breaking
+  scoredProducts.sort((a, b) => {
+    if (b.score !== a.score) {
+      return b.score - a.score; // Higher score first
+    }
+    // Tie-breaker: alphabetical by title
+    const titleA = (a.product.title || '').toLowerCase();
+    const titleB = (b.product.title || '').toLowerCase();
+    return titleA.localeCompare(titleB);
+  });
+
+  return pinCatalogueMatches(
+    scoredProducts.map(({ product }) => product),
+    parseCatalogueNumber(searchTerms)?.normalized,
+  );
+}
+
+/**
+ * Groups products incrementally, handling merging with existing groups
+ * Products already rendered (alone or inside a group) are skipped
+ *
+ * @param {Object} state - From createGroupingState(), mutated across calls
+ * @param {Array} newProducts - Next page of products
+ * @param {number} offset - Position of the first product in the overall result order
+ * @returns {Object} - { items: render items (unsorted), skippedCount }
+ */
+export function groupProductsIncremental(state, newProducts, offset = 0) {
+  // Store original order and add to the product map BEFORE grouping (so grouping can find them)
+  newProducts.forEach((product, index) => {
+    state.originalProductOrder.set(product.id, offset + index);
+    state.productMap.set(product.id, product);
+  });
+
+  const itemsToRender = [];
+  const processedIds = new Set();
+
+  // Process new products
+  let skippedCount = 0;
+  for (const product of newProducts) {
+    // If product is already rendered (as part of a group or individually), skip it
+    if (state.renderedProductIds.has(product.id)) {
+      skippedCount++;
+      continue; // Already rendered - don't render again
+    }
+
+    const groupKey = buildGroupKey(product, state.strategy, state.keyOptions);
+
+    if (!groupKey) {
+      // Single product without grouping info
+      itemsToRender.push({
+        type: 'single',
+        product,
+        originalIndex: state.originalProductOrder.get(product.id) ?? Infinity,
+      });
+      state.renderedProductIds.add(product.id);
+      processedIds.add(product.id);
+      continue;
+    }
+
+    // Check for existing group
+    let existingGroup = state.groupMap.get(groupKey);
+
+    // Check if group was already rendered BEFORE adding product to it
+    const groupAlreadyRendered =
+      existingGroup && state.renderedProductIds.has(existingGroup.mainProduct.id);
+
+    if (!existingGroup) {
+      // Check if any products in this group already exist (including current product)
+      const matchingProducts = [];
+
+      // Always include current product first
+      matchingProducts.push(product);
+
+      // Then check for other matching products in productMap
+      for (const [id, p] of state.productMap.entries()) {
+        // Skip if already rendered or if it's the current product
+        if (state.renderedProductIds.has(id) || id === product.id) {
+          continue;
+        }
+        if (buildGroupKey(p, state.strategy, state.keyOptions) === groupKey) {
+          matchingProducts.push(p);
+        }
+      }
+
+      if (matchingProducts.length > 1) {
+        // Create new group
+        existingGroup = {
+          type: 'group',
+          mainProduct: matchingProducts[0],
+          variantProducts: matchingProducts.slice(1),
+          allProducts: matchingProducts,
+        };
+        state.groupMap.set(groupKey, existingGroup);
+      }
+    } else {
+      // Add to existing group
+      if (!existingGroup.allProducts.find((p) => p.id === product.id)) {
+        existingGroup.allProducts.push(product);
+        if (existingGroup.mainProduct.id !== product.id) {
+          existingGroup.variantProducts.push(product);
+        }
+      }
+    }
+
+    // If group was already rendered, skip this product (it's already in the rendered group)
+    if (groupAlreadyRendered) {
+      // Product matches an already-rendered group - skip it (already rendered as part of group)
+      state.renderedProductIds.add(product.id);
+      processedIds.add(product.id);
+      skippedCount++;
+    } else if (existingGroup && existingGroup.allProducts.length > 1) {
+      // Render group if ready (only if we have 2+ products and not already rendered)
+      // CRITICAL: Only mark products as rendered that are actually in this batch being processed
+      const productsInThisBatch = existingGroup.allProducts.filter((p) =>
+        newProducts.some((np) => np.id === p.id),
+      );
+
+      // Only render if at least one product from this batch is in the group
+      if (productsInThisBatch.length > 0) {
+        // Other copies best grade first (drawer order and condition breakdown)
+        const variantProducts = sortByGrade(existingGroup.variantProducts);
+        const variantHandles = variantProducts.map((p) => p.handle).join(',');
+        itemsToRender.push({
+          type: 'group',
+          group: {
+            mainProduct: existingGroup.mainProduct,
+            variantProducts,
+            format: getGroupFormats(existingGroup.allProducts),
+          },
+          variantHandles,
+          variantProducts,
+          product: existingGroup.mainProduct,
+          originalIndex: state.originalProductOrder.get(existingGroup.mainProduct.id) ?? Infinity,
+        });
+
+        // Mark only products from this batch as rendered (not all products in group)
+        productsInThisBatch.forEach((p) => {
+          state.renderedProductIds.add(p.id);
+          processedIds.add(p.id);
+        });
+        // Also mark main product if it's in this batch
+        if (productsInThisBatch.some((p) => p.id === existingGroup.mainProduct.id)) {
+          state.renderedProductIds.add(existingGroup.mainProduct.id);
+        }
+      }
+    } else {
+      // Single product (no group, or group with only 1 product)
+      itemsToRender.push({
+        type: 'single',
+        product,
+        originalIndex: state.originalProductOrder.get(product.id) ?? Infinity,
+      });
+      state.renderedProductIds.add(product.id);
+      processedIds.add(product.id);
+    }
+  }
+
+  return { items: itemsToRender, skippedCount };
+}
+
+/**
+ * Groups products by artist + album + format (or the selected grouping strategy)
+ *
+ * GROUPING LOGIC:
+ * - Products are grouped if they have the same group key (grouping/strategies.js)
+ * - Artist and album are normalized (grouping/normalize.js) and resolved through the aliases
+ * - Format is extracted from productType using the same logic as Liquid
+ * - Products without a group key (no artist/album) are added to singles
+ *
+ * @param {Array} products - Array of product objects from Storefront API
+ * @param {string} strategy - Grouping strategy name
+ * @param {Object} aliases - Artist/album alias table (optional)
+ * @returns {Object} - { groups: Array, singles: Array }
+ */
+export function groupAllProducts(products, strategy = DEFAULT_GROUPING_STRATEGY, aliases = null) {
+  const singleProducts = [];
+  const keyOptions = { aliases };
+
+  // First pass: Group products
+  // Build a map of group keys to products
+  const groupMap = new Map(); // key: "artist|album|format", value: Set of product IDs
+  const productMap = new Map(); // key: product ID, value: product object
+
+  // First, index all products by ID and build group keys
+  for (const product of products) {
+    productMap.set(product.id, product);
+
+    // Normalized group key - null without artist/album
+    const groupKey = buildGroupKey(product, strategy, keyOptions);
+    if (!groupKey) {
+      // Can't group without artist/album - will be added to singles later
+      continue;
+    }
+
+    if (!groupMap.has(groupKey)) {
+      groupMap.set(groupKey, new Set());
+    }
+
+    groupMap.get(groupKey).add(product.id);
+  }
+
+  // Now build groups from the map
+  const usedProductIds = new Set();
+  const groupedArray = [];
+
+  for (const productIdSet of groupMap.values()) {
+    const productIds = Array.from(productIdSet);
+
+    // Filter out already used products
+    const uniqueProductIds = productIds.filter((id) => !usedProductIds.has(id));
+
+    if (uniqueProductIds.length > 1) {
+      // Multiple products - create group
+      const groupProducts = uniqueProductIds.map((id) => productMap.get(id)).filter(Boolean);
+
+      groupedArray.push({
+        type: 'group',
+        mainProduct: groupProducts[0],
+        variantProducts: sortByGrade(groupProducts.slice(1)),
+        format: getGroupFormats(groupProducts),
+      });
+
+      // Mark all products as used
+      uniqueProductIds.forEach((id) => usedProductIds.add(id));
+    } else if (uniqueProductIds.length === 1) {
+      // Single product - add to singles if not already used
+      const productId = uniqueProductIds[0];
+      if (!usedProductIds.has(productId)) {
+        singleProducts.push(productMap.get(productId));
+        usedProductIds.add(productId);
+      }
+    }
+  }
+
+  // Add any products without artist/album to singles
+  for (const product of products) {
+    if (!usedProductIds.has(product.id) && !buildGroupKey(product, strategy, keyOptions)) {
+      singleProducts.push(product);
+      usedProductIds.add(product.id);
+    }
+  }
+
+  return {
+    groups: groupedArray,
+    singles: singleProducts,
+  };
+}
+
+/**
+ * Message handlers shared by the worker and the main-thread fallback
+ * Each call creates its own incremental grouping state
+ */
+export function createMessageHandlers() {
+  let groupingState = createGroupingState();
+
+  return {
+    groupAll: ({ products, strategy, aliases }) => groupAllProducts(products, strategy, aliases),
+    groupIncremental: ({ products, offset }) =>
+      groupProductsIncremental(groupingState, products, offset),
+    resetGrouping: ({ strategy, aliases }) => {
+      groupingState = createGroupingState(strategy, aliases);
+      return true;
+    },
+    applyFilters: ({ products, filterParams }) => applyClientSideFilters(products, filterParams),
+    applySearchFilters: ({ products, filters }) => applySearchFilters(products, filters),
+    sortByRelevance: ({ products, searchTerms, hints }) =>
+      sortByRelevance(products, searchTerms, hints),
+  };
+}
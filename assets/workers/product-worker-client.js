@@ -0,0 +1,173 @@
+/**
+ * Product Worker Client
+ * Promise-based wrapper around the product data worker. Falls back to running
+ * the same handlers on the main thread when workers are unavailable or the
+ * worker fails, replaying earlier grouping pages so results stay identical.
+ */
+
+import { createMessageHandlers } from './product-data.js';
+
+class ProductWorkerClient {
+  /**
+   * @param {string} workerUrl - URL of workers/product-data-worker-bundle.js (optional)
+   */
+  constructor(workerUrl) {
+    this.worker = null;
+    this.localHandlers = null;
+    this.pending = new Map(); // id -> { type, payload, resolve, reject }
+    this.groupingLog = []; // groupIncremental requests since the last reset, for replay
+    this.groupingReset = {}; // last resetGrouping payload (strategy, aliases), for replay
+    this.nextId = 1;
+
+    if (workerUrl && typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerFailure(event.message || 'error');
+        this.worker.onmessageerror = () => this.handleWorkerFailure('messageerror');
+      } catch (error) {
+        window.themeLogger?.warn('Product worker unavailable, using main thread:', error);
+        this.worker = null;
+      }
+    }
+  }
+
+  /**
+   * Whether work currently runs off the main thread
+   */
+  get isWorkerActive() {
+    return !!this.worker;
+  }
+
+  /**
+   * Send a message to the worker (or run it locally)
+   * @returns {Promise<*>} - Handler result
+   */
+  run(type, payload = {}) {
+    if (type === 'resetGrouping') {
+      this.groupingLog = [];
+      this.groupingReset = payload;
+    }
+
+    if (!this.worker) {
+      try {
+        return Promise.resolve(this.runLocally(type, payload));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const id = this.nextId++;
+    if (type === 'groupIncremental') {
+      this.groupingLog.push({ id, payload });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, payload, resolve, reject });
+      try {
+        this.worker.postMessage({ id, type, payload });
+      } catch (error) {
+        // DataCloneError or a terminated worker
+        this.handleWorkerFailure(error.message);
+      }
+    });
+  }
+
+  runLocally(type, payload) {
+    if (!this.localHandlers) {
+      this.localHandlers = createMessageHandlers();
+    }
+    const handler = this.localHandlers[type];
+    if (!handler) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    return handler(payload);
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message?.id);
+    if (!request) {
+      return;
+    }
+
+    this.pending.delete(message.id);
+    if (message.ok) {
+      request.resolve(message.result);
+    } else {
+      request.reject(new Error(message.error));
+    }
+  }
+
+  /**
+   * Switch to the main thread: rebuild grouping state from completed pages,
+   * then answer every pending request locally in order
+   */
+  handleWorkerFailure(reason) {
+    if (!this.worker) {
+      return;
+    }
+
+    window.themeLogger?.warn('Product worker failed, falling back to main thread:', reason);
+    this.worker.terminate();
+    this.worker = null;
+
+    this.localHandlers = createMessageHandlers();
+    this.localHandlers.resetGrouping(this.groupingReset);
+    this.groupingLog
+      .filter(({ id }) => !this.pending.has(id))
+      .forEach(({ payload }) => this.localHandlers.groupIncremental(payload));
+    this.groupingLog = [];
+
+    const pending = [...this.pending.entries()].sort(([a], [b]) => a - b);
+    this.pending.clear();
+    pending.forEach(([, request]) => {
+      try {
+        request.resolve(this.runLocally(request.type, request.payload));
+      } catch (error) {
+        request.reject(error);
+      }
+    });
+  }
+
+  groupAll(products, strategy, aliases = null) {
+    return this.run('groupAll', { products, strategy, aliases });
+  }
+
+  groupIncremental(products, offset = 0) {
+    return this.run('groupIncremental', { products, offset });
+  }
+
+  /**
+   * Start a new grouping run
+   * @param {string} strategy - Grouping strategy name (grouping/strategies.js)
+   * @param {Object} aliases - Alias table from parseGroupingAliases() (optional)
+   */
+  resetGrouping(strategy, aliases = null) {
+    return this.run('resetGrouping', { strategy, aliases });
+  }
+
+  applyFilters(products, filterParams) {
+    return this.run('applyFilters', { products, filterParams });
+  }
+
+  /**
+   * @param {Array} filters - compileSearchQuery().filters (grouping/search-query.js)
+   */
+  applySearchFilters(products, filters) {
+    return this.run('applySearchFilters', { products, filters });
+  }
+
+  /**
+   * @param {Object} hints - compileSearchQuery().hints, e.g. { artist: 'miles davis' }
+   */
+  sortByRelevance(products, searchTerms, hints = null) {
+    return this.run('sortByRelevance', { products, searchTerms, hints });
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
+
+export default ProductWorkerClient;
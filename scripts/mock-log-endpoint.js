@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Mock Log Endpoint
+ * Local receiver for themeLogger's log transport (assets/core/log-transport.js).
+ * Prints each batch and flags payloads that don't match the schema.
+ *
+ * Usage: npm run mock:logs [-- --port 8787]
+ * Then set Theme Settings > Diagnostics > Log endpoint to http://localhost:8787/logs
+ */
+
+import { createServer } from 'http';
+
+const SCHEMA_VERSION = 1;
+const LEVELS = ['warn', 'error'];
+
+const portIndex = process.argv.indexOf('--port');
+const port = portIndex > -1 ? Number(process.argv[portIndex + 1]) : 8787;
+
+/**
+ * Schema problems in a payload, empty when it's valid
+ */
+function validatePayload(payload) {
+  const problems = [];
+
+  if (payload?.schema !== SCHEMA_VERSION) {
+    problems.push(`schema should be ${SCHEMA_VERSION}, got ${payload?.schema}`);
+  }
+  if (!payload?.page?.url) {
+    problems.push('page.url is missing');
+  }
+  if (!Array.isArray(payload?.entries) || payload.entries.length === 0) {
+    problems.push('entries should be a non-empty array');
+    return problems;
+  }
+
+  payload.entries.forEach((entry, index) => {
+    if (!LEVELS.includes(entry.level)) {
+      problems.push(`entries[${index}].level should be warn or error, got ${entry.level}`);
+    }
+    ['component', 'message', 'details'].forEach((field) => {
+      if (typeof entry[field] !== 'string') {
+        problems.push(`entries[${index}].${field} should be a string`);
+      }
+    });
+    if (!Number.isInteger(entry.count) || entry.count < 1) {
+      problems.push(`entries[${index}].count should be a positive integer`);
+    }
+    if (typeof entry.context !== 'object' || entry.context === null) {
+      problems.push(`entries[${index}].context should be an object`);
+    }
+  });
+
+  return problems;
+}
+
+function printPayload(payload) {
+  console.log(`\n📦 ${payload.sentAt} ${payload.page.pageType || ''} ${payload.page.url}`);
+  console.log(`   session ${payload.page.sessionId || '-'}`);
+
+  payload.entries.forEach((entry) => {
+    const icon = entry.level === 'error' ? '❌' : '⚠️ ';
+    const repeats = entry.count > 1 ? ` (×${entry.count})` : '';
+    console.log(`   ${icon} [${entry.component}] ${entry.message}${repeats}`);
+
+    const context = Object.entries(entry.context)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+      .join(' ');
+    if (context) {
+      console.log(`      ${context}`);
+    }
+  });
+}
+
+const server = createServer((request, response) => {
+  // Beacons are simple requests, but fetch fallbacks from other origins may preflight
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204).end();
+    return;
+  }
+  if (request.method !== 'POST') {
+    response.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      console.log(`\n❌ Body is not JSON: ${body.slice(0, 200)}`);
+      response.writeHead(400).end();
+      return;
+    }
+
+    const problems = validatePayload(payload);
+    if (problems.length > 0) {
+      console.log('\n❌ Payload does not match the schema:');
+      problems.forEach((problem) => console.log(`   - ${problem}`));
+      response.writeHead(400).end();
+      return;
+    }
+
+    printPayload(payload);
+    response.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🛰️  Mock log endpoint listening on http://localhost:${port}/logs`);
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  normalizeCatalogueNumber,
+  parseCatalogueNumber,
+} from '../../assets/grouping/catalogue-numbers.js';
+
+describe('parseCatalogueNumber', () => {
+  [
+    ['SHVL804', 'SHVL804'],
+    ['blp-4003', 'BLP4003'],
+    ['PCS.7027', 'PCS7027'],
+    ['ECM1064', 'ECM1064'],
+    ['CBS62345A', 'CBS62345A'],
+    ['  SHVL-804  ', 'SHVL804'],
+  ].forEach(([query, normalized]) => {
+    it(`${JSON.stringify(query)} -> ${normalized}`, () => {
+      assert.equal(parseCatalogueNumber(query)?.normalized, normalized);
+    });
+  });
+
+  it('lists the spellings to look up', () => {
+    assert.deepEqual(parseCatalogueNumber('shvl804').variants, [
+      'shvl804',
+      'SHVL 804',
+      'SHVL-804',
+      'SHVL804',
+    ]);
+  });
+
+  [
+    'abbey road 1969',
+    'Blink 182',
+    'Sum 41',
+    'Level 42',
+    'UB40',
+    'Catch 22',
+    'SHVL 804',
+    'Miles Davis',
+    '',
+    null,
+  ].forEach((query) => {
+    it(`${JSON.stringify(query)} is not a catalogue number`, () => {
+      assert.equal(parseCatalogueNumber(query), null);
+    });
+  });
+});
+
+describe('normalizeCatalogueNumber', () => {
+  it('ignores case, spaces, hyphens, dots and slashes', () => {
+    ['PCS 7027', 'PCS-7027', 'pcs7027', 'PCS.7027', 'PCS/7027'].forEach((value) => {
+      assert.equal(normalizeCatalogueNumber(value), 'PCS7027');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FORMAT_RULES, getFormat } from '../../assets/grouping/format.js';
+import { loadFixture, readThemeFile } from '../helpers.js';
+
+const { cases } = loadFixture('formats.json');
+
+/**
+ * The display_format ladder of snippets/product-group-card.liquid, in source order
+ */
+function readLiquidLadder() {
+  const snippet = readThemeFile('snippets/product-group-card.liquid');
+  const start = snippet.indexOf("assign display_format = ''");
+  const end = snippet.indexOf('endif', snippet.indexOf("assign display_format = 'VHS'"));
+  const ladder = snippet.slice(start, end);
+  return {
+    tokens: [...ladder.matchAll(/type_lower contains '([^']+)'/g)].map((match) => match[1]),
+    formats: [...ladder.matchAll(/assign display_format = '([^']+)'/g)].map((match) => match[1]),
+  };
+}
+
+describe('getFormat', () => {
+  cases.forEach(({ productType, format, note }) => {
+    it(`"${productType}" -> "${format}"${note ? ` (${note})` : ''}`, () => {
+      assert.equal(getFormat(productType), format);
+    });
+  });
+
+  it('returns "" without a product type', () => {
+    assert.equal(getFormat(undefined), '');
+    assert.equal(getFormat(null), '');
+  });
+});
+
+describe('FORMAT_RULES', () => {
+  it('tests the same tokens in the same order as the Liquid ladder', () => {
+    const tokens = FORMAT_RULES.flatMap((rule) => [
+      rule.token,
+      ...(rule.formats || []).flatMap((refinement) => refinement.tokens),
+    ]);
+    assert.deepEqual(tokens, readLiquidLadder().tokens);
+  });
+
+  it('assigns the same formats in the same order as the Liquid ladder', () => {
+    const formats = FORMAT_RULES.flatMap((rule) => [
+      ...(rule.formats || []).map((refinement) => refinement.format),
+      rule.format,
+    ]);
+    assert.deepEqual(formats, readLiquidLadder().formats);
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { GRADE_SPELLINGS, parseGrade } from '../../assets/grouping/grading.js';
+import { readThemeFile } from '../helpers.js';
+
+/**
+ * The spelling:grade table of snippets/condition-grade.liquid
+ */
+function readLiquidSpellings() {
+  const snippet = readThemeFile('snippets/condition-grade.liquid');
+  const table = snippet.match(/assign grade_spellings = '([^']+)'/)[1];
+  return Object.fromEntries(table.split('|').map((entry) => entry.split(':')));
+}
+
+describe('parseGrade', () => {
+  [
+    ['M', 'M'],
+    ['Sealed', 'M'],
+    ['Mint (M)', 'M'],
+    ['NM or M-', 'NM'],
+    ['NM Or M-', 'NM'],
+    ['NM/M-', 'NM'],
+    ['Near Mint (NM or M-)', 'NM'],
+    ['VG+', 'VG+'],
+    ['VG Plus', 'VG+'],
+    ['Very Good+', 'VG+'],
+    ['Very Good Plus (VG+)', 'VG+'],
+    ['EX', 'VG+'],
+    ['Excellent', 'VG+'],
+    ['VG', 'VG'],
+    ['VG-', 'VG'],
+    ['VG Minus', 'VG'],
+    ['Good Plus', 'G+'],
+    ['G-', 'G'],
+    ['Fair', 'F'],
+    ['Poor (P)', 'P'],
+  ].forEach(([value, grade]) => {
+    it(`"${value}" -> ${grade}`, () => {
+      assert.equal(parseGrade(value)?.grade, grade);
+    });
+  });
+
+  ['', 'Generic', 'No Cover', undefined].forEach((value) => {
+    it(`"${value}" is ungraded`, () => {
+      assert.equal(parseGrade(value), null);
+    });
+  });
+});
+
+describe('GRADE_SPELLINGS', () => {
+  it('matches the table in snippets/condition-grade.liquid', () => {
+    assert.deepEqual(readLiquidSpellings(), GRADE_SPELLINGS);
+  });
+});
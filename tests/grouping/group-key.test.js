@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildGroupKey, DEFAULT_GROUPING_STRATEGY } from '../../assets/grouping/index.js';
+import { buildProduct, loadFixture } from '../helpers.js';
+
+const { cases } = loadFixture('group-keys.json');
+
+describe('buildGroupKey', () => {
+  cases.forEach(({ product, key }) => {
+    const { artist, album, productType } = product;
+    it(`${artist} / ${album} / ${productType} -> ${key}`, () => {
+      assert.equal(buildGroupKey(buildProduct(product)), key);
+    });
+  });
+
+  it('defaults to the artist|album|format strategy', () => {
+    const product = buildProduct({ artist: 'Can', album: 'Tago Mago', productType: 'CD' });
+    assert.equal(buildGroupKey(product), buildGroupKey(product, DEFAULT_GROUPING_STRATEGY));
+  });
+
+  it('falls back to the default strategy for unknown strategy names', () => {
+    const product = buildProduct({ artist: 'Can', album: 'Tago Mago', productType: 'CD' });
+    assert.equal(buildGroupKey(product, 'no_such_strategy'), 'can|tago mago|CD');
+  });
+
+  it('has no key for products without grouping metafields', () => {
+    assert.equal(buildGroupKey(buildProduct({ productType: 'Vinyl LP' })), null);
+    assert.equal(buildGroupKey({}), null);
+  });
+});
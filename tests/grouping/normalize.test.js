@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  foldUnicode,
+  normalizeAlbumTitle,
+  normalizeArtistName,
+  normalizeGroupingText,
+  parseGroupingAliases,
+  stripEditionSuffixes,
+} from '../../assets/grouping/normalize.js';
+
+describe('foldUnicode', () => {
+  [
+    ['Björk', 'bjork'],
+    ['Sigur Rós', 'sigur ros'],
+    ['Mötley Crüe', 'motley crue'],
+    ['Motörhead', 'motorhead'],
+    ['Mø', 'mo'],
+    ['Þeyr', 'theyr'],
+    ['Die Ärzte', 'die arzte'],
+    ['Guns N’ Roses', "guns n' roses"],
+  ].forEach(([value, folded]) => {
+    it(`"${value}" -> "${folded}"`, () => {
+      assert.equal(foldUnicode(value), folded);
+    });
+  });
+
+  it('returns "" for missing values', () => {
+    assert.equal(foldUnicode(undefined), '');
+    assert.equal(foldUnicode(null), '');
+  });
+});
+
+describe('normalizeGroupingText', () => {
+  describe('articles', () => {
+    [
+      ['Beatles, The', 'the beatles'],
+      ['The Beatles', 'the beatles'],
+      ['Rita Mitsouko, Les', 'les rita mitsouko'],
+      ['Flock Of Seagulls, A', 'a flock of seagulls'],
+      ['Earth, Wind & Fire', 'earth wind and fire'],
+    ].forEach(([value, normalized]) => {
+      it(`"${value}" -> "${normalized}"`, () => {
+        assert.equal(normalizeGroupingText(value), normalized);
+      });
+    });
+  });
+
+  describe('"&" and "and"', () => {
+    [
+      ['Simon & Garfunkel', 'simon and garfunkel'],
+      ['Simon and Garfunkel', 'simon and garfunkel'],
+      ['Simon&Garfunkel', 'simon and garfunkel'],
+      ['Prince & The Revolution', 'prince and the revolution'],
+    ].forEach(([value, normalized]) => {
+      it(`"${value}" -> "${normalized}"`, () => {
+        assert.equal(normalizeGroupingText(value), normalized);
+      });
+    });
+  });
+
+  describe('punctuation', () => {
+    [
+      ["Guns N' Roses", 'guns n roses'],
+      ['Guns N’ Roses', 'guns n roses'],
+      ['AC/DC', 'ac dc'],
+      ['Sgt. Pepper’s Lonely Hearts Club Band', 'sgt peppers lonely hearts club band'],
+      ['  Run-D.M.C.  ', 'run d m c'],
+      ['!!!', ''],
+    ].forEach(([value, normalized]) => {
+      it(`"${value}" -> "${normalized}"`, () => {
+        assert.equal(normalizeGroupingText(value), normalized);
+      });
+    });
+  });
+});
+
+describe('stripEditionSuffixes', () => {
+  [
+    ['abbey road (remastered)', 'abbey road'],
+    ['abbey road (remastered) [deluxe edition]', 'abbey road'],
+    ['revolver - 2009 remaster', 'revolver'],
+    ['london calling (legacy edition)', 'london calling'],
+    ['live at leeds (live)', 'live at leeds (live)'],
+    ['(deluxe edition)', '(deluxe edition)'],
+  ].forEach(([value, stripped]) => {
+    it(`"${value}" -> "${stripped}"`, () => {
+      assert.equal(stripEditionSuffixes(value), stripped);
+    });
+  });
+});
+
+describe('normalizeArtistName / normalizeAlbumTitle', () => {
+  it('strips edition suffixes from albums only', () => {
+    assert.equal(normalizeAlbumTitle('Nevermind (Deluxe Edition)'), 'nevermind');
+    assert.equal(normalizeArtistName('Nirvana (Deluxe Edition)'), 'nirvana deluxe edition');
+  });
+
+  it('resolves aliases after normalizing', () => {
+    const aliases = parseGroupingAliases({
+      artists: { 'Prince & The Revolution': 'Prince' },
+      albums: { 'Sgt Pepper': "Sgt. Pepper's Lonely Hearts Club Band" },
+    });
+    assert.equal(normalizeArtistName('Prince and the Revolution', aliases), 'prince');
+    assert.equal(
+      normalizeAlbumTitle('Sgt. Pepper (Remastered)', aliases),
+      'sgt peppers lonely hearts club band',
+    );
+  });
+});
+
+describe('parseGroupingAliases', () => {
+  const table = { artists: { 'Beatles, The': 'The Beatles', Bjork: 'Björk' } };
+
+  it('normalizes keys and values, dropping aliases that normalize to themselves', () => {
+    assert.deepEqual(parseGroupingAliases(table), { artists: {}, albums: {} });
+    assert.deepEqual(parseGroupingAliases({ artists: { Wings: 'Paul McCartney & Wings' } }), {
+      artists: { wings: 'paul mccartney and wings' },
+      albums: {},
+    });
+  });
+
+  it('reads JSON text and the JSON-encoded text of the theme setting', () => {
+    const source = { albums: { Pepper: "Sgt. Pepper's" } };
+    const expected = { artists: {}, albums: { pepper: 'sgt peppers' } };
+    assert.deepEqual(parseGroupingAliases(JSON.stringify(source)), expected);
+    assert.deepEqual(parseGroupingAliases(JSON.stringify(JSON.stringify(source))), expected);
+  });
+
+  it('ignores invalid JSON and non-string values', () => {
+    assert.deepEqual(parseGroupingAliases('{artists:'), { artists: {}, albums: {} });
+    assert.deepEqual(parseGroupingAliases({ artists: { Wings: 1 } }), { artists: {}, albums: {} });
+    assert.deepEqual(parseGroupingAliases(''), { artists: {}, albums: {} });
+  });
+});
@@ -0,0 +1,277 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  compileSearchQuery,
+  formatSearchTerm,
+  matchesSearchFilters,
+  parseSearchQuery,
+  quoteSearchTerm,
+} from '../../assets/grouping/search-query.js';
+import { buildProduct, readThemeFile } from '../helpers.js';
+
+/**
+ * The chip strings as sections/main-search.liquid renders them ({{ name }} -> [name])
+ */
+function loadChipStrings() {
+  const { chips } = JSON.parse(readThemeFile('locales/en.default.json')).templates.search;
+  return Object.fromEntries(
+    Object.entries(chips).map(([key, value]) => [key, value.replace(/\{\{ (\w+) \}\}/g, '[$1]')]),
+  );
+}
+
+/**
+ * The details of a query's terms, without raw text and offsets
+ */
+function parseTerms(query) {
+  return parseSearchQuery(query).terms.map(({ raw: _raw, index: _index, ...term }) => term);
+}
+
+const kindOfBlue = buildProduct({
+  artist: 'Miles Davis',
+  album: 'Kind Of Blue',
+  productType: 'Vinyl LP',
+  title: 'Miles Davis - Kind Of Blue',
+  vendor: 'Columbia',
+  computed_release_year: { value: '1959' },
+  computed_master_label: { value: 'Columbia' },
+  media_condition: { value: 'Very Good Plus (VG+)' },
+  tags: ['Jazz'],
+});
+
+const bitchesBrew = buildProduct({
+  artist: 'Miles Davis',
+  album: 'Bitches Brew',
+  productType: 'CD',
+  title: 'Miles Davis - Bitches Brew (Compilation Remaster)',
+  vendor: 'Sony',
+  released: { value: '1970-03-30' },
+  media_condition: { value: 'Near Mint (NM or M-)' },
+});
+
+describe('parseSearchQuery', () => {
+  it('keeps plain words and phrases as text', () => {
+    const { text, terms } = parseSearchQuery('kind of "blue in green"');
+    assert.equal(text, 'kind of "blue in green"');
+    assert.deepEqual(
+      terms.map((term) => [term.value, term.phrase]),
+      [
+        ['kind', false],
+        ['of', false],
+        ['blue in green', true],
+      ],
+    );
+  });
+
+  it('reads quoted field values', () => {
+    assert.deepEqual(parseTerms('artist:"Miles Davis"'), [
+      { field: 'artist', value: 'Miles Davis', negated: false, phrase: true },
+    ]);
+  });
+
+  [
+    ['year:1965', { min: 1965, max: 1965 }],
+    ['year:1959..1965', { min: 1959, max: 1965 }],
+    ['year:1965..1959', { min: 1959, max: 1965 }],
+    ['year:1960..', { min: 1960, max: null }],
+    ['year:..1965', { min: null, max: 1965 }],
+    ['year:>=1960', { min: 1960, max: null }],
+    ['year:>1960', { min: 1961, max: null }],
+    ['year:<=1965', { min: null, max: 1965 }],
+    ['year:<1970', { min: null, max: 1969 }],
+    ['year:1960s', { min: 1960, max: 1969 }],
+  ].forEach(([query, range]) => {
+    it(`${query} -> ${JSON.stringify(range)}`, () => {
+      const [term] = parseSearchQuery(query).terms;
+      assert.equal(term.field, 'year');
+      assert.deepEqual({ min: term.min, max: term.max }, range);
+    });
+  });
+
+  [
+    ['condition:VG+', { operator: '=', grade: 'VG+' }],
+    ['condition:>=VG+', { operator: '>=', grade: 'VG+' }],
+    ['condition:<NM', { operator: '<', grade: 'NM' }],
+    ['condition:"Near Mint"', { operator: '=', grade: 'NM' }],
+  ].forEach(([query, details]) => {
+    it(`${query} -> ${JSON.stringify(details)}`, () => {
+      const [term] = parseSearchQuery(query).terms;
+      assert.equal(term.field, 'condition');
+      assert.deepEqual({ operator: term.operator, grade: term.grade }, details);
+    });
+  });
+
+  it('reads formats as their display format, or as typed', () => {
+    assert.deepEqual(
+      parseSearchQuery('format:cd format:"7 inch" format:vinyl').terms.map((term) => term.format),
+      ['CD', '7"', 'vinyl'],
+    );
+  });
+
+  it('reads field names in any case', () => {
+    assert.equal(parseSearchQuery('ARTIST:miles').terms[0].field, 'artist');
+  });
+
+  it('negates words, phrases and field terms', () => {
+    assert.deepEqual(
+      parseTerms('-compilation -"live at" -artist:kenny').map((term) => [
+        term.field,
+        term.value,
+        term.negated,
+      ]),
+      [
+        [null, 'compilation', true],
+        [null, 'live at', true],
+        ['artist', 'kenny', true],
+      ],
+    );
+    assert.equal(parseSearchQuery('blue -compilation').text, 'blue');
+  });
+
+  [
+    ['ac:dc', 'ac:dc'],
+    ['foo:bar', 'foo:bar'],
+    ['year:sixties', 'year:sixties'],
+    ['condition:great', 'condition:great'],
+    ['artist:', 'artist:'],
+  ].forEach(([query, value]) => {
+    it(`${query} is searched as typed`, () => {
+      const { text, terms } = parseSearchQuery(query);
+      assert.deepEqual(
+        terms.map((term) => [term.field, term.value]),
+        [[null, value]],
+      );
+      assert.equal(text, value);
+    });
+  });
+
+  it('records where each term was typed', () => {
+    const query = 'blue  artist:"Miles Davis" -live';
+    parseSearchQuery(query).terms.forEach((term) => {
+      assert.equal(query.slice(term.index, term.index + term.raw.length), term.raw);
+    });
+  });
+
+  it('ignores a lone minus and empty queries', () => {
+    assert.deepEqual(parseSearchQuery('-').terms, []);
+    assert.deepEqual(parseSearchQuery(''), { text: '', terms: [] });
+    assert.deepEqual(parseSearchQuery(null), { text: '', terms: [] });
+  });
+});
+
+describe('compileSearchQuery', () => {
+  it('searches the artist as a phrase and filters every field term', () => {
+    const compiled = compileSearchQuery(
+      parseSearchQuery('kind of blue artist:"miles davis" year:1959 -compilation'),
+    );
+    assert.equal(compiled.query, 'kind of blue "miles davis" NOT compilation');
+    assert.equal(compiled.text, 'kind of blue miles davis');
+    assert.deepEqual(
+      compiled.filters.map((term) => [term.field, term.value, term.negated]),
+      [
+        ['artist', 'miles davis', false],
+        ['year', '1959', false],
+        [null, 'compilation', true],
+      ],
+    );
+    assert.deepEqual(compiled.hints, { artist: 'miles davis' });
+  });
+
+  it('filters labels without searching them', () => {
+    const compiled = compileSearchQuery(parseSearchQuery('label:"blue note" jazz'));
+    assert.equal(compiled.query, 'jazz');
+    assert.deepEqual(compiled.hints, { label: 'blue note' });
+  });
+
+  it('quotes words that would read as syntax', () => {
+    assert.equal(compileSearchQuery(parseSearchQuery('ac:dc')).query, '"ac:dc"');
+    assert.equal(compileSearchQuery(parseSearchQuery('"so what"')).query, '"so what"');
+  });
+
+  it('leaves negated field terms out of the search text and hints', () => {
+    const compiled = compileSearchQuery(parseSearchQuery('-artist:kenny blue'));
+    assert.equal(compiled.query, 'blue');
+    assert.deepEqual(compiled.hints, {});
+    assert.equal(compiled.filters.length, 1);
+  });
+
+  it('compiles nothing from nothing', () => {
+    assert.deepEqual(compileSearchQuery(null), { query: '', text: '', filters: [], hints: {} });
+  });
+});
+
+describe('matchesSearchFilters', () => {
+  const matches = (query) =>
+    [kindOfBlue, bitchesBrew]
+      .filter((product) =>
+        matchesSearchFilters(product, compileSearchQuery(parseSearchQuery(query)).filters),
+      )
+      .map((product) => product.title);
+
+  [
+    ['artist:"miles davis"', [kindOfBlue.title, bitchesBrew.title]],
+    ['-artist:"miles davis"', []],
+    ['label:columbia', [kindOfBlue.title]],
+    ['year:1959', [kindOfBlue.title]],
+    ['year:1960s', []],
+    ['year:1970s', [bitchesBrew.title]],
+    ['year:..1965', [kindOfBlue.title]],
+    ['-year:1959', [bitchesBrew.title]],
+    ['format:CD', [bitchesBrew.title]],
+    ['condition:>=NM', [bitchesBrew.title]],
+    ['condition:VG+', [kindOfBlue.title]],
+    ['condition:<NM', [kindOfBlue.title]],
+    ['-compilation', [kindOfBlue.title]],
+    ['-jazz', [bitchesBrew.title]],
+    ['kind of blue', [kindOfBlue.title, bitchesBrew.title]],
+  ].forEach(([query, titles]) => {
+    it(`${query} -> ${titles.length} match(es)`, () => {
+      assert.deepEqual(matches(query), titles);
+    });
+  });
+
+  it('matches everything without filters', () => {
+    assert.ok(matchesSearchFilters(kindOfBlue, []));
+    assert.ok(matchesSearchFilters(kindOfBlue, undefined));
+  });
+});
+
+describe('formatSearchTerm', () => {
+  const strings = loadChipStrings();
+
+  [
+    ['artist:"miles davis"', 'Artist: miles davis'],
+    ['label:"blue note"', 'Label: blue note'],
+    ['year:1965', 'Year: 1965'],
+    ['year:1959..1965', 'Year: 1959–1965'],
+    ['year:..1965', 'Year: up to 1965'],
+    ['year:1960..', 'Year: 1960 on'],
+    ['condition:VG+', 'Condition: VG+'],
+    ['condition:>=VG+', 'Condition: at least VG+'],
+    ['condition:>VG', 'Condition: better than VG'],
+    ['condition:<=VG+', 'Condition: at most VG+'],
+    ['condition:<NM', 'Condition: below NM'],
+    ['-compilation', 'Not: compilation'],
+    ['-artist:kenny', 'Not Artist: kenny'],
+    ['blue', 'blue'],
+  ].forEach(([query, label]) => {
+    it(`${query} -> ${label}`, () => {
+      assert.equal(formatSearchTerm(parseSearchQuery(query).terms[0], strings), label);
+    });
+  });
+});
+
+describe('quoteSearchTerm', () => {
+  [
+    ['Miles Davis', '"Miles Davis"'],
+    ['Sly & The Family Stone', '"Sly & The Family Stone"'],
+    ['AC:DC', '"AC:DC"'],
+    ['Love OR Hate (Remix)', '"Love OR Hate (Remix)"'],
+    ['"Weird Al" Yankovic', '"\\"Weird Al\\" Yankovic"'],
+    ['Back\\Slash', '"Back\\\\Slash"'],
+  ].forEach(([value, quoted]) => {
+    it(`${value} -> ${quoted}`, () => {
+      assert.equal(quoteSearchTerm(value), quoted);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  buildSearchVocabulary,
+  getEditDistance,
+  matchesWordFuzzily,
+  suggestSearchCorrection,
+  tokenizeSearchText,
+} from '../../assets/grouping/spelling.js';
+import { sortByRelevance } from '../../assets/workers/product-data.js';
+import { buildProduct, loadFixture } from '../helpers.js';
+
+const { products: productFixtures, suggestions, relevance } = loadFixture('spelling.json');
+const products = productFixtures.map(buildProduct);
+
+describe('getEditDistance', () => {
+  [
+    ['jimi', 'jimi', 0],
+    ['jimmi', 'jimi', 1],
+    ['bleu', 'blue', 1],
+    ['motorhaed', 'motorhead', 1],
+    ['hendirx', 'hendrix', 1],
+    ['zeppelin', 'hendrix', 6],
+  ].forEach(([a, b, distance]) => {
+    it(`${a} / ${b} -> ${distance}`, () => {
+      assert.equal(getEditDistance(a, b), distance);
+    });
+  });
+
+  it('stops at max + 1', () => {
+    assert.equal(getEditDistance('zeppelin', 'hendrix', 2), 3);
+  });
+});
+
+describe('matchesWordFuzzily', () => {
+  it('matches folded words within the typo allowance', () => {
+    assert.ok(matchesWordFuzzily('motorhaed', tokenizeSearchText('Motörhead')));
+    assert.ok(matchesWordFuzzily('agaetis', tokenizeSearchText('Ágætis Byrjun')));
+  });
+
+  it('keeps short words exact', () => {
+    assert.ok(!matchesWordFuzzily('tom', tokenizeSearchText('Tim Buckley')));
+  });
+});
+
+describe('suggestSearchCorrection', () => {
+  const vocabulary = buildSearchVocabulary(products);
+
+  suggestions.forEach(({ search, suggestion }) => {
+    it(`${search} -> ${suggestion}`, () => {
+      assert.equal(suggestSearchCorrection(search, vocabulary), suggestion);
+    });
+  });
+});
+
+describe('sortByRelevance with typos and accents', () => {
+  relevance.forEach(({ search, first }) => {
+    it(`${search} -> ${first}`, () => {
+      assert.equal(sortByRelevance(products, search)[0].title, first);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseTracklist } from '../../assets/grouping/tracklist.js';
+
+/**
+ * [position, title, duration] per parsed track
+ */
+function summarize(text) {
+  return parseTracklist(text).map((track) => [track.position, track.title, track.duration]);
+}
+
+describe('parseTracklist positions', () => {
+  it('reads side positions with or without punctuation', () => {
+    assert.deepEqual(summarize('A1. So What (9:22)\nA2 - Freddie Freeloader - 9:46\nB1 Blue'), [
+      ['A1', 'So What', '9:22'],
+      ['A2', 'Freddie Freeloader', '9:46'],
+      ['B1', 'Blue', ''],
+    ]);
+  });
+
+  it('reads disc positions before a space', () => {
+    assert.deepEqual(summarize('1-03 Blue In Green 5:37'), [['1-03', 'Blue In Green', '5:37']]);
+  });
+
+  it('reads punctuated numbers', () => {
+    assert.deepEqual(summarize('1. Intro 1:02\n12) Outro\n3: Interlude'), [
+      ['1', 'Intro', '1:02'],
+      ['12', 'Outro', ''],
+      ['3', 'Interlude', ''],
+    ]);
+  });
+
+  it('reads bare numbers in a list numbered throughout', () => {
+    assert.deepEqual(summarize('1 So What\n2 Freddie Freeloader\nSide B\n1 Blue In Green'), [
+      ['1', 'So What', ''],
+      ['2', 'Freddie Freeloader', ''],
+      ['1', 'Blue In Green', ''],
+    ]);
+  });
+
+  [
+    ['99 Problems', [['', '99 Problems', '']]],
+    ['7 Seconds - 3:00', [['', '7 Seconds', '3:00']]],
+    ['2 + 2 = 5', [['', '2 + 2 = 5', '']]],
+    [
+      'A1. Intro\nA2. 99 Problems',
+      [
+        ['A1', 'Intro', ''],
+        ['A2', '99 Problems', ''],
+      ],
+    ],
+    [
+      '1 Intro\n99 Problems',
+      [
+        ['', '1 Intro', ''],
+        ['', '99 Problems', ''],
+      ],
+    ],
+  ].forEach(([text, tracks]) => {
+    it(`keeps a leading number in the title: ${JSON.stringify(text)}`, () => {
+      assert.deepEqual(summarize(text), tracks);
+    });
+  });
+
+  it('keeps a lone word as a title', () => {
+    assert.deepEqual(summarize('Intro'), [['', 'Intro', '']]);
+  });
+});
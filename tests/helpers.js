@@ -0,0 +1,32 @@
+/**
+ * Test helpers shared by the Node test suites (npm test)
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Read a JSON fixture from tests/fixtures
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Read a theme file (snippets, sections...) relative to the repository root
+ */
+export function readThemeFile(path) {
+  return readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+}
+
+/**
+ * A Storefront API product node with the grouping fields under their response aliases
+ * (see assets/api/graphql-fragments.js)
+ */
+export function buildProduct({ artist, album, productType, ...rest } = {}) {
+  return {
+    productType,
+    artist: artist === undefined ? null : { value: artist },
+    title_metafield: album === undefined ? null : { value: album },
+    ...rest,
+  };
+}
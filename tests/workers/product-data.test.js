@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  applyClientSideFilters,
+  createGroupingState,
+  createMessageHandlers,
+  groupProductsIncremental,
+} from '../../assets/workers/product-data.js';
+import { buildProduct } from '../helpers.js';
+
+/**
+ * A catalogue product node with the fields the filters read
+ */
+function buildCopy(id, { condition, year, price = '10.00', size, ...rest } = {}) {
+  return buildProduct({
+    id: `gid://shopify/Product/${id}`,
+    handle: `copy-${id}`,
+    title: `Copy ${id}`,
+    availableForSale: true,
+    media_condition: condition ? { value: condition } : null,
+    computed_release_year: year ? { value: String(year) } : null,
+    priceRange: { minVariantPrice: { amount: price, currencyCode: 'GBP' } },
+    variants: {
+      edges: size ? [{ node: { selectedOptions: [{ name: 'Record Size', value: size }] } }] : [],
+    },
+    ...rest,
+  });
+}
+
+const catalogue = [
+  buildCopy(1, {
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    productType: 'Vinyl LP',
+    vendor: 'Columbia',
+    tags: ['Jazz'],
+    computed_master_label: { value: 'Columbia' },
+    condition: 'Near Mint (NM or M-)',
+    year: 1959,
+    price: '30.00',
+    size: '12"',
+  }),
+  buildCopy(2, {
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    productType: 'CD',
+    vendor: 'Sony',
+    tags: ['Jazz'],
+    computed_master_label: { value: 'Sony Music Entertainment, Inc.' },
+    condition: 'Very Good Plus (VG+)',
+    year: 1997,
+    price: '8.00',
+  }),
+  buildCopy(3, {
+    artist: 'The Beatles',
+    album: 'Abbey Road',
+    productType: 'Vinyl LP',
+    vendor: 'Apple',
+    tags: ['Rock'],
+    computed_master_label: { value: 'Apple' },
+    condition: 'Very Good (VG)',
+    year: 1969,
+    price: '25.00',
+    size: '12"',
+    availableForSale: false,
+  }),
+  buildCopy(4, {
+    artist: 'The Beatles',
+    album: 'Hey Jude',
+    productType: '7" Single',
+    vendor: 'Apple',
+    tags: ['Rock'],
+    year: 1968,
+    price: '5.00',
+    size: '7"',
+  }),
+];
+
+/**
+ * Ids of the products passing a set of filter params
+ */
+function filterIds(filterParams) {
+  return applyClientSideFilters(catalogue, filterParams).map((product) =>
+    Number(product.id.split('/').pop()),
+  );
+}
+
+describe('applyClientSideFilters', () => {
+  it('returns the products untouched without active filters', () => {
+    assert.equal(applyClientSideFilters(catalogue, null), catalogue);
+    assert.equal(applyClientSideFilters(catalogue, { productType: null, vendor: '' }), catalogue);
+  });
+
+  [
+    ['product type', { productType: 'Vinyl LPs' }, [1, 3]],
+    ['product types', { productType: ['CD Albums', '7" Singles'] }, [2, 4]],
+    ['label', { label: 'Sony Music Entertainment, Inc.' }, [2]],
+    ['labels', { label: ['Columbia', 'Apple'] }, [1, 3]],
+    ['media condition by grade', { mediaCondition: 'NM' }, [1]],
+    ['media condition without a partial grade match', { mediaCondition: 'VG' }, [3]],
+    ['minimum media condition', { mediaConditionMin: 'VG+' }, [1, 2]],
+    ['vendor', { vendor: ['Apple'] }, [3, 4]],
+    ['tag', { tag: 'Jazz' }, [1, 2]],
+    ['in stock', { available: true }, [1, 2, 4]],
+    ['out of stock', { available: false }, [3]],
+    ['variant option by handle', { variantOptions: { 'record-size': ['12"'] } }, [1, 3]],
+    ['release year range', { releaseYearMin: '1960', releaseYearMax: '1970' }, [3, 4]],
+    ['release decades', { releaseDecade: ['1950', '1990'] }, [1, 2]],
+    ['price range', { priceMin: '6', priceMax: '26' }, [2, 3]],
+    ['several filters at once', { vendor: 'Apple', available: true }, [4]],
+  ].forEach(([name, filterParams, ids]) => {
+    it(name, () => {
+      assert.deepEqual(filterIds(filterParams), ids);
+    });
+  });
+});
+
+describe('groupProductsIncremental', () => {
+  const [kindOfBlueLp, , abbeyRoad, heyJude] = catalogue;
+  const kindOfBlueLpCopy = buildCopy(5, {
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    productType: 'Vinyl LP',
+    condition: 'Mint (M)',
+  });
+  const abbeyRoadCopy = buildCopy(6, {
+    artist: 'The Beatles',
+    album: 'Abbey Road',
+    productType: 'Vinyl LP',
+    condition: 'Good (G)',
+  });
+  const untitled = buildCopy(7, { productType: 'Vinyl LP' });
+
+  it('groups copies of a release and keeps the rest single', () => {
+    const state = createGroupingState();
+    const { items, skippedCount } = groupProductsIncremental(state, [
+      kindOfBlueLp,
+      abbeyRoad,
+      kindOfBlueLpCopy,
+      untitled,
+    ]);
+
+    // The copy is rendered inside the group, so it counts as skipped when its turn comes
+    assert.equal(skippedCount, 1);
+    assert.deepEqual(
+      items.map((item) => [item.type, item.product.id, item.originalIndex]),
+      [
+        ['group', kindOfBlueLp.id, 0],
+        ['single', abbeyRoad.id, 1],
+        ['single', untitled.id, 3],
+      ],
+    );
+    assert.deepEqual(items[0].variantProducts.map((product) => product.id), [kindOfBlueLpCopy.id]);
+    assert.equal(items[0].variantHandles, kindOfBlueLpCopy.handle);
+  });
+
+  it('lists the other copies of a group best grade first', () => {
+    const state = createGroupingState();
+    const worse = buildCopy(8, {
+      artist: 'Miles Davis',
+      album: 'Kind Of Blue',
+      productType: 'Vinyl LP',
+      condition: 'Good (G)',
+    });
+    const [group] = groupProductsIncremental(state, [kindOfBlueLp, worse, kindOfBlueLpCopy]).items;
+    assert.deepEqual(
+      group.variantProducts.map((product) => product.id),
+      [kindOfBlueLpCopy.id, worse.id],
+    );
+  });
+
+  it('skips later copies of a group already rendered', () => {
+    const state = createGroupingState();
+    groupProductsIncremental(state, [kindOfBlueLp, kindOfBlueLpCopy]);
+    const later = buildCopy(9, {
+      artist: 'Miles Davis',
+      album: 'Kind Of Blue',
+      productType: 'Vinyl LP',
+    });
+
+    const { items, skippedCount } = groupProductsIncremental(state, [later, heyJude], 2);
+    assert.equal(skippedCount, 1);
+    assert.deepEqual(
+      items.map((item) => [item.type, item.product.id, item.originalIndex]),
+      [['single', heyJude.id, 3]],
+    );
+    assert.ok(state.renderedProductIds.has(later.id));
+  });
+
+  it('skips products seen on an earlier page', () => {
+    const state = createGroupingState();
+    groupProductsIncremental(state, [heyJude]);
+    const { items, skippedCount } = groupProductsIncremental(state, [heyJude], 1);
+    assert.deepEqual(items, []);
+    assert.equal(skippedCount, 1);
+  });
+
+  it('groups by the state strategy', () => {
+    const state = createGroupingState('release');
+    const cd = catalogue[1];
+    const { items } = groupProductsIncremental(state, [kindOfBlueLp, cd]);
+    assert.deepEqual(items.map((item) => item.type), ['group']);
+  });
+
+  it('starts over after resetGrouping in the message handlers', () => {
+    const handlers = createMessageHandlers();
+    handlers.groupIncremental({ products: [abbeyRoad, abbeyRoadCopy], offset: 0 });
+    assert.equal(handlers.groupIncremental({ products: [abbeyRoad], offset: 0 }).skippedCount, 1);
+
+    handlers.resetGrouping({ strategy: undefined, aliases: null });
+    const { items } = handlers.groupIncremental({
+      products: [abbeyRoad, abbeyRoadCopy],
+      offset: 0,
+    });
+    assert.deepEqual(items.map((item) => item.type), ['group']);
+  });
+});
@@ -24,6 +24,12 @@ function getEntryPoints() {
   entries['components/collection-grouping-enhancer-bundle'] = resolve(__dirname, 'assets/components/collection-grouping-enhancer.js');
   entries['components/predictive-search-bundle'] = resolve(__dirname, 'assets/components/predictive-search.js');
   entries['components/more-from-enhancer-bundle'] = resolve(__dirname, 'assets/components/more-from-enhancer.js');
+  entries['components/product-tracklist-bundle'] = resolve(__dirname, 'assets/components/product-tracklist.js');
+  entries['components/search-query-chips-bundle'] = resolve(__dirname, 'assets/components/search-query-chips.js');
+  entries['components/group-selection-handler-bundle'] = resolve(__dirname, 'assets/group-selection-handler.js');
+  
+  // Worker bundles - loaded with new Worker(), URL passed to components via data attributes
+  entries['workers/product-data-worker-bundle'] = resolve(__dirname, 'assets/workers/product-data-worker.js');
   
   // Utility bundles
   entries['utils/metafield-setup-bundle'] = resolve(__dirname, 'assets/utils/metafield-setup.js');